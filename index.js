@@ -5,163 +5,1517 @@ const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } = require("@modelcontextprotocol/sdk/types.js");
-const { getSubtitles } = require('youtube-caption-extractor');
+const { TranscriptCache } = require('./lib/transcript-cache.js');
+const { resolvePlaylist } = require('./lib/playlist-resolver.js');
+const { mapWithConcurrency } = require('./lib/concurrency.js');
+const { PROMPTS, findPrompt } = require('./lib/prompts.js');
+const { MATCH_MODES, searchSegments } = require('./lib/text-search.js');
+const { TRANSCRIPT_FORMATS, toSegmentRecords, toSrt, toVtt, toJson, toCsv } = require('./lib/output-formats.js');
+const { OUTPUT_SCHEMAS } = require('./lib/output-schemas.js');
+const { estimateTokens, paginateSegments, encodeCursor, decodeCursor } = require('./lib/pagination.js');
+const { parseTimeInput } = require('./lib/time.js');
+const { parseYouTubeUrl } = require('./lib/youtube-url.js');
+const { startHttpServer } = require('./lib/http-transport.js');
+const { isCliCommand, runCli } = require('./lib/cli.js');
+const { runQuietly, isolateOutput } = require('./lib/output-isolation.js');
+const { ConfigError, resolveConfig, loadConfig } = require('./lib/config.js');
+const { withTimeout } = require('./lib/timeout.js');
+const { currentSignal, isAbortError, abortable, withRequestSignal } = require('./lib/cancellation.js');
+const { withRetry } = require('./lib/retry.js');
+const { normalizeLanguagePreferences, selectCaptionTrack } = require('./lib/caption-tracks.js');
+const { TranscriptProviderChain, createProviders } = require('./lib/transcript-providers.js');
+const { readLocalTranscript } = require('./lib/local-transcripts.js');
+const { parseChaptersFromDescription, normalizeChapters } = require('./lib/chapters.js');
+const { SUMMARY_METHODS, summarizeSentences } = require('./lib/summarizer.js');
+const { reconstructSentences, groupIntoParagraphs } = require('./lib/sentences.js');
+const { segmentTopics, titleFromKeywords } = require('./lib/topic-segmentation.js');
+const {
+  NORMALIZATION_STEPS,
+  DEFAULT_NORMALIZATION,
+  resolveNormalization,
+  normalizeTranscript
+} = require('./lib/text-normalization.js');
+
+// Shared by every tool that returns transcript text
+const NORMALIZE_SCHEMA = {
+  anyOf: [
+    { type: "boolean" },
+    {
+      type: "object",
+      properties: Object.fromEntries(NORMALIZATION_STEPS.map(step => [step, { type: "boolean" }])),
+      additionalProperties: false
+    }
+  ],
+  description: "Caption text cleanup: false for raw text, or switch single steps, e.g. { \"remove_fillers\": true }. " +
+    "Steps: decode_entities, strip_sound_tags ([Music]), strip_speaker_markers (>>), collapse_whitespace, " +
+    "dedupe_overlap (repeated rolling-caption lines) are on by default; remove_fillers (um/uh) is off"
+};
+
+const NO_TRANSCRIPT_MESSAGE = 'No transcript found for this video. Captions may be disabled or unavailable.';
+
+// Limits for the multi-video tools. The input schemas advertise them, but not
+// every client validates arguments, so the handlers enforce them as well.
+const MAX_BATCH_URLS = 50;
+const MAX_CONCURRENCY = 10;
 
 class YouTubeSummarizerServer {
-  constructor() {
-    this.server = new Server(
+  constructor(options = {}) {
+    // Defaults for every tunable; the entry point loads them from file, env and flags
+    this.config = resolveConfig(options.config);
+    // In-memory only unless a cache directory is given (see the entry point below)
+    this.cache = new TranscriptCache(options.cache);
+    this.playlistResolver = options.playlistResolver || (playlistId => resolvePlaylist(playlistId, { signal: currentSignal() }));
+    // Transcript sources in fallback order; `providers` replaces the configured ones
+    this.providers = new TranscriptProviderChain(
+      options.providers || createProviders(this.config.providers, {
+        extractor: { quiet: runQuietly },
+        'local-dir': { dir: this.config.local_dir },
+        'yt-dlp': { dir: this.config.yt_dlp_dir }
+      }),
+      {
+        timeoutMs: this.config.timeout_ms,
+        retries: this.config.retries,
+        retryDelayMs: this.config.retry_delay_ms,
+        retryMaxDelayMs: this.config.retry_max_delay_ms
+      }
+    );
+    // The provider chain retries on its own; an injected lister gets the same retries here
+    this.captionTrackLister = options.captionTrackLister
+      ? (videoId => this.withRetries(() => options.captionTrackLister(videoId), 'listing caption tracks'))
+      : (videoId => this.providers.listCaptionTracks(videoId, { signal: currentSignal() }));
+    this.metadataProvider = options.metadataProvider || (videoId => this.fetchVideoMetadata(videoId));
+    this.metadataRequests = new Map();
+    this.normalization = { ...DEFAULT_NORMALIZATION, ...this.config.normalization, ...options.normalization };
+
+    this.server = this.createServer();
+  }
+
+  // An MCP server instance serves one connection. HTTP mode creates one per
+  // session; all of them share this object's cache and providers.
+  createServer() {
+    const server = new Server(
       {
-        name: "youtube-summarizer-server",
-        version: "0.1.1",
+        name: this.config.server.name,
+        version: this.config.server.version,
       },
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    this.setupToolHandlers();
-  }
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+    return server;
+  }
+
+  setupToolHandlers(server = this.server) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return {
+        tools: [
+          {
+            name: "get_youtube_transcript",
+            description: "Extract transcript from a YouTube video for summarization and analysis",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL",
+                },
+                include_timestamps: {
+                  type: "boolean",
+                  description: "Whether to include timestamps with the transcript",
+                  default: false
+                },
+                format: {
+                  type: "string",
+                  enum: TRANSCRIPT_FORMATS,
+                  description: "Format of the returned transcript: 'plain' or 'structured' prose, 'srt' or 'vtt' subtitles, 'json' segments (start/end in ms) or 'csv'",
+                  default: this.config.format
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code for transcript (e.g., 'en', 'es', 'fr'), or an ordered fallback list such as [\"en-US\", \"en\", \"auto\"]. 'en' also matches regional tracks like 'en-GB'; 'auto' matches any auto-generated track",
+                  default: this.config.language
+                },
+                normalize: NORMALIZE_SCHEMA,
+                start_time: {
+                  type: "string",
+                  description: "Only include the transcript from this time onward, e.g. '45:00', '2700' or '45m'",
+                },
+                end_time: {
+                  type: "string",
+                  description: "Only include the transcript up to this time, e.g. '1:02:03', '3723' or '62m3s'",
+                },
+                chapters: {
+                  type: "array",
+                  items: {
+                    anyOf: [
+                      { type: "string" },
+                      {
+                        type: "object",
+                        properties: {
+                          start_time: { type: "string" },
+                          title: { type: "string" }
+                        },
+                        required: ["start_time", "title"]
+                      }
+                    ]
+                  },
+                  description: "Chapters for structured output with timestamps, as '0:00 Intro' strings or {start_time, title} objects. Defaults to the chapters in the video description; without chapters the transcript is split into 2-minute sections",
+                },
+                max_tokens: {
+                  type: "integer",
+                  description: "Split the transcript into pages of about this many tokens and return the first page",
+                  minimum: 100
+                },
+                page_size: {
+                  type: "integer",
+                  description: "Split the transcript into pages of at most this many caption segments and return the first page",
+                  minimum: 1
+                },
+                cursor: {
+                  type: "string",
+                  description: "next_cursor from a previous paginated response, to fetch the following page"
+                }
+              },
+              required: ["url"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_youtube_transcript,
+          },
+          {
+            name: "get_youtube_video_info",
+            description: "Get information about a YouTube video (title, channel, description, publish date, views, length, thumbnail) and transcript statistics",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL",
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code or ordered fallback list for the transcript used to estimate duration and word count",
+                  default: this.config.language
+                }
+              },
+              required: ["url"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_youtube_video_info,
+          },
+          {
+            name: "get_youtube_playlist_transcripts",
+            description: "Extract transcripts for every video in a YouTube playlist, reporting per-video errors without failing the whole playlist",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube playlist URL (or a watch URL with a 'list=' parameter)",
+                },
+                include_timestamps: {
+                  type: "boolean",
+                  description: "Whether to include timestamps with each transcript",
+                  default: false
+                },
+                format: {
+                  type: "string",
+                  enum: TRANSCRIPT_FORMATS,
+                  description: "Format of each returned transcript",
+                  default: this.config.format
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code for transcripts (e.g., 'en', 'es', 'fr'), or an ordered fallback list such as [\"en-US\", \"en\", \"auto\"] applied to each video",
+                  default: this.config.language
+                },
+                normalize: NORMALIZE_SCHEMA,
+                concurrency: {
+                  type: "integer",
+                  description: "Maximum number of transcripts fetched at the same time",
+                  minimum: 1,
+                  maximum: MAX_CONCURRENCY,
+                  default: 3
+                },
+                max_videos: {
+                  type: "integer",
+                  description: "Only process the first N videos of the playlist",
+                  minimum: 1
+                }
+              },
+              required: ["url"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_youtube_playlist_transcripts,
+          },
+          {
+            name: "get_youtube_transcripts_batch",
+            description: "Extract transcripts from several YouTube videos in one call, reporting which videos succeeded and which failed",
+            inputSchema: {
+              type: "object",
+              properties: {
+                urls: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "YouTube video URLs",
+                  minItems: 1,
+                  maxItems: MAX_BATCH_URLS
+                },
+                include_timestamps: {
+                  type: "boolean",
+                  description: "Whether to include timestamps with each transcript",
+                  default: false
+                },
+                format: {
+                  type: "string",
+                  enum: TRANSCRIPT_FORMATS,
+                  description: "Format of each returned transcript",
+                  default: this.config.format
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code for transcripts (e.g., 'en', 'es', 'fr'), or an ordered fallback list such as [\"en-US\", \"en\", \"auto\"] applied to each video",
+                  default: this.config.language
+                },
+                normalize: NORMALIZE_SCHEMA,
+                concurrency: {
+                  type: "integer",
+                  description: "Maximum number of transcripts fetched at the same time",
+                  minimum: 1,
+                  maximum: MAX_CONCURRENCY,
+                  default: 3
+                }
+              },
+              required: ["urls"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_youtube_transcripts_batch,
+          },
+          {
+            name: "get_local_transcript",
+            description: "Read a local SRT, WebVTT, TTML or YouTube json3/srv3 subtitle file (e.g. from Zoom, Vimeo or a recording) and format it like a YouTube transcript. Only files inside the configured allowed directories can be read",
+            inputSchema: {
+              type: "object",
+              properties: {
+                path: {
+                  type: "string",
+                  description: "Path of the subtitle file, absolute or relative to an allowed directory",
+                },
+                include_timestamps: {
+                  type: "boolean",
+                  description: "Whether to include timestamps with the transcript",
+                  default: false
+                },
+                format: {
+                  type: "string",
+                  enum: TRANSCRIPT_FORMATS,
+                  description: "Format of the returned transcript: 'plain' or 'structured' prose, 'srt' or 'vtt' subtitles, 'json' segments (start/end in ms) or 'csv'",
+                  default: this.config.format
+                },
+                normalize: NORMALIZE_SCHEMA,
+                start_time: {
+                  type: "string",
+                  description: "Only include the transcript from this time onward, e.g. '45:00', '2700' or '45m'",
+                },
+                end_time: {
+                  type: "string",
+                  description: "Only include the transcript up to this time, e.g. '1:02:03', '3723' or '62m3s'",
+                },
+                chapters: {
+                  type: "array",
+                  items: {
+                    anyOf: [
+                      { type: "string" },
+                      {
+                        type: "object",
+                        properties: {
+                          start_time: { type: "string" },
+                          title: { type: "string" }
+                        },
+                        required: ["start_time", "title"]
+                      }
+                    ]
+                  },
+                  description: "Chapters for structured output with timestamps, as '0:00 Intro' strings or {start_time, title} objects; without chapters the transcript is split into fixed-length sections",
+                }
+              },
+              required: ["path"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_local_transcript,
+          },
+          {
+            name: "search_youtube_transcript",
+            description: "Find where a word or phrase is mentioned in a YouTube video, with timestamps and deep links",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL",
+                },
+                query: {
+                  type: "string",
+                  description: "Word or phrase to search for",
+                },
+                match_mode: {
+                  type: "string",
+                  enum: MATCH_MODES,
+                  description: "'exact' (case-sensitive), 'case_insensitive', or 'fuzzy' (stemmed words, tolerates small typos)",
+                  default: "case_insensitive"
+                },
+                context: {
+                  type: "integer",
+                  description: "Number of surrounding transcript segments to include on each side of a match",
+                  minimum: 0,
+                  maximum: 10,
+                  default: 1
+                },
+                max_results: {
+                  type: "integer",
+                  description: "Maximum number of matches to return",
+                  minimum: 1,
+                  default: 20
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code for transcript (e.g., 'en', 'es', 'fr'), or an ordered fallback list such as [\"en-US\", \"en\", \"auto\"]",
+                  default: this.config.language
+                }
+              },
+              required: ["url", "query"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.search_youtube_transcript,
+          },
+          {
+            name: "summarize_youtube_video",
+            description: "Create a quick extractive summary of a YouTube video locally, picking its most representative transcript sentences with timestamps",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL",
+                },
+                sentences: {
+                  type: "integer",
+                  description: "Number of sentences in the summary (default 5)",
+                  minimum: 1,
+                  maximum: 100
+                },
+                ratio: {
+                  type: "number",
+                  description: "Summary length as a fraction of all transcript sentences, used when 'sentences' is not given",
+                  exclusiveMinimum: 0,
+                  maximum: 1
+                },
+                method: {
+                  type: "string",
+                  enum: SUMMARY_METHODS,
+                  description: "Sentence scoring: 'textrank' (graph centrality) or 'tfidf' (distinctive terms)",
+                  default: "textrank"
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code or ordered fallback list for the transcript",
+                  default: this.config.language
+                }
+              },
+              required: ["url"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.summarize_youtube_video,
+          },
+          {
+            name: "create_youtube_outline",
+            description: "Detect topic shifts in a YouTube video's transcript and build a hierarchical outline with time ranges and keywords, or a YouTube-style chapter list",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL",
+                },
+                format: {
+                  type: "string",
+                  enum: ["outline", "chapters"],
+                  description: "'outline' for nested sections with keywords, 'chapters' for '0:00 Title' lines ready to paste into a description",
+                  default: "outline"
+                },
+                max_sections: {
+                  type: "integer",
+                  description: "Maximum number of top-level sections (default 12)",
+                  minimum: 1,
+                  maximum: 50
+                },
+                min_section_seconds: {
+                  type: "integer",
+                  description: "Shortest allowed top-level section in seconds (default 60)",
+                  minimum: 10
+                },
+                keywords: {
+                  type: "integer",
+                  description: "Number of keywords listed per section (default 5)",
+                  minimum: 1,
+                  maximum: 20
+                },
+                language: {
+                  anyOf: [
+                    { type: "string" },
+                    { type: "array", items: { type: "string" } }
+                  ],
+                  description: "Language code or ordered fallback list for the transcript",
+                  default: this.config.language
+                }
+              },
+              required: ["url"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.create_youtube_outline,
+          },
+          {
+            name: "list_caption_languages",
+            description: "List the caption tracks available for a YouTube video and whether each is auto-generated",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL",
+                }
+              },
+              required: ["url"],
+            },
+            outputSchema: OUTPUT_SCHEMAS.list_caption_languages,
+          },
+          {
+            name: "clear_transcript_cache",
+            description: "Remove cached transcripts, either for a single video or the whole cache",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "YouTube video URL to clear (omit to clear every cached transcript)",
+                }
+              },
+            },
+            outputSchema: OUTPUT_SCHEMAS.clear_transcript_cache,
+          },
+          {
+            name: "get_cache_stats",
+            description: "Report transcript cache usage (entries, hits, misses, TTL and size limit)",
+            inputSchema: {
+              type: "object",
+              properties: {},
+            },
+            outputSchema: OUTPUT_SCHEMAS.get_cache_stats,
+          },
+        ],
+      };
+    });
+
+    server.setRequestHandler(CallToolRequestSchema, this.cancellable(async (request) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        if (name === "get_youtube_transcript") {
+          return await this.handleGetTranscript(args);
+        } else if (name === "get_youtube_video_info") {
+          return await this.handleGetVideoInfo(args);
+        } else if (name === "get_youtube_playlist_transcripts") {
+          return await this.handleGetPlaylistTranscripts(args);
+        } else if (name === "get_youtube_transcripts_batch") {
+          return await this.handleGetTranscriptsBatch(args);
+        } else if (name === "get_local_transcript") {
+          return await this.handleGetLocalTranscript(args);
+        } else if (name === "search_youtube_transcript") {
+          return await this.handleSearchTranscript(args);
+        } else if (name === "summarize_youtube_video") {
+          return await this.handleSummarizeVideo(args);
+        } else if (name === "create_youtube_outline") {
+          return await this.handleCreateOutline(args);
+        } else if (name === "list_caption_languages") {
+          return await this.handleListCaptionLanguages(args);
+        } else if (name === "clear_transcript_cache") {
+          return await this.handleClearCache(args);
+        } else if (name === "get_cache_stats") {
+          return await this.handleGetCacheStats();
+        } else {
+          throw new McpError(
+            ErrorCode.MethodNotFound,
+            `Unknown tool: ${name}`
+          );
+        }
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error; // Preserve original McpError
+        }
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Failed to execute ${name}: ${error.message}`
+        );
+      }
+    }));
+  }
+
+  // Lets a request handler's work see the request's AbortSignal, which aborts
+  // when the client cancels or after request_timeout_ms
+  cancellable(handler) {
+    return withRequestSignal(handler, { timeoutMs: this.config.request_timeout_ms });
+  }
+
+  setupResourceHandlers(server = this.server) {
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: "youtube://transcript/{videoId}/{language}",
+            name: "YouTube Video Transcript",
+            description: "Structured transcript of a YouTube video in the given language",
+            mimeType: "text/markdown",
+          },
+          {
+            uriTemplate: "youtube://info/{videoId}",
+            name: "YouTube Video Information",
+            description: "Basic information about a YouTube video",
+            mimeType: "text/markdown",
+          },
+        ],
+      };
+    });
+
+    // Lists the videos whose transcripts are already cached
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      const entries = await this.cache.list();
+      const resources = [];
+
+      for (const { videoId, language } of entries) {
+        resources.push({
+          uri: `youtube://transcript/${videoId}/${language}`,
+          name: `Transcript ${videoId} (${language})`,
+          mimeType: "text/markdown",
+        });
+      }
+
+      for (const videoId of new Set(entries.map(entry => entry.videoId))) {
+        resources.push({
+          uri: `youtube://info/${videoId}`,
+          name: `Video info ${videoId}`,
+          mimeType: "text/markdown",
+        });
+      }
+
+      return { resources };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, this.cancellable(async (request) => {
+      const { uri } = request.params;
+
+      try {
+        return await this.handleReadResource(uri);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Failed to read ${uri}: ${error.message}`
+        );
+      }
+    }));
+  }
+
+  async handleReadResource(uri) {
+    const transcriptMatch = uri.match(/^youtube:\/\/transcript\/([A-Za-z0-9_-]+)\/([^/]+)$/);
+    const infoMatch = uri.match(/^youtube:\/\/info\/([A-Za-z0-9_-]+)$/);
+    let text;
+
+    if (transcriptMatch) {
+      const [, videoId, language] = transcriptMatch;
+      const { transcript } = await this.resolveTranscript(videoId, decodeURIComponent(language));
+      text = this.formatTranscript(transcript, { url: `https://www.youtube.com/watch?v=${videoId}` });
+    } else if (infoMatch) {
+      const result = await this.handleGetVideoInfo({ url: `https://www.youtube.com/watch?v=${infoMatch[1]}` });
+      text = result.content[0].text;
+    } else {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown resource: ${uri}`
+      );
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "text/markdown",
+          text,
+        },
+      ],
+    };
+  }
+
+  setupPromptHandlers(server = this.server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: PROMPTS.map(({ name, description, arguments: promptArgs }) => ({
+          name,
+          description,
+          arguments: promptArgs
+        })),
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, this.cancellable(async (request) => {
+      const { name, arguments: args = {} } = request.params;
+
+      try {
+        return await this.handleGetPrompt(name, args);
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new McpError(
+          ErrorCode.InternalError,
+          `Failed to get prompt ${name}: ${error.message}`
+        );
+      }
+    }));
+  }
+
+  async handleGetPrompt(name, args = {}) {
+    const prompt = findPrompt(name);
+    if (!prompt) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+
+    const videoId = args.url ? this.extractVideoId(args.url) : null;
+    if (!videoId) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        "Invalid YouTube URL. Please provide a valid YouTube video URL."
+      );
+    }
+
+    let instructions;
+    try {
+      instructions = prompt.instructions(args);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+
+    // Timestamps let the model reference where each point is made
+    const { transcript } = await this.resolveTranscript(videoId, args.language || this.config.language);
+    const transcriptText = this.formatTranscript(transcript, {
+      url: args.url,
+      format: "structured",
+      include_timestamps: true
+    });
+
+    return {
+      description: prompt.description,
+      messages: [
+        {
+          role: "user",
+          content: {
+            type: "text",
+            text: `${instructions}\n\n${transcriptText}`,
+          },
+        },
+      ],
+    };
+  }
+
+  async handleGetTranscript(args) {
+    const { url, include_timestamps = false, format = this.config.format, cursor, chapters: chapterArgs } = args;
+    let { language = this.config.language, max_tokens, page_size, start_time, end_time, normalize } = args;
+
+    // Extract video ID from URL
+    const videoId = this.extractVideoId(url);
+    if (!videoId) {
+      throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
+    }
+    this.checkTranscriptFormat(format);
+
+    // A cursor carries the paging settings of the call that produced it
+    let page = 0;
+    if (cursor) {
+      const state = decodeCursor(cursor);
+      if (state.videoId !== videoId) {
+        throw new Error("This cursor belongs to a different video.");
+      }
+      ({
+        page,
+        language,
+        maxTokens: max_tokens,
+        pageSize: page_size,
+        startTime: start_time,
+        endTime: end_time,
+        normalize
+      } = state);
+    }
+
+    // Not every client enforces the schema's minimums
+    [['max_tokens', max_tokens], ['page_size', page_size]].forEach(([name, value]) => {
+      if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+        throw new Error(`Invalid ${name} '${value}'. Expected a positive integer`);
+      }
+    });
+
+    // A link shared at a moment (t= or start=) starts the transcript there
+    // unless the caller asked for a range explicitly
+    const linkedStart = parseYouTubeUrl(url).startTime;
+    if (!cursor && start_time === undefined && end_time === undefined && linkedStart) {
+      start_time = linkedStart;
+    }
+
+    // Get transcript
+    const { transcript: fullTranscript, track, fallback } = await this.resolveTranscript(videoId, language, normalize);
+    const { transcript, range } = this.sliceTranscript(fullTranscript, start_time, end_time);
+
+    // Chapters only shape structured output with timestamps
+    const chapters = format === "structured" && include_timestamps
+      ? await this.resolveChapters(videoId, chapterArgs)
+      : null;
+
+    if (!max_tokens && !page_size) {
+      const content = [
+        {
+          type: "text",
+          text: this.formatTranscript(transcript, { url, format, include_timestamps, range, track, chapters }),
+        },
+      ];
+
+      // Structured output names the track in its header; other formats get a note
+      // when the track differs from the literal request
+      if (fallback && format !== "structured") {
+        content.push({
+          type: "text",
+          text: `Caption track used: ${this.describeCaptionTrack(track)}`,
+        });
+      }
+
+      return {
+        content,
+        structuredContent: this.describeTranscript(transcript, { url, videoId, format, range, track, chapters }),
+      };
+    }
+
+    return this.formatTranscriptPage(transcript, {
+      url,
+      videoId,
+      language,
+      format,
+      include_timestamps,
+      page,
+      range,
+      track,
+      chapters,
+      maxTokens: max_tokens,
+      pageSize: page_size,
+      startTime: start_time,
+      endTime: end_time,
+      normalize
+    });
+  }
+
+  // The schemas list the formats, but not every client validates arguments
+  checkTranscriptFormat(format) {
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      throw new Error(`Invalid format '${format}'. Expected one of: ${TRANSCRIPT_FORMATS.join(', ')}`);
+    }
+  }
+
+  // Keeps the segments overlapping [start_time, end_time). Returns the full
+  // transcript and a null range when neither bound is given.
+  sliceTranscript(transcript, start_time, end_time) {
+    if (start_time === undefined && end_time === undefined) {
+      return { transcript, range: null };
+    }
+
+    const videoEnd = Math.max(...transcript.map(item => item.offset + item.duration));
+    const start = start_time !== undefined ? parseTimeInput(start_time) * 1000 : 0;
+    const end = end_time !== undefined ? Math.min(parseTimeInput(end_time) * 1000, videoEnd) : videoEnd;
+
+    if (start >= end) {
+      throw new Error("start_time must be before end_time and within the video.");
+    }
+
+    const sliced = transcript.filter(item => item.offset < end && item.offset + item.duration > start);
+    if (sliced.length === 0) {
+      throw new Error(
+        `No transcript segments between ${this.formatTimestamp(start / 1000)} and ${this.formatTimestamp(end / 1000)}.`
+      );
+    }
+
+    return { transcript: sliced, range: { start, end } };
+  }
+
+  formatTranscriptPage(transcript, {
+    url,
+    videoId,
+    language,
+    format,
+    include_timestamps,
+    page,
+    range,
+    track,
+    chapters,
+    maxTokens,
+    pageSize,
+    startTime,
+    endTime,
+    normalize
+  }) {
+    // Text plus a few tokens for the timestamp and separators each format adds
+    const pages = paginateSegments(transcript, {
+      maxTokens,
+      pageSize,
+      segmentCost: item => estimateTokens(item.text) + 4
+    });
+
+    if (page < 0 || page >= pages.length) {
+      throw new Error(`Page ${page + 1} does not exist; this transcript has ${pages.length} page(s).`);
+    }
+
+    const { start, end } = pages[page];
+    const segments = transcript.slice(start, end);
+    const last = segments[segments.length - 1];
+    const pageRange = {
+      start: range ? Math.max(range.start, segments[0].offset) : segments[0].offset,
+      end: range ? Math.min(range.end, last.offset + last.duration) : last.offset + last.duration
+    };
+    const nextCursor = page + 1 < pages.length
+      ? encodeCursor({ videoId, language, page: page + 1, maxTokens, pageSize, startTime, endTime, normalize })
+      : null;
+
+    let header = `# Transcript Page ${page + 1} of ${pages.length}\n\n`;
+    header += `**Time Range:** ${this.formatTimestamp(pageRange.start / 1000)} - ${this.formatTimestamp(pageRange.end / 1000)}\n`;
+    header += `**Segments:** ${start + 1}-${end} of ${transcript.length}\n`;
+    if (track) {
+      header += `**Caption Track:** ${this.describeCaptionTrack(track)}\n`;
+    }
+    header += nextCursor
+      ? `**next_cursor:** ${nextCursor}\n\nPass next_cursor as \`cursor\` to get the next page.`
+      : `\nThis is the last page.`;
+
+    // The page body stays a separate item so srt/vtt/json/csv output remains valid
+    return {
+      content: [
+        {
+          type: "text",
+          text: header,
+        },
+        {
+          type: "text",
+          text: this.formatTranscript(segments, {
+            url,
+            format,
+            include_timestamps,
+            range: pageRange,
+            track,
+            chapters
+          }),
+        },
+      ],
+      structuredContent: {
+        ...this.describeTranscript(segments, { url, videoId, format, range: pageRange, track, chapters, firstIndex: start }),
+        page: { number: page + 1, total: pages.length, nextCursor },
+      },
+    };
+  }
+
+  async handleGetPlaylistTranscripts(args) {
+    const {
+      url,
+      include_timestamps = false,
+      format = this.config.format,
+      language = this.config.language,
+      concurrency = 3,
+      max_videos,
+      normalize
+    } = args;
+
+    const playlistId = this.extractPlaylistId(url);
+    if (!playlistId) {
+      throw new Error("Invalid YouTube playlist URL. Please provide a URL containing a 'list=' parameter.");
+    }
+    this.checkTranscriptFormat(format);
+
+    const playlist = await this.withRetries(() => this.playlistResolver(playlistId), 'fetching the playlist');
+    const videoIds = max_videos ? playlist.videoIds.slice(0, max_videos) : playlist.videoIds;
+
+    const results = await this.fetchTranscripts(
+      videoIds.map(videoId => ({ videoId, url: `https://www.youtube.com/watch?v=${videoId}` })),
+      language,
+      concurrency,
+      normalize
+    );
+    const failedCount = results.filter(result => result.error).length;
+
+    let text = `# YouTube Playlist Transcripts\n\n`;
+    if (playlist.title) {
+      text += `**Playlist:** ${playlist.title}\n`;
+    }
+    text += `**Playlist ID:** ${playlistId}\n`;
+    text += `**Videos Processed:** ${results.length}`;
+    if (results.length < playlist.videoIds.length) {
+      text += ` of ${playlist.videoIds.length}`;
+    }
+    text += `\n**Succeeded:** ${results.length - failedCount}\n`;
+    text += `**Failed:** ${failedCount}\n\n`;
+    text += this.formatTranscriptResults(results, { format, include_timestamps });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: text.trim(),
+        },
+      ],
+      structuredContent: {
+        playlistId,
+        title: playlist.title || null,
+        totalVideos: playlist.videoIds.length,
+        videosProcessed: results.length,
+        succeeded: results.length - failedCount,
+        failed: failedCount,
+        videos: results.map(result => this.describeTranscriptResult(result)),
+      },
+    };
+  }
+
+  async handleGetTranscriptsBatch(args) {
+    const {
+      urls,
+      include_timestamps = false,
+      format = this.config.format,
+      language = this.config.language,
+      concurrency = 3,
+      normalize
+    } = args;
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new Error("Please provide a non-empty array of YouTube video URLs.");
+    }
+    if (urls.length > MAX_BATCH_URLS) {
+      throw new Error(`Please provide at most ${MAX_BATCH_URLS} YouTube video URLs per batch.`);
+    }
+    this.checkTranscriptFormat(format);
+
+    // Invalid URLs become per-item errors rather than rejecting the whole batch
+    const videos = urls.map(url => {
+      const videoId = this.extractVideoId(url);
+      return videoId
+        ? { videoId, url }
+        : { url, error: "Invalid YouTube URL. Please provide a valid YouTube video URL." };
+    });
+
+    const results = await this.fetchTranscripts(videos, language, concurrency, normalize);
+    const failedCount = results.filter(result => result.error).length;
+
+    let text = `# YouTube Transcripts Batch\n\n`;
+    text += `**Videos Requested:** ${results.length}\n`;
+    text += `**Succeeded:** ${results.length - failedCount}\n`;
+    text += `**Failed:** ${failedCount}\n\n`;
+    text += this.formatTranscriptResults(results, { format, include_timestamps });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: text.trim(),
+        },
+      ],
+      structuredContent: {
+        videosRequested: results.length,
+        succeeded: results.length - failedCount,
+        failed: failedCount,
+        videos: results.map(result => this.describeTranscriptResult(result)),
+      },
+    };
+  }
+
+  // Subtitle files from other sources go through the same cleanup, slicing and
+  // formatting as YouTube captions
+  async handleGetLocalTranscript(args) {
+    const {
+      path: file,
+      include_timestamps = false,
+      format = this.config.format,
+      start_time,
+      end_time,
+      normalize,
+      chapters: chapterArgs
+    } = args;
+
+    this.checkTranscriptFormat(format);
+    const local = await readLocalTranscript(file, this.config.allowed_dirs);
+    const fullTranscript = this.normalizeTranscript(local.transcript, normalize);
+    if (fullTranscript.length === 0) {
+      throw new Error(`No captions found in ${file}.`);
+    }
+    const { transcript, range } = this.sliceTranscript(fullTranscript, start_time, end_time);
+    const chapters = chapterArgs && chapterArgs.length > 0 ? normalizeChapters(chapterArgs) : null;
+    const last = transcript[transcript.length - 1];
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: this.formatTranscript(transcript, { file: local.path, format, include_timestamps, range, chapters }),
+        },
+      ],
+      structuredContent: {
+        path: local.path,
+        captionFormat: local.captionFormat,
+        format,
+        range: range && { start: Math.round(range.start), end: Math.round(range.end) },
+        duration: Math.round(last.offset + last.duration),
+        segmentCount: transcript.length,
+        wordCount: this.countWords(transcript),
+        segments: toSegmentRecords(transcript),
+        sections: this.describeSections(transcript, range, chapters),
+      },
+    };
+  }
+
+  // Fetches transcripts for many videos with bounded concurrency, applying the
+  // language fallback to each. A failing video is reported alongside the others
+  // instead of failing the whole set.
+  async fetchTranscripts(videos, language, concurrency, normalize) {
+    // Rejects bad normalize options once instead of failing every video
+    resolveNormalization(this.normalization, normalize);
+    const limit = Math.min(MAX_CONCURRENCY, Math.max(1, Math.floor(concurrency) || 1));
+    return mapWithConcurrency(videos, limit, async (video) => {
+      if (video.error) {
+        return video;
+      }
+      try {
+        const { transcript } = await this.resolveTranscript(video.videoId, language, normalize);
+        return { ...video, transcript };
+      } catch (error) {
+        // A cancelled request stops the whole set rather than failing each video
+        if (isAbortError(error)) {
+          throw error;
+        }
+        return { ...video, error: error.message };
+      }
+    });
+  }
+
+  formatTranscriptResults(results, { format, include_timestamps }) {
+    let text = '';
+
+    results.forEach((result, index) => {
+      text += `## Video ${index + 1}: ${result.videoId || result.url}\n\n`;
+      if (result.error) {
+        text += `**Error:** ${result.error}\n\n`;
+      } else {
+        text += this.formatTranscript(result.transcript, {
+          url: result.url,
+          format,
+          include_timestamps
+        }) + '\n\n';
+      }
+    });
+
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      text += `## Failed Videos\n\n`;
+      failed.forEach(result => {
+        text += `- ${result.url}: ${result.error}\n`;
+      });
+    }
+
+    return text;
+  }
+
+  async handleGetVideoInfo(args) {
+    const { url, language = this.config.language } = args;
+
+    // Extract video ID from URL
+    const videoId = this.extractVideoId(url);
+    if (!videoId) {
+      throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
+    }
+
+    // Metadata and transcript are independent; either one may fail on its own
+    const [metadataResult, transcriptResult] = await Promise.allSettled([
+      this.getVideoMetadata(videoId),
+      this.resolveTranscript(videoId, language)
+    ]);
+
+    if (metadataResult.status === 'rejected' && transcriptResult.status === 'rejected') {
+      throw transcriptResult.reason;
+    }
+
+    const metadata = metadataResult.status === 'fulfilled' ? metadataResult.value : null;
+    // Missing metadata fields are null so the structured result has a stable shape
+    const field = name => (metadata && metadata[name] !== undefined ? metadata[name] : null);
+    const info = {
+      videoId: videoId,
+      url: url,
+      title: field('title'),
+      channel: field('channel'),
+      publishDate: field('publishDate'),
+      viewCount: field('viewCount'),
+      length: field('lengthSeconds') !== null ? this.formatTimestamp(metadata.lengthSeconds) : null,
+      thumbnailUrl: field('thumbnailUrl'),
+      description: field('description'),
+      transcriptAvailable: transcriptResult.status === 'fulfilled'
+    };
+
+    if (info.transcriptAvailable) {
+      const { transcript, track } = transcriptResult.value;
+      const totalDuration = Math.max(...transcript.map(item => item.offset + item.duration));
+
+      info.estimatedDuration = this.formatTimestamp(totalDuration / 1000);
+      info.transcriptSegments = transcript.length;
+      info.estimatedWordCount = this.countWords(transcript);
+      info.captionTrack = this.describeCaptionTrack(track);
+    } else {
+      info.transcriptError = transcriptResult.reason.message;
+    }
+
+    let text = `# YouTube Video Information\n\n`;
+    if (info.title) {
+      text += `**Title:** ${info.title}\n`;
+    }
+    if (info.channel) {
+      text += `**Channel:** ${info.channel}\n`;
+    }
+    text += `**Video ID:** ${info.videoId}\n`;
+    text += `**URL:** ${info.url}\n`;
+    if (info.publishDate) {
+      text += `**Published:** ${info.publishDate}\n`;
+    }
+    if (info.viewCount !== null && info.viewCount !== undefined) {
+      text += `**Views:** ${info.viewCount.toLocaleString('en-US')}\n`;
+    }
+    if (info.length) {
+      text += `**Length:** ${info.length}\n`;
+    }
+    if (info.thumbnailUrl) {
+      text += `**Thumbnail:** ${info.thumbnailUrl}\n`;
+    }
+
+    if (info.transcriptAvailable) {
+      text += `**Estimated Duration:** ${info.estimatedDuration}\n` +
+              `**Transcript Segments:** ${info.transcriptSegments}\n` +
+              `**Estimated Word Count:** ${info.estimatedWordCount}\n` +
+              `**Transcript Available:** Yes\n` +
+              `**Caption Track:** ${info.captionTrack}\n\n`;
+    } else {
+      text += `**Transcript Available:** No (${info.transcriptError})\n\n`;
+    }
+
+    if (info.description) {
+      text += `## Description\n\n${info.description}\n\n`;
+    }
+    if (!metadata) {
+      info.metadataError = metadataResult.reason.message;
+      text += `Video metadata could not be retrieved: ${info.metadataError}\n\n`;
+    }
+
+    text += info.transcriptAvailable
+      ? `This video has an available transcript and can be summarized.`
+      : `This video has no available transcript, so it cannot be summarized from captions.`;
+
+    return {
+      content: [
+        {
+          type: "text",
+          text,
+        },
+      ],
+      structuredContent: info,
+    };
+  }
+
+  async handleSearchTranscript(args) {
+    const {
+      url,
+      query,
+      match_mode = "case_insensitive",
+      context = 1,
+      max_results = 20,
+      language = this.config.language
+    } = args;
+
+    const videoId = this.extractVideoId(url);
+    if (!videoId) {
+      throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
+    }
+    if (typeof query !== 'string' || !query.trim()) {
+      throw new Error("Please provide a search query.");
+    }
+
+    const { transcript } = await this.resolveTranscript(videoId, language);
+    const hits = searchSegments(transcript, query.trim(), {
+      mode: match_mode,
+      context,
+      maxResults: max_results
+    });
+
+    let text = `# Transcript Search Results\n\n`;
+    text += `**Video URL:** ${url}\n`;
+    text += `**Query:** "${query.trim()}"\n`;
+    text += `**Match Mode:** ${match_mode}\n`;
+    text += `**Matches:** ${hits.length}\n\n`;
 
-  suppressConsoleOutput() {
-    // Store original methods
-    this.originalConsole = {
-      log: console.log,
-      error: console.error,
-      warn: console.warn,
-      debug: console.debug,
-      info: console.info
-    };
+    if (hits.length === 0) {
+      text += `No segments matched this query.`;
+    }
 
-    // Store original process methods
-    this.originalProcess = {
-      stdout: process.stdout.write,
-      stderr: process.stderr.write
-    };
+    const matches = [];
+    hits.forEach((hit, index) => {
+      const seconds = Math.floor(hit.segment.offset / 1000);
+      const link = `https://youtu.be/${videoId}?t=${seconds}`;
+      const contextText = [
+        ...hit.before.map(item => item.text),
+        `**${hit.segment.text}**`,
+        ...hit.after.map(item => item.text)
+      ].join(' ');
 
-    // Replace console methods with no-ops
-    console.log = () => {};
-    console.error = () => {};
-    console.warn = () => {};
-    console.debug = () => {};
-    console.info = () => {};
+      text += `## Match ${index + 1} at ${this.formatTimestamp(seconds)}\n\n`;
+      text += `**Link:** ${link}\n\n`;
+      text += `> ${contextText}\n\n`;
 
-    // Replace process stdout/stderr writes
-    process.stdout.write = () => true;
-    process.stderr.write = () => true;
+      matches.push({
+        segment: toSegmentRecords([hit.segment], hit.index)[0],
+        link,
+        before: toSegmentRecords(hit.before, hit.index - hit.before.length),
+        after: toSegmentRecords(hit.after, hit.index + 1)
+      });
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: text.trim(),
+        },
+      ],
+      structuredContent: { videoId, url, query: query.trim(), matchMode: match_mode, matches },
+    };
   }
 
-  restoreConsoleOutput() {
-    // Restore console methods
-    if (this.originalConsole) {
-      Object.assign(console, this.originalConsole);
-    }
+  async handleSummarizeVideo(args) {
+    const { url, sentences: count, ratio, method = "textrank", language = this.config.language } = args;
 
-    // Restore process methods
-    if (this.originalProcess) {
-      process.stdout.write = this.originalProcess.stdout;
-      process.stderr.write = this.originalProcess.stderr;
+    const videoId = this.extractVideoId(url);
+    if (!videoId) {
+      throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
+    }
+    if (ratio !== undefined && !(ratio > 0 && ratio <= 1)) {
+      throw new Error("ratio must be greater than 0 and at most 1.");
     }
-  }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+    const { transcript } = await this.resolveTranscript(videoId, language);
+    const sentences = reconstructSentences(transcript);
+    const summary = summarizeSentences(sentences, { method, count, ratio });
+
+    let text = `# Extractive Summary\n\n`;
+    text += `**Video URL:** ${url}\n`;
+    text += `**Method:** ${method === "tfidf" ? "TF-IDF" : "TextRank"}\n`;
+    text += `**Sentences:** ${summary.length} of ${sentences.length}\n\n`;
+
+    const summarySentences = summary.map(sentence => {
+      const seconds = Math.floor(sentence.start / 1000);
+      const link = `https://youtu.be/${videoId}?t=${seconds}`;
+      text += `- [${this.formatTimestamp(seconds)}](${link}) ${sentence.text}\n`;
       return {
-        tools: [
-          {
-            name: "get_youtube_transcript",
-            description: "Extract transcript from a YouTube video for summarization and analysis",
-            inputSchema: {
-              type: "object",
-              properties: {
-                url: {
-                  type: "string",
-                  description: "YouTube video URL",
-                },
-                include_timestamps: {
-                  type: "boolean",
-                  description: "Whether to include timestamps with the transcript",
-                  default: false
-                },
-                format: {
-                  type: "string",
-                  enum: ["plain", "structured"],
-                  description: "Format of the returned transcript",
-                  default: "structured"
-                },
-                language: {
-                  type: "string",
-                  description: "Language code for transcript (e.g., 'en', 'es', 'fr')",
-                  default: "en"
-                }
-              },
-              required: ["url"],
-            },
-          },
-          {
-            name: "get_youtube_video_info",
-            description: "Get basic information about a YouTube video (title, duration estimate from transcript)",
-            inputSchema: {
-              type: "object",
-              properties: {
-                url: {
-                  type: "string",
-                  description: "YouTube video URL",
-                }
-              },
-              required: ["url"],
-            },
-          },
-        ],
+        index: sentence.index,
+        start: Math.round(sentence.start),
+        end: Math.round(sentence.end),
+        link,
+        text: sentence.text
       };
     });
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      try {
-        if (name === "get_youtube_transcript") {
-          return await this.handleGetTranscript(args);
-        } else if (name === "get_youtube_video_info") {
-          return await this.handleGetVideoInfo(args);
-        } else {
-          throw new McpError(
-            ErrorCode.MethodNotFound,
-            `Unknown tool: ${name}`
-          );
-        }
-      } catch (error) {
-        if (error instanceof McpError) {
-          throw error; // Preserve original McpError
-        }
-        throw new McpError(
-          ErrorCode.InternalError,
-          `Failed to execute ${name}: ${error.message}`
-        );
-      }
-    });
+    return {
+      content: [
+        {
+          type: "text",
+          text: text.trim(),
+        },
+      ],
+      structuredContent: { videoId, url, method, totalSentences: sentences.length, sentences: summarySentences },
+    };
   }
 
-  async handleGetTranscript(args) {
-    const { url, include_timestamps = false, format = "structured", language = "en" } = args;
+  async handleCreateOutline(args) {
+    const {
+      url,
+      format = "outline",
+      max_sections: maxSections = 12,
+      min_section_seconds: minSectionSeconds = 60,
+      keywords: keywordCount = 5,
+      language = this.config.language
+    } = args;
 
-    // Extract video ID from URL
     const videoId = this.extractVideoId(url);
     if (!videoId) {
       throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
     }
+    if (!["outline", "chapters"].includes(format)) {
+      throw new Error(`Invalid format '${format}'. Expected one of: outline, chapters`);
+    }
 
-    // Get transcript
-    const transcript = await this.getTranscript(videoId, language);
+    const { transcript } = await this.resolveTranscript(videoId, language);
+    const sections = segmentTopics(transcript, { maxSections, minSectionSeconds, keywordCount });
+    const seconds = milliseconds => Math.floor(milliseconds / 1000);
+
+    let text;
+    if (format === "chapters") {
+      // YouTube only accepts a chapter list whose first entry is 0:00
+      text = sections
+        .map((section, index) => `${this.formatTimestamp(index === 0 ? 0 : seconds(section.start))} ${titleFromKeywords(section.keywords)}`)
+        .join('\n');
+      if (sections.length < 3) {
+        text += `\n\n_Note: YouTube needs at least three chapters; only ${sections.length} topic${sections.length === 1 ? '' : 's'} detected._`;
+      }
+    } else {
+      text = `# Video Outline\n\n`;
+      text += `**Video URL:** ${url}\n`;
+      text += `**Sections:** ${sections.length}\n\n`;
+
+      sections.forEach((section, index) => {
+        const start = seconds(section.start);
+        text += `## ${index + 1}. ${titleFromKeywords(section.keywords)} (${this.formatTimestamp(start)} - ${this.formatTimestamp(seconds(section.end))})\n\n`;
+        text += `**Link:** https://youtu.be/${videoId}?t=${start}\n`;
+        text += `**Keywords:** ${section.keywords.join(', ') || 'none'}\n\n`;
+
+        section.subsections.forEach((subsection, subIndex) => {
+          text += `- ${index + 1}.${subIndex + 1} ${this.formatTimestamp(seconds(subsection.start))} - ${this.formatTimestamp(seconds(subsection.end))}: ${subsection.keywords.join(', ') || 'none'}\n`;
+        });
+        if (section.subsections.length > 0) {
+          text += '\n';
+        }
+      });
+    }
+
+    const outline = sections.map(section => ({
+      title: titleFromKeywords(section.keywords),
+      start: Math.round(section.start),
+      end: Math.round(section.end),
+      link: `https://youtu.be/${videoId}?t=${seconds(section.start)}`,
+      keywords: section.keywords,
+      subsections: section.subsections.map(subsection => ({
+        start: Math.round(subsection.start),
+        end: Math.round(subsection.end),
+        keywords: subsection.keywords
+      }))
+    }));
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: text.trim(),
+        },
+      ],
+      structuredContent: { videoId, url, format, sections: outline },
+    };
+  }
+
+  async handleClearCache(args = {}) {
+    const { url } = args;
+    let videoId = null;
+
+    if (url) {
+      videoId = this.extractVideoId(url);
+      if (!videoId) {
+        throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
+      }
+    }
+
+    const removed = await this.cache.clear(videoId);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: videoId
+            ? `Removed ${removed} cached transcript(s) for video ${videoId}.`
+            : `Removed ${removed} cached transcript(s).`,
+        },
+      ],
+      structuredContent: { videoId, removed },
+    };
+  }
+
+  async handleGetCacheStats() {
+    const stats = await this.cache.stats();
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: `# Transcript Cache Statistics\n\n` +
+                `**Cached Transcripts:** ${stats.entries} / ${stats.maxEntries}\n` +
+                `**TTL:** ${this.formatTimestamp(stats.ttlMs / 1000)}\n` +
+                `**Location:** ${stats.directory || 'memory only'}\n` +
+                `**Hits:** ${stats.hits}\n` +
+                `**Misses:** ${stats.misses}\n` +
+                `**Coalesced Requests:** ${stats.coalesced}\n` +
+                `**Fetches In Progress:** ${stats.inFlight}`,
+        },
+      ],
+      structuredContent: stats,
+    };
+  }
 
-    // Format the transcript based on requested format
+  // `range` ({ start, end } in ms) marks the transcript as a slice of the video.
+  // `file` replaces the video URL for local subtitle files.
+  formatTranscript(transcript, {
+    url,
+    file = null,
+    format = "structured",
+    include_timestamps = false,
+    range = null,
+    track = null,
+    chapters = null
+  }) {
     let formattedTranscript;
 
-    if (format === "plain") {
+    if (format === "srt") {
+      formattedTranscript = toSrt(transcript);
+    } else if (format === "vtt") {
+      formattedTranscript = toVtt(transcript);
+    } else if (format === "json") {
+      formattedTranscript = toJson(transcript, { url, videoId: this.extractVideoId(url) });
+    } else if (format === "csv") {
+      formattedTranscript = toCsv(transcript);
+    } else if (format === "plain") {
       if (include_timestamps) {
         formattedTranscript = transcript.map(item =>
           `[${this.formatTimestamp(item.offset / 1000)}] ${item.text}`
@@ -173,15 +1527,37 @@ class YouTubeSummarizerServer {
       const totalDuration = Math.max(...transcript.map(item => item.offset + item.duration));
       const videoLength = this.formatTimestamp(totalDuration / 1000);
 
-      let structuredContent = `# YouTube Video Transcript\n\n`;
-      structuredContent += `**Video URL:** ${url}\n`;
-      structuredContent += `**Estimated Duration:** ${videoLength}\n`;
-      structuredContent += `**Transcript Segments:** ${transcript.length}\n\n`;
+      let structuredContent = file ? `# Local Transcript\n\n` : `# YouTube Video Transcript\n\n`;
+      structuredContent += file ? `**File:** ${file}\n` : `**Video URL:** ${url}\n`;
+      if (range) {
+        structuredContent += `**Time Range:** ${this.formatTimestamp(range.start / 1000)} - ${this.formatTimestamp(range.end / 1000)}\n`;
+      } else {
+        structuredContent += `**Estimated Duration:** ${videoLength}\n`;
+      }
+      structuredContent += `**Transcript Segments:** ${transcript.length}\n`;
+      if (file) {
+        structuredContent += `**Estimated Word Count:** ${this.countWords(transcript)}\n`;
+      }
+      if (track) {
+        structuredContent += `**Caption Track:** ${this.describeCaptionTrack(track)}\n`;
+      }
+      structuredContent += `\n`;
       structuredContent += `## Transcript Content\n\n`;
 
-      if (include_timestamps) {
-        // Group transcript into time-based sections (every ~2 minutes)
-        const sections = this.groupTranscriptIntoSections(transcript, 120); // 2 minutes
+      const chapterSections = include_timestamps && chapters && chapters.length > 0
+        ? this.groupTranscriptIntoChapters(transcript, chapters, range)
+        : [];
+
+      if (chapterSections.length > 0) {
+        chapterSections.forEach((section, index) => {
+          const startTime = this.formatTimestamp(section.startTime / 1000);
+          const endTime = this.formatTimestamp(section.endTime / 1000);
+          structuredContent += `### Chapter ${index + 1}: ${section.title} (${startTime} - ${endTime})\n\n`;
+          structuredContent += section.text + '\n\n';
+        });
+      } else if (include_timestamps) {
+        // Group transcript into time-based sections (every section_seconds, 2 minutes by default)
+        const sections = this.groupTranscriptIntoSections(transcript, this.config.section_seconds, range);
 
         sections.forEach((section, index) => {
           const startTime = this.formatTimestamp(section.startTime / 1000);
@@ -200,97 +1576,272 @@ class YouTubeSummarizerServer {
       formattedTranscript = structuredContent;
     }
 
+    return formattedTranscript;
+  }
+
+  // The structuredContent of a transcript: its segments plus the chapters or
+  // fixed-length sections that structured output groups them into
+  describeTranscript(transcript, { url, videoId, format, range = null, track, chapters = null, firstIndex = 0 }) {
+    const last = transcript[transcript.length - 1];
+
     return {
-      content: [
-        {
-          type: "text",
-          text: formattedTranscript,
-        },
-      ],
+      videoId,
+      url,
+      format,
+      captionTrack: {
+        languageCode: track.languageCode,
+        name: track.name || null,
+        isAutoGenerated: track.isAutoGenerated === undefined ? null : track.isAutoGenerated
+      },
+      range: range && { start: Math.round(range.start), end: Math.round(range.end) },
+      duration: last ? Math.round(last.offset + last.duration) : 0,
+      segmentCount: transcript.length,
+      segments: toSegmentRecords(transcript, firstIndex),
+      sections: this.describeSections(transcript, range, chapters),
     };
   }
 
-  async handleGetVideoInfo(args) {
+  describeSections(transcript, range = null, chapters = null) {
+    const chapterSections = chapters && chapters.length > 0
+      ? this.groupTranscriptIntoChapters(transcript, chapters, range)
+      : [];
+    const sections = chapterSections.length > 0
+      ? chapterSections
+      : this.groupTranscriptIntoSections(transcript, this.config.section_seconds, range);
+
+    return sections.map((section, index) => ({
+      index,
+      title: section.title || null,
+      start: Math.round(section.startTime),
+      end: Math.round(section.endTime),
+      text: section.text
+    }));
+  }
+
+  countWords(transcript) {
+    return transcript.reduce((count, item) => count + item.text.split(' ').length, 0);
+  }
+
+  // One entry of a playlist or batch result
+  describeTranscriptResult(result) {
+    if (result.error) {
+      return { videoId: result.videoId || null, url: result.url, error: result.error };
+    }
+    const last = result.transcript[result.transcript.length - 1];
+    return {
+      videoId: result.videoId,
+      url: result.url,
+      duration: last ? Math.round(last.offset + last.duration) : 0,
+      segmentCount: result.transcript.length,
+      segments: toSegmentRecords(result.transcript),
+    };
+  }
+
+  extractVideoId(url) {
+    const parsed = parseYouTubeUrl(url);
+    return parsed ? parsed.videoId : null;
+  }
+
+  extractPlaylistId(url) {
+    const parsed = parseYouTubeUrl(url);
+    return parsed ? parsed.playlistId : null;
+  }
+
+  async handleListCaptionLanguages(args) {
     const { url } = args;
 
-    // Extract video ID from URL
     const videoId = this.extractVideoId(url);
     if (!videoId) {
       throw new Error("Invalid YouTube URL. Please provide a valid YouTube video URL.");
     }
 
-    // Get transcript to calculate basic info
-    const transcript = await this.getTranscript(videoId, 'en');
+    const tracks = await this.withTimeout(this.captionTrackLister(videoId), 'listing caption tracks');
 
-    const totalDuration = Math.max(...transcript.map(item => item.offset + item.duration));
-    const videoLength = this.formatTimestamp(totalDuration / 1000);
-    const wordCount = transcript.reduce((count, item) => count + item.text.split(' ').length, 0);
+    let text = `# Available Caption Languages\n\n`;
+    text += `**Video ID:** ${videoId}\n`;
+    text += `**Caption Tracks:** ${tracks.length}\n\n`;
 
-    const info = {
-      videoId: videoId,
-      url: url,
-      estimatedDuration: videoLength,
-      transcriptSegments: transcript.length,
-      estimatedWordCount: wordCount,
-      transcriptAvailable: true
-    };
+    if (tracks.length === 0) {
+      text += `This video has no caption tracks.`;
+    } else {
+      text += `| Language Code | Name | Auto-generated | Translatable |\n`;
+      text += `| --- | --- | --- | --- |\n`;
+      tracks.forEach(track => {
+        text += `| ${track.languageCode} | ${track.name} | ${track.isAutoGenerated ? 'Yes' : 'No'} | ` +
+                `${track.isTranslatable ? 'Yes' : 'No'} |\n`;
+      });
+    }
 
     return {
       content: [
         {
           type: "text",
-          text: `# YouTube Video Information\n\n` +
-                `**Video ID:** ${info.videoId}\n` +
-                `**URL:** ${info.url}\n` +
-                `**Estimated Duration:** ${info.estimatedDuration}\n` +
-                `**Transcript Segments:** ${info.transcriptSegments}\n` +
-                `**Estimated Word Count:** ${info.estimatedWordCount}\n` +
-                `**Transcript Available:** ${info.transcriptAvailable ? 'Yes' : 'No'}\n\n` +
-                `This video has an available transcript and can be summarized.`,
+          text: text.trim(),
         },
       ],
+      structuredContent: {
+        videoId,
+        tracks: tracks.map(({ languageCode, name, isAutoGenerated, isTranslatable }) => ({
+          languageCode,
+          name,
+          isAutoGenerated,
+          isTranslatable
+        })),
+      },
     };
   }
 
-  extractVideoId(url) {
-    const patterns = [
-      /(?:https?:\/\/)?(?:www\.)?youtube\.com\/watch\?v=([^&\n?#]+)/,
-      /(?:https?:\/\/)?(?:www\.)?youtube\.com\/embed\/([^&\n?#]+)/,
-      /(?:https?:\/\/)?(?:www\.)?youtube\.com\/v\/([^&\n?#]+)/,
-      /(?:https?:\/\/)?youtu\.be\/([^&\n?#]+)/,
-    ];
-
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) {
-        return match[1];
+  // Returns the transcript plus the caption track it came from. A single language
+  // code is fetched directly; a fallback list, 'auto', or a code with no exact
+  // track consults the video's caption tracks. `fallback` is true in that case.
+  // The text is cleaned up with the server's normalization steps, overridable per call.
+  async resolveTranscript(videoId, language = this.config.language, normalize) {
+    const preferences = normalizeLanguagePreferences(language);
+    const steps = resolveNormalization(this.normalization, normalize);
+    let directError = null;
+
+    if (preferences.length === 1 && preferences[0].toLowerCase() !== 'auto') {
+      try {
+        const transcript = this.cleanTranscript(await this.getTranscript(videoId, preferences[0]), steps);
+        return { transcript, track: { languageCode: preferences[0] }, fallback: false };
+      } catch (error) {
+        if (!error.message.startsWith('No transcript found')) {
+          throw error;
+        }
+        directError = error;
       }
     }
-    return null;
-  }
 
-  async getTranscript(videoId, language = 'en') {
+    let tracks;
     try {
-      // Completely suppress all console output and process writes
-      this.suppressConsoleOutput();
+      tracks = await this.withTimeout(this.captionTrackLister(videoId), 'listing caption tracks');
+    } catch (error) {
+      throw directError || error;
+    }
 
-      // Use youtube-caption-extractor
-      const subtitles = await getSubtitles({
-        videoID: videoId,
-        lang: language
-      });
+    const track = selectCaptionTrack(tracks, preferences);
+    if (!track) {
+      if (directError && tracks.length === 0) {
+        throw directError;
+      }
+      const available = tracks.map(item => this.describeCaptionTrack(item)).join(', ') || 'none';
+      throw new Error(`No transcript found for language ${preferences.join(', ')}. Available caption tracks: ${available}`);
+    }
+
+    const transcript = this.cleanTranscript(await this.getTranscript(videoId, track.languageCode), steps);
+    return { transcript, track, fallback: true };
+  }
+
+  normalizeTranscript(transcript, normalize) {
+    return normalizeTranscript(transcript, resolveNormalization(this.normalization, normalize));
+  }
+
+  // Normalizes a fetched transcript. Cleanup can drop every segment (captions
+  // that are only [Music] or [Applause]), and the handlers rely on at least one.
+  cleanTranscript(transcript, steps = resolveNormalization(this.normalization)) {
+    const cleaned = normalizeTranscript(transcript, steps);
+    if (cleaned.length === 0) {
+      throw new Error(NO_TRANSCRIPT_MESSAGE);
+    }
+    return cleaned;
+  }
+
+  // The configured language as one code, for tools that fetch a single track
+  primaryLanguage() {
+    return normalizeLanguagePreferences(this.config.language)[0];
+  }
+
+  // Bounds a network call by the configured timeout_ms
+  withTimeout(promise, what) {
+    const ms = this.config.timeout_ms;
+    return abortable(withTimeout(promise, ms, `Timed out after ${ms / 1000}s ${what}`), currentSignal());
+  }
+
+  // Runs `task` under the per-attempt timeout and retries transient failures
+  // with the configured backoff, for lookups outside the provider chain
+  withRetries(task, what) {
+    return withRetry(() => this.withTimeout(task(), what), {
+      retries: this.config.retries,
+      delayMs: this.config.retry_delay_ms,
+      maxDelayMs: this.config.retry_max_delay_ms,
+      signal: currentSignal()
+    });
+  }
+
+  describeCaptionTrack(track) {
+    if (track.isAutoGenerated === undefined) {
+      return track.languageCode;
+    }
+    return `${track.languageCode} (${track.isAutoGenerated ? 'auto-generated' : 'manual'})`;
+  }
 
-      if (!subtitles || subtitles.length === 0) {
-        throw new Error('No captions found for this video');
+  // Caller-supplied chapters win; otherwise chapters come from the video description.
+  // Metadata failures just mean no chapters, so the transcript still renders.
+  async resolveChapters(videoId, chapterArgs) {
+    if (chapterArgs && chapterArgs.length > 0) {
+      return normalizeChapters(chapterArgs);
+    }
+
+    try {
+      const metadata = await this.getVideoMetadata(videoId);
+      return parseChaptersFromDescription(metadata && metadata.description);
+    } catch (error) {
+      // A cancelled or timed-out request must not go on to render a result
+      const signal = currentSignal();
+      if (isAbortError(error) || (signal && signal.aborted)) {
+        throw error;
       }
+      return [];
+    }
+  }
+
+  // Memoizes metadata lookups per video under the transcript cache's ttl_ms and
+  // max_entries, so view counts and chapters refresh and the map stays bounded.
+  // Failed lookups are forgotten so the next call tries again.
+  getVideoMetadata(videoId) {
+    let entry = this.metadataRequests.get(videoId);
+    if (entry && this.cache.ttlMs > 0 && Date.now() - entry.requestedAt > this.cache.ttlMs) {
+      entry = null;
+    }
+    if (!entry) {
+      entry = { requestedAt: Date.now() };
+      entry.request = Promise.resolve()
+        .then(() => this.metadataProvider(videoId))
+        .catch((error) => {
+          if (this.metadataRequests.get(videoId) === entry) {
+            this.metadataRequests.delete(videoId);
+          }
+          throw error;
+        });
+    }
+
+    // Re-inserting keeps the map in least recently used order
+    this.metadataRequests.delete(videoId);
+    this.metadataRequests.set(videoId, entry);
+    while (this.cache.maxEntries > 0 && this.metadataRequests.size > this.cache.maxEntries) {
+      this.metadataRequests.delete(this.metadataRequests.keys().next().value);
+    }
+    return abortable(entry.request, currentSignal());
+  }
+
+  // Default metadata provider: the first transcript provider with metadata for the video
+  fetchVideoMetadata(videoId) {
+    return this.providers.fetchMetadata(videoId);
+  }
 
-      return subtitles.map(item => ({
-        text: item.text,
-        offset: parseFloat(item.start) * 1000, // Convert to milliseconds
-        duration: parseFloat(item.dur) * 1000  // Convert to milliseconds
-      }));
+  async getTranscript(videoId, language = this.primaryLanguage()) {
+    return this.cache.getOrFetch(videoId, language, signal => this.fetchTranscript(videoId, language, signal), {
+      signal: currentSignal()
+    });
+  }
 
+  async fetchTranscript(videoId, language, signal = null) {
+    try {
+      return await this.providers.fetchTranscript(videoId, language, { signal });
     } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
       const message = (error && typeof error === 'object' && 'message' in error)
         ? error.message
         : String(error);
@@ -298,7 +1849,7 @@ class YouTubeSummarizerServer {
       if (message.includes('could not find captions') ||
           message.includes('No captions found') ||
           message.includes('transcript not available')) {
-        throw new Error('No transcript found for this video. Captions may be disabled or unavailable.');
+        throw new Error(NO_TRANSCRIPT_MESSAGE);
       } else if (message.includes('Video unavailable') ||
                 message.includes('private') ||
                 message.includes('does not exist')) {
@@ -309,8 +1860,6 @@ class YouTubeSummarizerServer {
       } else {
         throw new Error(`Failed to fetch transcript: ${message}`);
       }
-    } finally {
-      this.restoreConsoleOutput();
     }
   }
 
@@ -326,7 +1875,7 @@ class YouTubeSummarizerServer {
     }
   }
 
-  groupTranscriptIntoSections(transcript, sectionLengthSeconds) {
+  groupTranscriptIntoSections(transcript, sectionLengthSeconds, range = null) {
     const sections = [];
     let currentSection = {
       startTime: 0,
@@ -360,36 +1909,72 @@ class YouTubeSummarizerServer {
       sections.push(currentSection);
     }
 
+    // A sliced transcript reports the requested window, not the edges of its first and last segments
+    if (range && sections.length > 0) {
+      sections[0].startTime = Math.max(sections[0].startTime, range.start);
+      sections[sections.length - 1].endTime = Math.min(sections[sections.length - 1].endTime, range.end);
+    }
+
     return sections;
   }
 
-  splitIntoReadableParagraphs(transcript) {
-    const fullText = transcript.map(item => item.text).join(' ');
-
-    // Split into sentences and group them into paragraphs
-    const sentences = fullText.split(/[.!?]+/).filter(s => s.trim().length > 0);
-    const paragraphs = [];
-    let currentParagraph = '';
-    const sentencesPerParagraph = 4; // Adjust as needed
+  // Groups segments under the chapter they start in. Chapters are { start, title }
+  // with start in seconds; chapters without any segments are left out.
+  groupTranscriptIntoChapters(transcript, chapters, range = null) {
+    if (transcript.length === 0) {
+      return [];
+    }
 
-    for (let i = 0; i < sentences.length; i++) {
-      currentParagraph += sentences[i].trim();
-      currentParagraph += '. ';
+    const last = transcript[transcript.length - 1];
+    const videoEnd = last.offset + last.duration;
+    const sections = chapters.map((chapter, index) => ({
+      title: chapter.title,
+      startTime: chapter.start * 1000,
+      endTime: index + 1 < chapters.length ? chapters[index + 1].start * 1000 : Math.max(videoEnd, chapter.start * 1000),
+      text: ''
+    }));
 
-      if ((i + 1) % sentencesPerParagraph === 0 || i === sentences.length - 1) {
-        if (currentParagraph.trim()) {
-          paragraphs.push(currentParagraph.trim());
-        }
-        currentParagraph = '';
+    for (const item of transcript) {
+      // Segments before the first chapter belong to it
+      let index = 0;
+      while (index + 1 < sections.length && item.offset >= sections[index + 1].startTime) {
+        index++;
       }
+      sections[index].text += (sections[index].text ? ' ' : '') + item.text;
     }
 
-    return paragraphs;
+    return sections
+      .filter(section => section.text)
+      .map(section => range
+        ? {
+          ...section,
+          startTime: Math.max(section.startTime, range.start),
+          endTime: Math.min(section.endTime, range.end)
+        }
+        : section);
+  }
+
+  splitIntoReadableParagraphs(transcript) {
+    // Rebuild sentences from punctuation and timing, then group them into paragraphs
+    return groupIntoParagraphs(reconstructSentences(transcript), { maxSentences: this.config.paragraph_sentences })
+      .map(paragraph => paragraph.text);
   }
 
-  async run() {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+  // `transport` is "stdio" (one client, the parent process) or "http" (shared
+  // Streamable HTTP endpoint plus legacy SSE). Resolves to the HTTP handle in HTTP mode.
+  // Stdio messages go to `output`, the real stdout when isolateOutput is installed.
+  async run({ transport = "stdio", host, port, output = process.stdout } = {}) {
+    if (transport === "http") {
+      const httpServer = await startHttpServer({ createServer: () => this.createServer(), host, port });
+      console.error(`YouTube Summarizer MCP server listening on ${httpServer.url} (legacy SSE at /sse)`);
+      return httpServer;
+    }
+    if (transport !== "stdio") {
+      throw new Error(`Unknown transport '${transport}'. Expected 'stdio' or 'http'.`);
+    }
+
+    const stdioTransport = new StdioServerTransport(process.stdin, output);
+    await this.server.connect(stdioTransport);
   }
 }
 
@@ -398,6 +1983,41 @@ module.exports = { YouTubeSummarizerServer };
 
 // Start the server only when run directly (not when imported)
 if (require.main === module) {
-  const server = new YouTubeSummarizerServer();
-  server.run().catch(console.error);
-}
\ No newline at end of file
+  const args = process.argv.slice(2);
+
+  // Defaults < config file < YTSUM_* environment variables < CLI flags
+  let config;
+  try {
+    ({ config } = loadConfig({ argv: args, env: process.env }));
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    console.error(error.message);
+    process.exit(2);
+  }
+
+  // Only the transport and CLI write to the real stdout; anything else printed
+  // there (such as library debug logging) is moved to stderr
+  const { output } = isolateOutput();
+
+  const server = new YouTubeSummarizerServer({
+    config,
+    cache: { dir: config.cache.dir, ttlMs: config.cache.ttl_ms, maxEntries: config.cache.max_entries }
+  });
+
+  if (args.length > 0 && isCliCommand(args[0])) {
+    // One-shot subcommands (transcript, info, search) that print and exit
+    runCli(args, { server, stdout: output }).then((code) => {
+      process.exitCode = code;
+    }, (error) => {
+      console.error(error);
+      process.exitCode = 1;
+    });
+  } else {
+    server.run({ transport: config.transport, host: config.host, port: config.port, output }).catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+  }
+}
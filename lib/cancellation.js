@@ -0,0 +1,104 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+
+// The AbortSignal of the MCP request being handled, so the transcript fetch at
+// the bottom of a tool call can stop without every method passing it along
+const requestSignal = new AsyncLocalStorage();
+
+function runWithSignal(signal, task) {
+  return requestSignal.run(signal || null, task);
+}
+
+function currentSignal() {
+  return requestSignal.getStore() || null;
+}
+
+// The error a cancelled operation rejects with. A deadline aborts its signal
+// with a timeout error, which is passed on as is.
+function abortError(signal) {
+  const reason = signal && signal.reason;
+  if (reason instanceof Error && reason.code === 'ETIMEDOUT') {
+    return reason;
+  }
+  const error = new Error('The request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError(signal);
+  }
+}
+
+// Settles like `promise`, or rejects as soon as `signal` aborts
+function abortable(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(abortError(signal));
+  }
+
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(abortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+function sleep(ms, signal) {
+  let timer;
+  const wait = new Promise(resolve => {
+    timer = setTimeout(resolve, ms);
+  });
+  return abortable(wait, signal).finally(() => clearTimeout(timer));
+}
+
+// Wraps an MCP request handler so the work it starts sees the request's signal.
+// The signal aborts when the client cancels the request or after `timeoutMs`
+// (0 for no deadline), whichever comes first.
+function withRequestSignal(handler, { timeoutMs = 0 } = {}) {
+  return (request, extra) => {
+    const controller = new AbortController();
+    const clientSignal = extra && extra.signal;
+    const onAbort = () => controller.abort(clientSignal.reason);
+
+    if (clientSignal) {
+      if (clientSignal.aborted) {
+        onAbort();
+      } else {
+        clientSignal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+    const timer = timeoutMs > 0 ? setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs / 1000}s handling the request`);
+      error.code = 'ETIMEDOUT';
+      controller.abort(error);
+    }, timeoutMs) : null;
+
+    return runWithSignal(controller.signal, () => handler(request, extra)).finally(() => {
+      clearTimeout(timer);
+      if (clientSignal) {
+        clientSignal.removeEventListener('abort', onAbort);
+      }
+    });
+  };
+}
+
+module.exports = {
+  runWithSignal,
+  currentSignal,
+  abortError,
+  isAbortError,
+  throwIfAborted,
+  abortable,
+  sleep,
+  withRequestSignal
+};
@@ -0,0 +1,254 @@
+const path = require('node:path');
+const { decodeEntities } = require('./text-normalization.js');
+
+// Also the file extensions, in order of preference when a video has several
+const CAPTION_FILE_FORMATS = ['vtt', 'srt', 'ttml', 'srv3', 'json3', 'json'];
+
+const EXTENSION_FORMATS = {
+  '.vtt': 'vtt',
+  '.webvtt': 'vtt',
+  '.srt': 'srt',
+  '.ttml': 'ttml',
+  '.dfxp': 'ttml',
+  '.srv3': 'srv3',
+  '.json3': 'json3',
+  '.json': 'json',
+  '.xml': 'xml'
+};
+
+// "01:02:03.450", "02:03.450" or "01:02:03,450" as milliseconds
+function parseCueTime(text) {
+  const match = text.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[.,](\d{1,3})$/);
+  if (!match) {
+    throw new Error(`Invalid cue time '${text.trim()}'`);
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(fraction.padEnd(3, '0'));
+}
+
+// Drops markup (<c>, <i>, <00:00:01.500> karaoke timestamps, {\an8}) and joins lines
+function cueText(lines) {
+  return decodeEntities(lines.join(' ')
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// SRT and VTT share the "start --> end" cue layout
+function parseCueBlocks(text) {
+  const segments = [];
+
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach(block => {
+    const lines = block.split('\n');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing < 0) {
+      return;
+    }
+
+    const [start, end] = lines[timing].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const offset = parseCueTime(start);
+    const duration = Math.max(0, parseCueTime(end) - offset);
+    const textValue = cueText(lines.slice(timing + 1));
+    if (!textValue) {
+      return;
+    }
+
+    // Rolling auto-captions repeat a cue for a few milliseconds; extend the first instead
+    const previous = segments[segments.length - 1];
+    if (previous && previous.text === textValue) {
+      previous.duration = Math.max(previous.duration, offset + duration - previous.offset);
+      return;
+    }
+    segments.push({ text: textValue, offset, duration });
+  });
+
+  return segments;
+}
+
+function parseVtt(text) {
+  if (!/^\uFEFF?WEBVTT/.test(text)) {
+    throw new Error('Missing WEBVTT header');
+  }
+  // NOTE, STYLE and REGION blocks have no cue timing, so parseCueBlocks skips them
+  return parseCueBlocks(text);
+}
+
+function parseSrt(text) {
+  return parseCueBlocks(text.replace(/^\uFEFF/, ''));
+}
+
+// The json transcript format this server writes (times in milliseconds)
+function parseJsonTranscript(text) {
+  const data = JSON.parse(text);
+  const segments = Array.isArray(data) ? data : data && data.segments;
+  if (!Array.isArray(segments)) {
+    throw new Error('Expected a "segments" array');
+  }
+
+  return segments
+    .filter(segment => segment && typeof segment.text === 'string')
+    .map(segment => ({
+      text: segment.text,
+      offset: Number(segment.start) || 0,
+      duration: segment.duration !== undefined
+        ? Number(segment.duration) || 0
+        : Math.max(0, (Number(segment.end) || 0) - (Number(segment.start) || 0))
+    }));
+}
+
+// Text of an XML element's content: <br/> becomes a space, other tags are dropped
+function xmlText(content) {
+  return decodeEntities(content
+    .replace(/<(?:\w+:)?br\s*\/?>/gi, ' ')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function xmlAttributes(text) {
+  const attributes = {};
+  text.replace(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g, (match, name, quoted, double, single) => {
+    attributes[name.replace(/^\w+:/, '')] = double !== undefined ? double : single;
+    return match;
+  });
+  return attributes;
+}
+
+// TTML times: "00:00:01.500", "00:00:01:12" (frames), or offsets like "1.5s",
+// "1500ms", "90f" and "12345t" (ticks)
+function parseTtmlTime(value, { frameRate, tickRate }) {
+  const text = String(value).trim();
+  const clock = text.match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+))?$/);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction = '0'] = clock;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(`0.${fraction}`) * 1000;
+  }
+  const frames = text.match(/^(\d+):(\d{2}):(\d{2}):(\d+(?:\.\d+)?)$/);
+  if (frames) {
+    const [, hours, minutes, seconds, frame] = frames;
+    return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(frame) / frameRate * 1000;
+  }
+  const offset = text.match(/^(\d+(?:\.\d+)?)(h|m|s|ms|f|t)$/);
+  if (offset) {
+    const amount = Number(offset[1]);
+    const unit = { h: 3600000, m: 60000, s: 1000, ms: 1, f: 1000 / frameRate, t: 1000 / tickRate }[offset[2]];
+    return amount * unit;
+  }
+  throw new Error(`Invalid TTML time '${text}'`);
+}
+
+function parseTtml(text) {
+  const root = text.match(/<(?:\w+:)?tt\b([^>]*)>/);
+  if (!root) {
+    throw new Error('Missing <tt> root element');
+  }
+  const rootAttributes = xmlAttributes(root[1]);
+  const rates = {
+    frameRate: Number(rootAttributes.frameRate) || 30,
+    tickRate: Number(rootAttributes.tickRate) || 1
+  };
+
+  const segments = [];
+  const paragraph = /<((?:\w+:)?p)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  let match;
+  while ((match = paragraph.exec(text)) !== null) {
+    const attributes = xmlAttributes(match[2]);
+    const content = xmlText(match[3] || '');
+    if (!content || attributes.begin === undefined) {
+      continue;
+    }
+    const offset = parseTtmlTime(attributes.begin, rates);
+    let duration = 0;
+    if (attributes.end !== undefined) {
+      duration = parseTtmlTime(attributes.end, rates) - offset;
+    } else if (attributes.dur !== undefined) {
+      duration = parseTtmlTime(attributes.dur, rates);
+    }
+    segments.push({ text: content, offset: Math.round(offset), duration: Math.max(0, Math.round(duration)) });
+  }
+
+  return segments;
+}
+
+// YouTube's srv3: <timedtext format="3"><body><p t="ms" d="ms">text<s>words</s></p>
+function parseSrv3(text) {
+  if (!/<timedtext\b/.test(text)) {
+    throw new Error('Missing <timedtext> root element');
+  }
+
+  const segments = [];
+  const paragraph = /<p\b([^>]*?)(?:\/>|>([\s\S]*?)<\/p>)/g;
+  let match;
+  while ((match = paragraph.exec(text)) !== null) {
+    const attributes = xmlAttributes(match[1]);
+    const content = xmlText(match[2] || '');
+    if (content && attributes.t !== undefined) {
+      segments.push({ text: content, offset: Number(attributes.t) || 0, duration: Number(attributes.d) || 0 });
+    }
+  }
+
+  return segments;
+}
+
+// YouTube's json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }.
+// Events without text (window setup, the newlines auto-captions append) are skipped.
+function parseJson3(text) {
+  const data = JSON.parse(text);
+  if (!data || !Array.isArray(data.events)) {
+    throw new Error('Expected an "events" array');
+  }
+
+  return data.events
+    .filter(event => Array.isArray(event.segs))
+    .map(event => ({
+      text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim(),
+      offset: Number(event.tStartMs) || 0,
+      duration: Number(event.dDurationMs) || 0
+    }))
+    .filter(segment => segment.text);
+}
+
+const PARSERS = {
+  vtt: parseVtt,
+  srt: parseSrt,
+  ttml: parseTtml,
+  srv3: parseSrv3,
+  json3: parseJson3,
+  json: parseJsonTranscript
+};
+
+// The caption format of `file`, from its extension. ".xml" and ".json" files
+// are told apart by their content.
+function detectCaptionFormat(file, text) {
+  const format = EXTENSION_FORMATS[path.extname(file).toLowerCase()];
+  if (format === 'xml') {
+    return /<timedtext\b/.test(text) ? 'srv3' : 'ttml';
+  }
+  if (format === 'json') {
+    return /^\s*\{\s*"(?:wireMagic|events)"/.test(text) ? 'json3' : 'json';
+  }
+  if (!format) {
+    throw new Error(`Unsupported caption file type '${path.extname(file) || path.basename(file)}'. ` +
+      `Expected one of: ${Object.keys(EXTENSION_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+// Parses caption file `text` in `format` (a CAPTION_FILE_FORMATS entry) into
+// [{ text, offset, duration }] segments with times in milliseconds
+function parseCaptionFile(text, format) {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error(`Unsupported caption format '${format}'. Expected one of: ${CAPTION_FILE_FORMATS.join(', ')}`);
+  }
+  return parse(text);
+}
+
+module.exports = {
+  CAPTION_FILE_FORMATS,
+  parseCueTime,
+  parseTtmlTime,
+  parseCaptionFile,
+  detectCaptionFormat
+};
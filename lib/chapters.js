@@ -0,0 +1,85 @@
+const { parseTimeInput } = require('./time.js');
+
+const TIMESTAMP = '((?:\\d{1,2}:)?\\d{1,2}:\\d{2})';
+const SEPARATOR = '[\\s\\-–—:|.)\\]]*';
+const LEADING_TIMESTAMP = new RegExp(`^\\s*(?:[-•*]\\s*)?[([]?${TIMESTAMP}${SEPARATOR}(.+?)\\s*$`);
+const TRAILING_TIMESTAMP = new RegExp(`^\\s*(?:[-•*]\\s*)?(.+?)[\\s\\-–—:|([]*${TIMESTAMP}[)\\]]?\\s*$`);
+
+// YouTube only turns a description into chapters when there are at least
+// three timestamps in ascending order, the first one at 0:00
+const MIN_DESCRIPTION_CHAPTERS = 3;
+
+function parseChapterLine(line) {
+  let match = line.match(LEADING_TIMESTAMP);
+  if (match) {
+    return { start: parseTimeInput(match[1]), title: match[2].trim() };
+  }
+
+  match = line.match(TRAILING_TIMESTAMP);
+  if (match) {
+    return { start: parseTimeInput(match[2]), title: match[1].trim() };
+  }
+
+  return null;
+}
+
+// Returns [{ start (seconds), title }] from "00:00 Intro" style lines, or [] when
+// the description does not follow YouTube's chapter rules
+function parseChaptersFromDescription(description) {
+  if (!description) {
+    return [];
+  }
+
+  const chapters = [];
+  for (const line of description.split(/\r?\n/)) {
+    let chapter;
+    try {
+      chapter = parseChapterLine(line);
+    } catch {
+      chapter = null;
+    }
+    if (chapter && chapter.title) {
+      chapters.push(chapter);
+    }
+  }
+
+  if (chapters.length < MIN_DESCRIPTION_CHAPTERS || chapters[0].start !== 0) {
+    return [];
+  }
+  for (let i = 1; i < chapters.length; i++) {
+    if (chapters[i].start <= chapters[i - 1].start) {
+      return [];
+    }
+  }
+
+  return chapters;
+}
+
+// Normalizes caller-supplied chapters: "1:30 Setup" strings or
+// { start_time | start, title } objects, sorted by start time
+function normalizeChapters(input) {
+  if (!Array.isArray(input)) {
+    throw new Error('chapters must be an array of "0:00 Title" strings or { start_time, title } objects.');
+  }
+
+  const chapters = input.map(entry => {
+    const chapter = typeof entry === 'string'
+      ? parseChapterLine(entry)
+      : entry && {
+        start: parseTimeInput(entry.start_time !== undefined ? entry.start_time : entry.start),
+        title: String(entry.title || '').trim()
+      };
+
+    if (!chapter || !chapter.title) {
+      throw new Error(`Invalid chapter '${typeof entry === 'string' ? entry : JSON.stringify(entry)}'. Expected a start time and a title.`);
+    }
+    return chapter;
+  });
+
+  return chapters.sort((a, b) => a.start - b.start);
+}
+
+module.exports = {
+  parseChaptersFromDescription,
+  normalizeChapters
+};
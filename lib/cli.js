@@ -0,0 +1,215 @@
+const fs = require('node:fs/promises');
+
+// Distinct exit codes so shell scripts can tell failures apart
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  INVALID_URL: 3,
+  NO_CAPTIONS: 4,
+  VIDEO_UNAVAILABLE: 5
+};
+
+const COMMANDS = ['transcript', 'info', 'search', 'help'];
+
+// Options that take no value
+const FLAGS = new Set(['timestamps', 'raw', 'help']);
+
+const USAGE = `Usage: youtube-summarizer-mcp-server <command> [options]
+
+Commands:
+  transcript <url>        Print a video's transcript
+  info <url>              Print video information
+  search <url> <query>    Find where a phrase is mentioned
+  help                    Show this help
+
+Run without a command to start the MCP server (stdio, or --http).
+
+Options:
+  --format <format>       Transcript format: plain, structured, srt, vtt, json, csv (default structured, or the configured format)
+  --lang <codes>          Language code or comma separated fallback list, e.g. en-US,en,auto (default en)
+  --timestamps            Include timestamps in plain and structured transcripts
+  --start <time>          Start the transcript at this time, e.g. 1:30 or 90
+  --end <time>            End the transcript at this time
+  --raw                   Skip caption text cleanup
+  --mode <mode>           Search match mode: exact, case_insensitive, fuzzy
+  --context <n>           Segments of context around each search match
+  --max-results <n>       Maximum number of search matches
+  --out <file>            Write the result to a file instead of stdout
+
+Exit codes:
+  0 success, 1 other error, 2 usage error, 3 invalid URL,
+  4 no captions for the video or language, 5 video private or unavailable
+`;
+
+class UsageError extends Error {}
+
+function isCliCommand(arg) {
+  return COMMANDS.includes(arg) || arg === '--help' || arg === '-h';
+}
+
+// Splits argv into positionals and --options (`--name value`, `--name=value` or a flag)
+function parseArgs(args) {
+  const positionals = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (FLAGS.has(name)) {
+      options[name] = true;
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+  }
+
+  return { positionals, options };
+}
+
+function toInteger(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new UsageError(`--${name} must be a non-negative integer`);
+  }
+  return number;
+}
+
+function language(options) {
+  const value = options.lang || options.language;
+  if (!value) {
+    return undefined;
+  }
+  return value.includes(',') ? value.split(',').map(code => code.trim()).filter(Boolean) : value;
+}
+
+// Builds the tool handler call for a subcommand
+function buildCall(command, positionals, options) {
+  const [url, ...rest] = positionals;
+  if (!url) {
+    throw new UsageError(`Missing <url> for '${command}'`);
+  }
+
+  if (command === 'transcript') {
+    return {
+      handler: 'handleGetTranscript',
+      args: {
+        url,
+        format: options.format,
+        include_timestamps: Boolean(options.timestamps),
+        language: language(options),
+        start_time: options.start,
+        end_time: options.end,
+        normalize: options.raw ? false : undefined
+      }
+    };
+  }
+
+  if (command === 'info') {
+    return { handler: 'handleGetVideoInfo', args: { url, language: language(options) } };
+  }
+
+  const query = rest.join(' ');
+  if (!query) {
+    throw new UsageError("Missing <query> for 'search'");
+  }
+  return {
+    handler: 'handleSearchTranscript',
+    args: {
+      url,
+      query,
+      match_mode: options.mode,
+      context: toInteger(options.context, 'context'),
+      max_results: toInteger(options['max-results'], 'max-results'),
+      language: language(options)
+    }
+  };
+}
+
+function exitCodeFor(error) {
+  const message = error.message || '';
+  if (message.startsWith('Invalid YouTube URL')) {
+    return EXIT_CODES.INVALID_URL;
+  }
+  if (message.startsWith('No transcript found') || message.includes('No captions found')) {
+    return EXIT_CODES.NO_CAPTIONS;
+  }
+  if (message.includes('video is unavailable') || message.startsWith('Video unavailable')) {
+    return EXIT_CODES.VIDEO_UNAVAILABLE;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+// Drops undefined values so the handlers apply their own defaults
+function definedOnly(args) {
+  return Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined));
+}
+
+// Runs one subcommand against `server` (a YouTubeSummarizerServer) and
+// resolves to the process exit code. Output goes to `stdout` or --out.
+async function runCli(args, { server, stdout = process.stdout, stderr = process.stderr }) {
+  const [command, ...rest] = args;
+
+  if (command === 'help' || command === '--help' || command === '-h') {
+    stdout.write(USAGE);
+    return EXIT_CODES.OK;
+  }
+
+  let call;
+  let options;
+  try {
+    if (!COMMANDS.includes(command)) {
+      throw new UsageError(`Unknown command '${command}'`);
+    }
+    const parsed = parseArgs(rest);
+    options = parsed.options;
+    if (options.help) {
+      stdout.write(USAGE);
+      return EXIT_CODES.OK;
+    }
+    call = buildCall(command, parsed.positionals, options);
+  } catch (error) {
+    if (!(error instanceof UsageError)) {
+      throw error;
+    }
+    stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const result = await server[call.handler](definedOnly(call.args));
+    // The first item is the document; later ones are notes (such as the caption
+    // track used) that would corrupt an SRT or JSON file, so they go to stderr
+    const [document, ...notes] = result.content;
+    const text = `${document.text}\n`;
+    notes.forEach(note => stderr.write(`${note.text}\n`));
+
+    if (options.out) {
+      await fs.writeFile(options.out, text);
+    } else {
+      stdout.write(text);
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    stderr.write(`Error: ${error.message}\n`);
+    return exitCodeFor(error);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  isCliCommand,
+  parseArgs,
+  runCli
+};
@@ -0,0 +1,308 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const YAML = require('yaml');
+const { DEFAULT_CACHE_DIR, DEFAULT_TTL_MS, DEFAULT_MAX_ENTRIES } = require('./transcript-cache.js');
+const { TRANSCRIPT_FORMATS } = require('./output-formats.js');
+const { NORMALIZATION_STEPS } = require('./text-normalization.js');
+const { providerNames } = require('./transcript-providers.js');
+const packageInfo = require('../package.json');
+
+const CONFIG_FILE_NAMES = ['youtube-summarizer.config.json', 'youtube-summarizer.config.yaml', 'youtube-summarizer.config.yml'];
+const USER_CONFIG_DIR = path.join(os.homedir(), '.config', 'youtube-summarizer-mcp-server');
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+const isString = value => typeof value === 'string' && value.trim().length > 0;
+const integerIn = (min, max = Number.MAX_SAFE_INTEGER) => value =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+function toNumber(text) {
+  return /^-?\d+(\.\d+)?$/.test(text.trim()) ? Number(text) : text;
+}
+
+function toList(text) {
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Directory lists use the PATH separator (":" or ";" on Windows)
+function toPathList(text) {
+  return text.split(path.delimiter).map(item => item.trim()).filter(Boolean);
+}
+
+// Every tunable: its place in the config object, the environment variable and
+// CLI flag that set it, its default, and the rule it must satisfy
+const SETTINGS = [
+  {
+    key: 'language', env: 'YTSUM_LANGUAGE', flag: 'language', default: 'en',
+    valid: value => isString(value) || (Array.isArray(value) && value.length > 0 && value.every(isString)),
+    expected: 'a language code, comma separated list or array of codes'
+  },
+  {
+    key: 'format', env: 'YTSUM_FORMAT', flag: 'format', default: 'structured',
+    valid: value => TRANSCRIPT_FORMATS.includes(value),
+    expected: `one of ${TRANSCRIPT_FORMATS.join(', ')}`
+  },
+  {
+    key: 'section_seconds', env: 'YTSUM_SECTION_SECONDS', flag: 'section-seconds', default: 120, parse: toNumber,
+    valid: integerIn(10), expected: 'an integer of at least 10'
+  },
+  {
+    key: 'paragraph_sentences', env: 'YTSUM_PARAGRAPH_SENTENCES', flag: 'paragraph-sentences', default: 4, parse: toNumber,
+    valid: integerIn(1, 50), expected: 'an integer from 1 to 50'
+  },
+  {
+    key: 'timeout_ms', env: 'YTSUM_TIMEOUT_MS', flag: 'timeout-ms', default: 30000, parse: toNumber,
+    valid: integerIn(0), expected: 'a non-negative integer (0 disables the timeout)'
+  },
+  {
+    key: 'request_timeout_ms', env: 'YTSUM_REQUEST_TIMEOUT_MS', flag: 'request-timeout-ms', default: 120000, parse: toNumber,
+    valid: integerIn(0), expected: 'a non-negative integer (0 disables the timeout)'
+  },
+  {
+    key: 'retries', env: 'YTSUM_RETRIES', flag: 'retries', default: 2, parse: toNumber,
+    valid: integerIn(0, 10), expected: 'an integer from 0 to 10'
+  },
+  {
+    key: 'retry_delay_ms', env: 'YTSUM_RETRY_DELAY_MS', flag: 'retry-delay-ms', default: 500, parse: toNumber,
+    valid: integerIn(0), expected: 'a non-negative integer'
+  },
+  {
+    key: 'retry_max_delay_ms', env: 'YTSUM_RETRY_MAX_DELAY_MS', flag: 'retry-max-delay-ms', default: 8000, parse: toNumber,
+    valid: integerIn(0), expected: 'a non-negative integer'
+  },
+  {
+    key: 'providers', env: 'YTSUM_PROVIDERS', flag: 'providers', default: ['extractor'], parse: toList,
+    valid: value => Array.isArray(value) && value.length > 0 && value.every(name => providerNames().includes(name)),
+    expected: `a list of transcript providers to try in order, from ${providerNames().join(', ')}`
+  },
+  {
+    key: 'local_dir', env: 'YTSUM_LOCAL_DIR', flag: 'local-dir', default: null,
+    valid: value => value === null || isString(value), expected: 'a directory path'
+  },
+  {
+    key: 'yt_dlp_dir', env: 'YTSUM_YT_DLP_DIR', flag: 'yt-dlp-dir', default: null,
+    valid: value => value === null || isString(value), expected: 'a directory path'
+  },
+  {
+    key: 'allowed_dirs', env: 'YTSUM_ALLOWED_DIRS', flag: 'allowed-dirs', default: [], parse: toPathList,
+    valid: value => Array.isArray(value) && value.every(isString),
+    expected: 'a list of directories get_local_transcript may read'
+  },
+  {
+    key: 'normalization', default: {},
+    valid: value => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([step, enabled]) => NORMALIZATION_STEPS.includes(step) && typeof enabled === 'boolean'),
+    expected: `an object of true/false switches for ${NORMALIZATION_STEPS.join(', ')}`
+  },
+  {
+    key: 'cache.dir', env: 'YTSUM_CACHE_DIR', flag: 'cache-dir', default: DEFAULT_CACHE_DIR,
+    valid: isString, expected: 'a directory path'
+  },
+  {
+    key: 'cache.ttl_ms', env: 'YTSUM_CACHE_TTL_MS', flag: 'cache-ttl-ms', default: DEFAULT_TTL_MS, parse: toNumber,
+    valid: integerIn(0), expected: 'a non-negative integer'
+  },
+  {
+    key: 'cache.max_entries', env: 'YTSUM_CACHE_MAX_ENTRIES', flag: 'cache-max-entries', default: DEFAULT_MAX_ENTRIES, parse: toNumber,
+    valid: integerIn(1), expected: 'a positive integer'
+  },
+  {
+    key: 'server.name', env: 'YTSUM_SERVER_NAME', flag: 'server-name', default: 'youtube-summarizer-server',
+    valid: isString, expected: 'a non-empty string'
+  },
+  {
+    key: 'server.version', default: packageInfo.version,
+    valid: isString, expected: 'a non-empty string'
+  },
+  {
+    key: 'transport', env: 'YTSUM_TRANSPORT', flag: 'transport', default: 'stdio',
+    valid: value => ['stdio', 'http'].includes(value), expected: "'stdio' or 'http'"
+  },
+  {
+    key: 'host', env: 'YTSUM_HOST', flag: 'host', default: '127.0.0.1',
+    valid: isString, expected: 'a host name or IP address'
+  },
+  {
+    key: 'port', env: 'YTSUM_PORT', flag: 'port', default: 3000, parse: toNumber,
+    valid: integerIn(0, 65535), expected: 'a port number from 0 to 65535'
+  }
+];
+
+// Rules that span several settings
+const CHECKS = [
+  config => (config.providers.includes('local-dir') && !config.local_dir
+    ? "providers includes 'local-dir' but local_dir is not set"
+    : null),
+  config => (config.providers.includes('yt-dlp') && !config.yt_dlp_dir
+    ? "providers includes 'yt-dlp' but yt_dlp_dir is not set"
+    : null),
+  config => (config.retry_max_delay_ms < config.retry_delay_ms
+    ? 'retry_max_delay_ms must be at least retry_delay_ms'
+    : null)
+];
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  let target = object;
+  parts.slice(0, -1).forEach(part => {
+    target[part] = target[part] || {};
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function defaultConfig() {
+  const config = {};
+  SETTINGS.forEach(setting => setPath(config, setting.key, structuredClone(setting.default)));
+  return config;
+}
+
+// Lists keys in a config file that no setting knows about (usually typos)
+function unknownKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([name, value]) => {
+    const key = prefix + name;
+    if (SETTINGS.some(setting => setting.key === key)) {
+      return [];
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+      SETTINGS.some(setting => setting.key.startsWith(`${key}.`))) {
+      return unknownKeys(value, `${key}.`);
+    }
+    return [key];
+  });
+}
+
+// Layers `overrides` (a partial config) over the defaults and validates the
+// result, throwing a ConfigError that lists every problem. `sources` names
+// where each key came from for the error messages.
+function resolveConfig(overrides = {}, sources = {}) {
+  const problems = unknownKeys(overrides).map(key => `unknown setting '${key}'${sources[key] ? ` (from ${sources[key]})` : ''}`);
+  const config = defaultConfig();
+
+  SETTINGS.forEach(setting => {
+    const value = getPath(overrides, setting.key);
+    if (value === undefined) {
+      return;
+    }
+    if (!setting.valid(value)) {
+      const source = sources[setting.key] ? ` (from ${sources[setting.key]})` : '';
+      problems.push(`${setting.key} must be ${setting.expected}, got ${JSON.stringify(value)}${source}`);
+      return;
+    }
+    setPath(config, setting.key, value);
+  });
+
+  CHECKS.forEach(check => {
+    const problem = check(config);
+    if (problem) {
+      problems.push(problem);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  return config;
+}
+
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`could not read config file ${file}: ${error.message}`]);
+  }
+
+  let parsed;
+  try {
+    parsed = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`could not parse config file ${file}: ${error.message}`]);
+  }
+
+  if (parsed == null) {
+    return {};
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError([`config file ${file} must contain an object of settings`]);
+  }
+  return parsed;
+}
+
+// An explicit --config or YTSUM_CONFIG path, else the first config file found
+// in the working directory, then in ~/.config/youtube-summarizer-mcp-server
+function findConfigFile(explicit, cwd, userConfigDir) {
+  if (explicit) {
+    return path.resolve(cwd, explicit);
+  }
+  const candidates = [
+    ...CONFIG_FILE_NAMES.map(name => path.join(cwd, name)),
+    ...['config.json', 'config.yaml', 'config.yml'].map(name => path.join(userConfigDir, name))
+  ];
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+function readFlag(argv, flag) {
+  const inline = argv.find(arg => arg.startsWith(`--${flag}=`));
+  if (inline) {
+    return inline.slice(flag.length + 3);
+  }
+  const index = argv.indexOf(`--${flag}`);
+  return index >= 0 && index + 1 < argv.length ? argv[index + 1] : undefined;
+}
+
+// Builds the effective config: defaults < config file < YTSUM_* environment
+// variables < CLI flags. Returns { config, file } where file is the config
+// file used, if any.
+function loadConfig({ argv = [], env = {}, cwd = process.cwd(), userConfigDir = USER_CONFIG_DIR } = {}) {
+  const file = findConfigFile(readFlag(argv, 'config') || env.YTSUM_CONFIG, cwd, userConfigDir);
+  const overrides = file ? readConfigFile(file) : {};
+  const sources = {};
+  unknownKeys(overrides).forEach(key => {
+    sources[key] = file;
+  });
+  SETTINGS.forEach(setting => {
+    if (getPath(overrides, setting.key) !== undefined) {
+      sources[setting.key] = file;
+    }
+  });
+
+  SETTINGS.forEach(setting => {
+    const fromEnv = setting.env && env[setting.env];
+    const fromFlag = setting.flag && readFlag(argv, setting.flag);
+    const [text, source] = fromFlag !== undefined
+      ? [fromFlag, `--${setting.flag}`]
+      : [fromEnv || undefined, setting.env];
+
+    if (text !== undefined) {
+      setPath(overrides, setting.key, setting.parse ? setting.parse(text) : text);
+      sources[setting.key] = source;
+    }
+  });
+
+  if (argv.includes('--http')) {
+    overrides.transport = 'http';
+    sources.transport = '--http';
+  }
+
+  return { config: resolveConfig(overrides, sources), file };
+}
+
+module.exports = {
+  ConfigError,
+  SETTINGS,
+  defaultConfig,
+  resolveConfig,
+  loadConfig
+};
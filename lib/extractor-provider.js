@@ -0,0 +1,48 @@
+const { getSubtitles, getVideoDetails } = require('youtube-caption-extractor');
+const { fetchPlayerData, listCaptionTracks } = require('./caption-tracks.js');
+const { parseVideoMetadata } = require('./video-metadata.js');
+
+// Fetches from YouTube with youtube-caption-extractor and the InnerTube player
+// endpoint. The library logs to the console, which would corrupt a stdio MCP
+// stream, so its calls run through `quiet`. It takes no AbortSignal, so a
+// cancelled getSubtitles call is abandoned rather than stopped.
+function createExtractorProvider({ quiet = task => task() } = {}) {
+  return {
+    name: 'extractor',
+    async fetchTranscript(videoId, language) {
+      const subtitles = await quiet(() => getSubtitles({ videoID: videoId, lang: language }));
+      if (!subtitles || subtitles.length === 0) {
+        return null;
+      }
+
+      return subtitles.map(item => ({
+        text: item.text,
+        offset: parseFloat(item.start) * 1000, // Convert to milliseconds
+        duration: parseFloat(item.dur) * 1000  // Convert to milliseconds
+      }));
+    },
+    listCaptionTracks(videoId, { signal } = {}) {
+      return listCaptionTracks(videoId, { signal });
+    },
+    // The player response carries channel, views and length; the extractor's
+    // getVideoDetails only has title and description, so it is the fallback.
+    async fetchMetadata(videoId, { signal } = {}) {
+      try {
+        return parseVideoMetadata(await fetchPlayerData(videoId, { signal }));
+      } catch (error) {
+        let details;
+        try {
+          details = await quiet(() => getVideoDetails({ videoID: videoId, lang: 'en' }));
+        } catch {
+          throw error;
+        }
+        if (!details || !details.title) {
+          throw error;
+        }
+        return { title: details.title, description: details.description || null };
+      }
+    }
+  };
+}
+
+module.exports = { createExtractorProvider };
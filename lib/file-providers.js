@@ -0,0 +1,172 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { CAPTION_FILE_FORMATS, parseCaptionFile } = require('./caption-files.js');
+const { selectCaptionTrack } = require('./caption-tracks.js');
+
+// Skips yt-dlp side files such as "<id>.live_chat.json" that share the naming scheme
+const LANGUAGE_CODE = /^[a-z]{2,3}(?:-[a-z0-9]+)*$/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Finds the files for `videoId` in `dir`: "<id>.<lang>.<ext>" caption files and
+// "<id>.info.json". With `titled`, yt-dlp's default "<title> [<id>]" base names
+// match too. When a language has several formats the first in
+// CAPTION_FILE_FORMATS wins.
+async function scanVideoFiles(dir, videoId, { titled = false } = {}) {
+  let names;
+  try {
+    names = await fs.readdir(dir);
+  } catch (error) {
+    throw new Error(`Could not read caption directory ${dir}: ${error.message}`);
+  }
+
+  const id = escapeRegExp(videoId);
+  const base = titled ? `(?:${id}|.*\\[${id}\\])` : id;
+  const pattern = new RegExp(`^${base}\\.(?:(info\\.json)|([^.]+)\\.(${CAPTION_FILE_FORMATS.join('|')}))$`);
+  const captions = new Map();
+  let infoFile = null;
+
+  names.sort().forEach(name => {
+    const match = name.match(pattern);
+    if (!match) {
+      return;
+    }
+    if (match[1]) {
+      infoFile = infoFile || path.join(dir, name);
+      return;
+    }
+
+    const [, , languageCode, format] = match;
+    const existing = captions.get(languageCode);
+    if (LANGUAGE_CODE.test(languageCode) &&
+      (!existing || CAPTION_FILE_FORMATS.indexOf(format) < CAPTION_FILE_FORMATS.indexOf(existing.format))) {
+      captions.set(languageCode, { languageCode, format, file: path.join(dir, name) });
+    }
+  });
+
+  return { captions: [...captions.values()], infoFile };
+}
+
+async function readCaptionFile({ file, format }) {
+  const text = await fs.readFile(file, 'utf8');
+  try {
+    return parseCaptionFile(text, format);
+  } catch (error) {
+    throw new Error(`Could not parse caption file ${file}: ${error.message}`);
+  }
+}
+
+// Reads the transcript whose track best matches `language`, or null when the
+// directory has none
+async function readMatchingCaptions(tracks, language) {
+  const track = selectCaptionTrack(tracks, [language]);
+  return track ? readCaptionFile(track) : null;
+}
+
+function publicTrack({ languageCode, name, isAutoGenerated, isTranslatable }) {
+  return { languageCode, name, isAutoGenerated, isTranslatable };
+}
+
+// Reads pre-downloaded caption files named "<video id>.<language>.<ext>" for any
+// extension in CAPTION_FILE_FORMATS
+function createLocalDirProvider({ dir } = {}) {
+  if (!dir) {
+    throw new Error('The local-dir provider needs a directory (local_dir).');
+  }
+
+  const tracksFor = async (videoId) => (await scanVideoFiles(dir, videoId)).captions.map(caption => ({
+    ...caption,
+    name: caption.languageCode,
+    isAutoGenerated: false,
+    isTranslatable: false
+  }));
+
+  return {
+    name: 'local-dir',
+    async fetchTranscript(videoId, language) {
+      return readMatchingCaptions(await tracksFor(videoId), language);
+    },
+    async listCaptionTracks(videoId) {
+      return (await tracksFor(videoId)).map(publicTrack);
+    }
+  };
+}
+
+async function readInfoFile(infoFile) {
+  if (!infoFile) {
+    return null;
+  }
+  try {
+    return JSON.parse(await fs.readFile(infoFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${infoFile}: ${error.message}`);
+  }
+}
+
+// "20240102" as "2024-01-02"
+function formatUploadDate(date) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(date || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Reads the output of `yt-dlp --write-info-json --write-subs --write-auto-subs`:
+// "<title> [<id>].<language>.vtt" (or "<id>.<language>.vtt") plus
+// "<title> [<id>].info.json" for metadata and to tell auto-generated tracks apart
+function createYtDlpProvider({ dir } = {}) {
+  if (!dir) {
+    throw new Error('The yt-dlp provider needs a directory (yt_dlp_dir).');
+  }
+
+  async function scan(videoId) {
+    const { captions, infoFile } = await scanVideoFiles(dir, videoId, { titled: true });
+    const info = await readInfoFile(infoFile);
+    const manual = (info && info.subtitles) || {};
+    const automatic = (info && info.automatic_captions) || {};
+
+    const tracks = captions.map(caption => {
+      const entries = manual[caption.languageCode] || automatic[caption.languageCode] || [];
+      return {
+        ...caption,
+        name: (entries[0] && entries[0].name) || caption.languageCode,
+        isAutoGenerated: !manual[caption.languageCode] && Boolean(automatic[caption.languageCode]),
+        isTranslatable: false
+      };
+    });
+    return { tracks, info };
+  }
+
+  return {
+    name: 'yt-dlp',
+    async fetchTranscript(videoId, language) {
+      return readMatchingCaptions((await scan(videoId)).tracks, language);
+    },
+    async listCaptionTracks(videoId) {
+      return (await scan(videoId)).tracks.map(publicTrack);
+    },
+    async fetchMetadata(videoId) {
+      const { info } = await scan(videoId);
+      if (!info) {
+        return null;
+      }
+      return {
+        title: info.title || null,
+        channel: info.channel || info.uploader || null,
+        channelId: info.channel_id || null,
+        description: info.description || null,
+        publishDate: formatUploadDate(info.upload_date),
+        viewCount: typeof info.view_count === 'number' ? info.view_count : null,
+        lengthSeconds: typeof info.duration === 'number' ? Math.round(info.duration) : null,
+        thumbnailUrl: info.thumbnail || null,
+        isLive: Boolean(info.is_live)
+      };
+    }
+  };
+}
+
+module.exports = {
+  scanVideoFiles,
+  createLocalDirProvider,
+  createYtDlpProvider
+};
@@ -0,0 +1,231 @@
+const http = require('node:http');
+const { randomUUID } = require('node:crypto');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+// Clients that vanish without a DELETE leave their session behind, so sessions
+// with no request for this long are closed, and at most this many are kept
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_SESSIONS = 100;
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+
+function sendJsonRpcError(res, status, code, message) {
+  if (res.headersSent) {
+    return;
+  }
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch {
+        reject(new SyntaxError('Parse error: request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serves MCP over Streamable HTTP at `path` with a session per client, plus the
+// legacy HTTP+SSE transport (GET `ssePath`, POST `messagesPath`) for older
+// clients. `createServer` must return a fresh, unconnected MCP server.
+// Streamable HTTP sessions idle for `sessionIdleMs` are closed, and new ones
+// are refused while `maxSessions` are open.
+// Resolves to { url, port, httpServer, close() } once listening.
+async function startHttpServer({
+  createServer,
+  host = DEFAULT_HOST,
+  port = DEFAULT_PORT,
+  path = '/mcp',
+  ssePath = '/sse',
+  messagesPath = '/messages',
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+  maxSessions = DEFAULT_MAX_SESSIONS
+}) {
+  const sessions = new Map();
+  const sseSessions = new Map();
+  let allowedHosts;
+
+  // A session counts as busy while one of its requests, such as a
+  // notification stream, is still open
+  function trackRequest(session, res) {
+    session.lastSeen = Date.now();
+    session.openRequests++;
+    res.on('close', () => {
+      session.openRequests--;
+      session.lastSeen = Date.now();
+    });
+  }
+
+  function closeSession(id, session) {
+    sessions.delete(id);
+    session.server.close().catch(() => {});
+  }
+
+  const sweeper = sessionIdleMs > 0 ? setInterval(() => {
+    const now = Date.now();
+    sessions.forEach((session, id) => {
+      if (session.openRequests === 0 && now - session.lastSeen > sessionIdleMs) {
+        closeSession(id, session);
+      }
+    });
+  }, Math.min(sessionIdleMs, 60 * 1000)) : null;
+  if (sweeper) {
+    sweeper.unref();
+  }
+
+  async function handleStreamableRequest(req, res) {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+    if (sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        sendJsonRpcError(res, 404, -32001, 'Session not found');
+        return;
+      }
+      trackRequest(session, res);
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      return;
+    }
+    if (maxSessions > 0 && sessions.size >= maxSessions) {
+      sendJsonRpcError(res, 503, -32000, 'Too many open sessions; try again later');
+      return;
+    }
+
+    const server = createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        const session = { transport, server, lastSeen: Date.now(), openRequests: 0 };
+        sessions.set(id, session);
+        trackRequest(session, res);
+      },
+      ...(allowedHosts && { allowedHosts, enableDnsRebindingProtection: true })
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) {
+        sessions.delete(transport.sessionId);
+      }
+    };
+
+    await server.connect(transport);
+    await transport.handleRequest(req, res, body);
+  }
+
+  async function handleSseStream(req, res) {
+    const server = createServer();
+    const transport = new SSEServerTransport(messagesPath, res, allowedHosts && {
+      allowedHosts,
+      enableDnsRebindingProtection: true
+    });
+
+    sseSessions.set(transport.sessionId, { transport, server });
+    res.on('close', () => {
+      sseSessions.delete(transport.sessionId);
+      server.close().catch(() => {});
+    });
+
+    await server.connect(transport);
+  }
+
+  async function handleSseMessage(req, res, url) {
+    const session = sseSessions.get(url.searchParams.get('sessionId'));
+    if (!session) {
+      sendJsonRpcError(res, 404, -32001, 'Session not found');
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  const httpServer = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (url.pathname === path && ['GET', 'POST', 'DELETE'].includes(req.method)) {
+        await handleStreamableRequest(req, res);
+      } else if (url.pathname === ssePath && req.method === 'GET') {
+        await handleSseStream(req, res);
+      } else if (url.pathname === messagesPath && req.method === 'POST') {
+        await handleSseMessage(req, res, url);
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not Found');
+      }
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        sendJsonRpcError(res, 400, -32700, error.message);
+      } else {
+        sendJsonRpcError(res, 500, -32603, `Internal server error: ${error.message}`);
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const boundPort = httpServer.address().port;
+  // A server bound to loopback only answers requests addressed to loopback,
+  // which blocks DNS rebinding from web pages
+  if (LOOPBACK_HOSTS.has(host)) {
+    allowedHosts = [`127.0.0.1:${boundPort}`, `localhost:${boundPort}`, `[::1]:${boundPort}`];
+  }
+
+  const displayHost = host.includes(':') ? `[${host}]` : host;
+
+  return {
+    url: `http://${displayHost}:${boundPort}${path}`,
+    port: boundPort,
+    httpServer,
+    async close() {
+      clearInterval(sweeper);
+      const all = [...sessions.values(), ...sseSessions.values()];
+      sessions.clear();
+      sseSessions.clear();
+      await Promise.all(all.map(({ server }) => server.close().catch(() => {})));
+      httpServer.closeAllConnections();
+      await new Promise(resolve => httpServer.close(() => resolve()));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_HOST,
+  DEFAULT_PORT,
+  DEFAULT_SESSION_IDLE_MS,
+  DEFAULT_MAX_SESSIONS,
+  startHttpServer
+};
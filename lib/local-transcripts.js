@@ -0,0 +1,69 @@
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { detectCaptionFormat, parseCaptionFile } = require('./caption-files.js');
+
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Resolves `file` (absolute, or relative to an allowed directory) to its real
+// path and checks it lies inside one of `allowedDirs`. Symlinks are followed
+// first, so a link cannot point outside the allowed directories.
+async function resolveAllowedPath(file, allowedDirs) {
+  if (!allowedDirs || allowedDirs.length === 0) {
+    throw new Error('Local transcripts are disabled. Set allowed_dirs to the directories that may be read.');
+  }
+  if (typeof file !== 'string' || !file.trim()) {
+    throw new Error('Please provide the path of a subtitle file.');
+  }
+
+  const realDirs = (await Promise.all(allowedDirs.map(dir => fs.realpath(dir).catch(() => null)))).filter(Boolean);
+  const candidates = path.isAbsolute(file) ? [file] : allowedDirs.map(dir => path.resolve(dir, file));
+
+  for (const candidate of candidates) {
+    let real;
+    try {
+      real = await fs.realpath(candidate);
+    } catch {
+      continue;
+    }
+    if (!realDirs.some(dir => isInside(dir, real))) {
+      throw new Error(`${file} is outside the allowed directories.`);
+    }
+    return real;
+  }
+
+  throw new Error(`Subtitle file not found: ${file}`);
+}
+
+// Reads and parses a subtitle file from an allowed directory. Resolves to
+// { path, captionFormat, transcript } with the transcript as { text, offset, duration }.
+async function readLocalTranscript(file, allowedDirs) {
+  const real = await resolveAllowedPath(file, allowedDirs);
+  const stats = await fs.stat(real);
+  if (!stats.isFile()) {
+    throw new Error(`${file} is not a file.`);
+  }
+  if (stats.size > MAX_FILE_BYTES) {
+    throw new Error(`${file} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB.`);
+  }
+
+  const text = await fs.readFile(real, 'utf8');
+  const captionFormat = detectCaptionFormat(real, text);
+  let transcript;
+  try {
+    transcript = parseCaptionFile(text, captionFormat);
+  } catch (error) {
+    throw new Error(`Could not parse ${file} as ${captionFormat}: ${error.message}`);
+  }
+
+  return { path: real, captionFormat, transcript };
+}
+
+module.exports = {
+  resolveAllowedPath,
+  readLocalTranscript
+};
@@ -0,0 +1,98 @@
+const { reconstructSentences } = require('./sentences.js');
+
+const TRANSCRIPT_FORMATS = ['plain', 'structured', 'srt', 'vtt', 'json', 'csv'];
+
+// Formats milliseconds as HH:MM:SS plus milliseconds, e.g. 01:02:03,450 for SRT
+function formatPreciseTimestamp(milliseconds, separator = '.') {
+  const total = Math.max(0, Math.round(milliseconds));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const millis = total % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(seconds).padStart(2, '0')}${separator}${String(millis).padStart(3, '0')}`;
+}
+
+// Subtitle cues cannot be empty, so blank caption lines are dropped
+function cueSegments(transcript) {
+  return transcript.filter(item => item.text.trim().length > 0);
+}
+
+function toSrt(transcript) {
+  return cueSegments(transcript).map((item, index) =>
+    `${index + 1}\n` +
+    `${formatPreciseTimestamp(item.offset, ',')} --> ${formatPreciseTimestamp(item.offset + item.duration, ',')}\n` +
+    `${item.text.trim()}\n`
+  ).join('\n');
+}
+
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function toVtt(transcript) {
+  const cues = cueSegments(transcript).map(item =>
+    `${formatPreciseTimestamp(item.offset)} --> ${formatPreciseTimestamp(item.offset + item.duration)}\n` +
+    `${escapeVttText(item.text.trim())}\n`
+  );
+
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+// Segments as plain records in whole milliseconds; `firstIndex` numbers a page
+// of a longer transcript
+function toSegmentRecords(transcript, firstIndex = 0) {
+  return transcript.map((item, index) => ({
+    index: firstIndex + index,
+    start: Math.round(item.offset),
+    end: Math.round(item.offset + item.duration),
+    duration: Math.round(item.duration),
+    text: item.text
+  }));
+}
+
+function toJson(transcript, { url, videoId } = {}) {
+  return JSON.stringify({
+    videoId,
+    url,
+    segments: toSegmentRecords(transcript),
+    sentences: reconstructSentences(transcript).map((sentence, index) => ({
+      index,
+      start: Math.round(sentence.start),
+      end: Math.round(sentence.end),
+      text: sentence.text
+    }))
+  }, null, 2);
+}
+
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(transcript) {
+  const rows = transcript.map((item, index) => [
+    index,
+    Math.round(item.offset),
+    Math.round(item.offset + item.duration),
+    formatPreciseTimestamp(item.offset),
+    formatPreciseTimestamp(item.offset + item.duration),
+    item.text
+  ].map(escapeCsvField).join(','));
+
+  return ['index,start_ms,end_ms,start,end,text', ...rows].join('\n');
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  formatPreciseTimestamp,
+  toSegmentRecords,
+  toSrt,
+  toVtt,
+  toJson,
+  toCsv
+};
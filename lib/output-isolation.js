@@ -0,0 +1,60 @@
+const { AsyncLocalStorage } = require('node:async_hooks');
+const { Writable } = require('node:stream');
+
+// Marks the async context of a task whose output should be dropped. Each task
+// carries its own mark, so overlapping tasks cannot unmute one another.
+const quietContext = new AsyncLocalStorage();
+
+function runQuietly(task) {
+  return quietContext.run(true, task);
+}
+
+function isQuiet() {
+  return quietContext.getStore() === true;
+}
+
+// Installed once at startup. `stdout` keeps its original write behind the
+// returned `output` stream, which the stdio transport and CLI write to; every
+// other write to `stdout` (including console.log) goes to `stderr` instead, so
+// stray library output cannot corrupt the protocol stream. Writes made inside
+// runQuietly are dropped. `restore` puts the original write methods back.
+function isolateOutput({ stdout = process.stdout, stderr = process.stderr } = {}) {
+  const stdoutWrite = stdout.write;
+  const stderrWrite = stderr.write;
+
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      stdoutWrite.call(stdout, chunk, encoding, callback);
+    }
+  });
+
+  stdout.write = function (chunk, encoding, callback) {
+    return isQuiet() ? dropWrite(encoding, callback) : stderr.write(chunk, encoding, callback);
+  };
+  stderr.write = function (chunk, encoding, callback) {
+    return isQuiet() ? dropWrite(encoding, callback) : stderrWrite.call(stderr, chunk, encoding, callback);
+  };
+
+  return {
+    output,
+    restore() {
+      stdout.write = stdoutWrite;
+      stderr.write = stderrWrite;
+    }
+  };
+}
+
+// Reports success like a real write, calling the callback when one is given
+function dropWrite(encoding, callback) {
+  const done = typeof encoding === 'function' ? encoding : callback;
+  if (typeof done === 'function') {
+    process.nextTick(done);
+  }
+  return true;
+}
+
+module.exports = {
+  runQuietly,
+  isQuiet,
+  isolateOutput
+};
@@ -0,0 +1,308 @@
+// JSON Schemas for each tool's structuredContent. Times are in milliseconds,
+// matching the json transcript format.
+
+const integer = { type: "integer" };
+const string = { type: "string" };
+const nullable = type => ({ type: [type, "null"] });
+
+const SEGMENT = {
+  type: "object",
+  properties: {
+    index: integer,
+    start: integer,
+    end: integer,
+    duration: integer,
+    text: string
+  },
+  required: ["index", "start", "end", "duration", "text"]
+};
+
+const CAPTION_TRACK = {
+  type: "object",
+  properties: {
+    languageCode: string,
+    name: nullable("string"),
+    isAutoGenerated: nullable("boolean")
+  },
+  required: ["languageCode"]
+};
+
+const TIME_RANGE = {
+  type: ["object", "null"],
+  properties: {
+    start: integer,
+    end: integer
+  },
+  required: ["start", "end"]
+};
+
+// One video's transcript, shared by the single, playlist and batch tools
+const TRANSCRIPT_PROPERTIES = {
+  videoId: string,
+  url: string,
+  duration: integer,
+  segmentCount: integer,
+  segments: { type: "array", items: SEGMENT }
+};
+
+const SECTIONS = {
+  type: "array",
+  description: "Chapters when there are any, otherwise fixed-length sections",
+  items: {
+    type: "object",
+    properties: {
+      index: integer,
+      title: nullable("string"),
+      start: integer,
+      end: integer,
+      text: string
+    },
+    required: ["index", "title", "start", "end", "text"]
+  }
+};
+
+const TRANSCRIPT = {
+  type: "object",
+  properties: {
+    ...TRANSCRIPT_PROPERTIES,
+    format: string,
+    captionTrack: CAPTION_TRACK,
+    range: TIME_RANGE,
+    sections: SECTIONS,
+    page: {
+      type: "object",
+      properties: {
+        number: integer,
+        total: integer,
+        nextCursor: nullable("string")
+      },
+      required: ["number", "total", "nextCursor"]
+    }
+  },
+  required: ["videoId", "url", "format", "captionTrack", "range", "duration", "segmentCount", "segments", "sections"]
+};
+
+const TRANSCRIPT_RESULTS = {
+  succeeded: integer,
+  failed: integer,
+  videos: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        ...TRANSCRIPT_PROPERTIES,
+        videoId: nullable("string"),
+        error: string
+      },
+      required: ["videoId", "url"]
+    }
+  }
+};
+
+const LOCAL_TRANSCRIPT = {
+  type: "object",
+  properties: {
+    path: string,
+    captionFormat: string,
+    format: string,
+    range: TIME_RANGE,
+    duration: integer,
+    segmentCount: integer,
+    wordCount: integer,
+    segments: { type: "array", items: SEGMENT },
+    sections: SECTIONS
+  },
+  required: ["path", "captionFormat", "format", "range", "duration", "segmentCount", "wordCount", "segments", "sections"]
+};
+
+const VIDEO_INFO = {
+  type: "object",
+  properties: {
+    videoId: string,
+    url: string,
+    title: nullable("string"),
+    channel: nullable("string"),
+    publishDate: nullable("string"),
+    viewCount: nullable("integer"),
+    length: nullable("string"),
+    thumbnailUrl: nullable("string"),
+    description: nullable("string"),
+    transcriptAvailable: { type: "boolean" },
+    estimatedDuration: string,
+    transcriptSegments: integer,
+    estimatedWordCount: integer,
+    captionTrack: string,
+    transcriptError: string,
+    metadataError: string
+  },
+  required: ["videoId", "url", "transcriptAvailable"]
+};
+
+const PLAYLIST_TRANSCRIPTS = {
+  type: "object",
+  properties: {
+    playlistId: string,
+    title: nullable("string"),
+    totalVideos: integer,
+    videosProcessed: integer,
+    ...TRANSCRIPT_RESULTS
+  },
+  required: ["playlistId", "title", "totalVideos", "videosProcessed", "succeeded", "failed", "videos"]
+};
+
+const TRANSCRIPTS_BATCH = {
+  type: "object",
+  properties: {
+    videosRequested: integer,
+    ...TRANSCRIPT_RESULTS
+  },
+  required: ["videosRequested", "succeeded", "failed", "videos"]
+};
+
+const SEARCH_RESULTS = {
+  type: "object",
+  properties: {
+    videoId: string,
+    url: string,
+    query: string,
+    matchMode: string,
+    matches: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          segment: SEGMENT,
+          link: string,
+          before: { type: "array", items: SEGMENT },
+          after: { type: "array", items: SEGMENT }
+        },
+        required: ["segment", "link", "before", "after"]
+      }
+    }
+  },
+  required: ["videoId", "url", "query", "matchMode", "matches"]
+};
+
+const SUMMARY = {
+  type: "object",
+  properties: {
+    videoId: string,
+    url: string,
+    method: string,
+    totalSentences: integer,
+    sentences: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          index: integer,
+          start: integer,
+          end: integer,
+          link: string,
+          text: string
+        },
+        required: ["index", "start", "end", "link", "text"]
+      }
+    }
+  },
+  required: ["videoId", "url", "method", "totalSentences", "sentences"]
+};
+
+const OUTLINE = {
+  type: "object",
+  properties: {
+    videoId: string,
+    url: string,
+    format: string,
+    sections: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: string,
+          start: integer,
+          end: integer,
+          link: string,
+          keywords: { type: "array", items: string },
+          subsections: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                start: integer,
+                end: integer,
+                keywords: { type: "array", items: string }
+              },
+              required: ["start", "end", "keywords"]
+            }
+          }
+        },
+        required: ["title", "start", "end", "link", "keywords", "subsections"]
+      }
+    }
+  },
+  required: ["videoId", "url", "format", "sections"]
+};
+
+const CAPTION_LANGUAGES = {
+  type: "object",
+  properties: {
+    videoId: string,
+    tracks: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          languageCode: string,
+          name: string,
+          isAutoGenerated: { type: "boolean" },
+          isTranslatable: { type: "boolean" }
+        },
+        required: ["languageCode", "name", "isAutoGenerated", "isTranslatable"]
+      }
+    }
+  },
+  required: ["videoId", "tracks"]
+};
+
+const CACHE_CLEARED = {
+  type: "object",
+  properties: {
+    videoId: nullable("string"),
+    removed: integer
+  },
+  required: ["videoId", "removed"]
+};
+
+const CACHE_STATS = {
+  type: "object",
+  properties: {
+    entries: integer,
+    maxEntries: integer,
+    ttlMs: integer,
+    directory: nullable("string"),
+    hits: integer,
+    misses: integer,
+    coalesced: integer,
+    inFlight: integer
+  },
+  required: ["entries", "maxEntries", "ttlMs", "directory", "hits", "misses", "coalesced", "inFlight"]
+};
+
+const OUTPUT_SCHEMAS = {
+  get_youtube_transcript: TRANSCRIPT,
+  get_youtube_video_info: VIDEO_INFO,
+  get_youtube_playlist_transcripts: PLAYLIST_TRANSCRIPTS,
+  get_youtube_transcripts_batch: TRANSCRIPTS_BATCH,
+  get_local_transcript: LOCAL_TRANSCRIPT,
+  search_youtube_transcript: SEARCH_RESULTS,
+  summarize_youtube_video: SUMMARY,
+  create_youtube_outline: OUTLINE,
+  list_caption_languages: CAPTION_LANGUAGES,
+  clear_transcript_cache: CACHE_CLEARED,
+  get_cache_stats: CACHE_STATS
+};
+
+module.exports = {
+  OUTPUT_SCHEMAS
+};
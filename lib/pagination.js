@@ -0,0 +1,55 @@
+// Rough token estimate (~4 characters per token for English text)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+// Splits segments into pages on segment boundaries. A page closes when adding the
+// next segment would exceed maxTokens or pageSize; every page holds at least one segment.
+function paginateSegments(transcript, { maxTokens, pageSize, segmentCost = item => estimateTokens(item.text) }) {
+  const pages = [];
+  let start = 0;
+  let tokens = 0;
+
+  transcript.forEach((item, index) => {
+    const cost = segmentCost(item);
+    const count = index - start;
+    const overBudget = maxTokens && count > 0 && tokens + cost > maxTokens;
+    const overSize = pageSize && count > 0 && count >= pageSize;
+
+    if (overBudget || overSize) {
+      pages.push({ start, end: index });
+      start = index;
+      tokens = 0;
+    }
+    tokens += cost;
+  });
+
+  if (start < transcript.length) {
+    pages.push({ start, end: transcript.length });
+  }
+
+  return pages;
+}
+
+function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!state || typeof state !== 'object' || !Number.isInteger(state.page)) {
+      throw new Error('missing page');
+    }
+    return state;
+  } catch {
+    throw new Error('Invalid cursor. Pass the next_cursor value from a previous response unchanged.');
+  }
+}
+
+module.exports = {
+  estimateTokens,
+  paginateSegments,
+  encodeCursor,
+  decodeCursor
+};
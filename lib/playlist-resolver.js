@@ -0,0 +1,51 @@
+const { decodeEntities } = require('./text-normalization.js');
+
+const PLAYLIST_URL = 'https://www.youtube.com/playlist?list=';
+
+// Pulls the ordered, de-duplicated video IDs out of a playlist page's ytInitialData.
+// YouTube only renders the first 100 videos of a playlist into the page.
+function parsePlaylistPage(html) {
+  const pattern = /"playlistVideoRenderer":\{"videoId":"([A-Za-z0-9_-]{11})"/g;
+  const videoIds = [];
+  let match;
+
+  while ((match = pattern.exec(html)) !== null) {
+    if (!videoIds.includes(match[1])) {
+      videoIds.push(match[1]);
+    }
+  }
+
+  return videoIds;
+}
+
+// The og:title attribute is HTML-encoded ("Tom &amp; Jerry")
+function parsePlaylistTitle(html) {
+  const match = html.match(/<meta property="og:title" content="([^"]*)"/);
+  return match ? decodeEntities(match[1]) : null;
+}
+
+// Default resolver: returns { playlistId, title, videoIds } for a playlist ID
+async function resolvePlaylist(playlistId, { fetchImpl = globalThis.fetch, signal } = {}) {
+  const response = await fetchImpl(`${PLAYLIST_URL}${encodeURIComponent(playlistId)}`, {
+    signal,
+    headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to load playlist: HTTP ${response.status}`);
+  }
+
+  const html = await response.text();
+  const videoIds = parsePlaylistPage(html);
+  if (videoIds.length === 0) {
+    throw new Error('Playlist not found or contains no public videos');
+  }
+
+  return { playlistId, title: parsePlaylistTitle(html), videoIds };
+}
+
+module.exports = {
+  resolvePlaylist,
+  parsePlaylistPage,
+  parsePlaylistTitle
+};
@@ -0,0 +1,82 @@
+const DETAIL_LEVELS = {
+  brief: 'Write a brief summary: one short paragraph covering the main point, followed by at most 3 bullet points.',
+  detailed: 'Write a detailed summary: an overview paragraph, then the main points in order with supporting details and examples.',
+  comprehensive: 'Write a comprehensive, in-depth analysis: an overview, a section per major topic with arguments, evidence and examples, notable quotes, and a closing assessment.'
+};
+
+const urlArgument = {
+  name: 'url',
+  description: 'YouTube video URL',
+  required: true
+};
+
+const languageArgument = {
+  name: 'language',
+  description: "Language code for the transcript (e.g., 'en', 'es', 'fr'), or a comma separated fallback list such as 'en-US,en'. Defaults to the server's configured language",
+  required: false
+};
+
+const PROMPTS = [
+  {
+    name: 'summarize_video',
+    description: 'Summarize a YouTube video from its transcript',
+    arguments: [
+      urlArgument,
+      {
+        name: 'detail_level',
+        description: "How much detail to include: 'brief', 'detailed' or 'comprehensive'. Defaults to 'detailed'",
+        required: false
+      },
+      languageArgument
+    ],
+    // Each template returns the instructions placed before the transcript
+    instructions: (args) => {
+      const level = args.detail_level || 'detailed';
+      if (!DETAIL_LEVELS[level]) {
+        throw new Error(`Invalid detail_level '${level}'. Expected one of: ${Object.keys(DETAIL_LEVELS).join(', ')}`);
+      }
+      return `Summarize the following YouTube video transcript. ${DETAIL_LEVELS[level]}`;
+    }
+  },
+  {
+    name: 'outline_video',
+    description: 'Create a hierarchical outline of a YouTube video with timestamps',
+    arguments: [urlArgument, languageArgument],
+    instructions: () =>
+      'Create a hierarchical outline of the following YouTube video transcript. ' +
+      'Use numbered top-level sections for the major topics and nested bullets for their sub-points. ' +
+      'Start each top-level section with the timestamp where it begins.'
+  },
+  {
+    name: 'key_takeaways',
+    description: 'Extract the key takeaways and action items from a YouTube video',
+    arguments: [
+      urlArgument,
+      {
+        name: 'count',
+        description: 'Number of takeaways to extract. Defaults to 5',
+        required: false
+      },
+      languageArgument
+    ],
+    instructions: (args) => {
+      const count = parseInt(args.count || '5', 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`Invalid count '${args.count}'. Expected a positive number`);
+      }
+      return `List the ${count} most important takeaways from the following YouTube video transcript. ` +
+        'For each takeaway give a one-line headline, a short explanation, and the timestamp where it is discussed. ' +
+        'Finish with any concrete action items the speaker recommends.';
+    }
+  }
+];
+
+function findPrompt(name) {
+  return PROMPTS.find(prompt => prompt.name === name) || null;
+}
+
+module.exports = {
+  PROMPTS,
+  DETAIL_LEVELS,
+  findPrompt
+};
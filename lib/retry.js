@@ -0,0 +1,67 @@
+const { sleep, throwIfAborted } = require('./cancellation.js');
+
+// Network failures worth another try
+const TRANSIENT_CODES = new Set([
+  'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT'
+]);
+const TRANSIENT_MESSAGE = /timed out|fetch failed|socket hang up|network|ECONNRESET|ETIMEDOUT|EAI_AGAIN|too many requests|temporarily|HTTP (?:429|5\d\d)\b/i;
+
+// Failures no retry will fix: the video is private, gone or has no captions
+const PERMANENT_MESSAGE = /video unavailable|private|disabled|could not find captions|no captions|transcript not available|does not exist|not found|invalid|sign in|login_required|age.restricted/i;
+
+// Only errors known to be transient are retried. An error can decide for
+// itself with a boolean `retryable` property.
+function isRetryableError(error) {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (TRANSIENT_CODES.has(code)) {
+    return true;
+  }
+  const message = typeof error === 'object' && 'message' in error ? String(error.message) : String(error);
+  return !PERMANENT_MESSAGE.test(message) && TRANSIENT_MESSAGE.test(message);
+}
+
+// Delay before retry number `retry` (1 for the first): exponential backoff from
+// `delayMs` capped at `maxDelayMs`, half of it random so clients that failed
+// together do not retry together
+function backoffDelay(retry, { delayMs, maxDelayMs, random = Math.random }) {
+  const cap = Math.min(maxDelayMs, delayMs * 2 ** (retry - 1));
+  return Math.round(cap / 2 + random() * cap / 2);
+}
+
+// Runs `task(attempt)` and runs it again, up to `retries` more times, while it
+// fails with a retryable error. An aborted `signal` ends the waiting between
+// attempts and prevents further ones.
+async function withRetry(task, {
+  retries = 0,
+  delayMs = 0,
+  maxDelayMs = delayMs,
+  signal = null,
+  random,
+  isRetryable = isRetryableError
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    throwIfAborted(signal);
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error) || (signal && signal.aborted)) {
+        throw error;
+      }
+      await sleep(backoffDelay(attempt + 1, { delayMs, maxDelayMs, random }), signal);
+    }
+  }
+}
+
+module.exports = {
+  isRetryableError,
+  backoffDelay,
+  withRetry
+};
@@ -0,0 +1,224 @@
+// Rebuilds sentences and paragraphs from caption segments. Manual captions carry
+// punctuation, auto-generated ones mostly do not, so boundaries also come from
+// timing (pauses between segments), discourse markers and capitalization.
+
+const TERMINAL_PUNCTUATION = /[.!?]+["')\]]*$/;
+
+// Words that usually open a new sentence in speech, weighted by how reliably
+const DISCOURSE_MARKERS = [
+  [['okay', 'so'], 2],
+  [['all', 'right'], 2],
+  [['alright'], 2],
+  [['anyway'], 2],
+  [['first', 'of', 'all'], 2],
+  [['moving', 'on'], 2],
+  [['in', 'other', 'words'], 2],
+  [['on', 'the', 'other', 'hand'], 2],
+  [['by', 'the', 'way'], 1.5],
+  [['so', 'now'], 1.5],
+  [['now', 'let\'s'], 1.5],
+  [['finally'], 1.5],
+  [['however'], 1.5],
+  [['okay'], 1],
+  [['so'], 1],
+  [['now'], 1],
+  [['but'], 1],
+  [['well'], 1],
+  [['next'], 1],
+  [['also'], 0.5],
+  [['because'], 0.5]
+];
+
+// Lowercase words that are capitalized anywhere in a sentence, so they say
+// nothing about a boundary
+const ALWAYS_CAPITALIZED = new Set(['i', 'i\'m', 'i\'ve', 'i\'ll', 'i\'d']);
+
+const DEFAULTS = {
+  pauseMs: 700,
+  longPauseMs: 1500,
+  minWords: 4,
+  maxWords: 40,
+  threshold: 2
+};
+
+function hasTiming(item) {
+  return Number.isFinite(item.offset) && Number.isFinite(item.duration);
+}
+
+function cleanWord(word) {
+  return word.toLowerCase().replace(/^[^\p{L}\p{N}']+|[^\p{L}\p{N}']+$/gu, '');
+}
+
+// Splits segments into words, spreading each segment's duration evenly over its words
+function toWords(transcript) {
+  const words = [];
+
+  transcript.forEach((item, segment) => {
+    const parts = String(item.text || '').trim().split(/\s+/).filter(Boolean);
+    const timed = hasTiming(item);
+
+    parts.forEach((text, index) => {
+      words.push({
+        text,
+        segment,
+        start: timed ? item.offset + (item.duration * index) / parts.length : null,
+        end: timed ? item.offset + (item.duration * (index + 1)) / parts.length : null
+      });
+    });
+  });
+
+  return words;
+}
+
+function markerWeight(words, index) {
+  for (const [marker, weight] of DISCOURSE_MARKERS) {
+    const matches = marker.every((part, offset) =>
+      index + offset < words.length && cleanWord(words[index + offset].text) === part);
+    if (matches) {
+      return weight;
+    }
+  }
+  return 0;
+}
+
+// Silence between the segment a word ends and the one the next word starts,
+// or 0 when both words share a segment or timing is missing
+function pauseBefore(transcript, words, index) {
+  const previous = transcript[words[index - 1].segment];
+  const current = transcript[words[index].segment];
+
+  if (previous === current || !hasTiming(previous) || !hasTiming(current)) {
+    return 0;
+  }
+  return current.offset - (previous.offset + previous.duration);
+}
+
+// Score for a sentence boundary falling between words[index - 1] and words[index]
+function boundaryScore(transcript, words, index, options) {
+  const pause = pauseBefore(transcript, words, index);
+  let score = 0;
+
+  if (pause >= options.longPauseMs) {
+    score += 2;
+  } else if (pause >= options.pauseMs) {
+    score += 1;
+  }
+
+  score += markerWeight(words, index);
+
+  const text = words[index].text;
+  const previous = words[index - 1].text;
+  if (/^\p{Lu}\p{Ll}/u.test(text) && !ALWAYS_CAPITALIZED.has(cleanWord(text)) && !/^\p{Lu}/u.test(previous)) {
+    score += 1;
+  }
+
+  return { score, pause };
+}
+
+function finishSentence(words, from, to) {
+  const slice = words.slice(from, to);
+  let text = slice.map(word => word.text).join(' ');
+  const reconstructed = !TERMINAL_PUNCTUATION.test(text);
+
+  if (reconstructed) {
+    text = text.charAt(0).toUpperCase() + text.slice(1) + '.';
+  }
+
+  return {
+    text,
+    start: slice[0].start,
+    end: slice[slice.length - 1].end,
+    reconstructed
+  };
+}
+
+// Returns [{ text, start, end, pauseBefore, reconstructed }] with times in ms
+// (null when the segments carry no timing). Existing . ! ? always end a
+// sentence; otherwise a boundary needs a combined score of pauses, discourse
+// markers and capitalization of at least `threshold`, and overlong runs are
+// cut at their strongest candidate boundary.
+function reconstructSentences(transcript, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const words = toWords(transcript);
+  const sentences = [];
+  let from = 0;
+  let candidates = [];
+  let pendingPause = 0;
+
+  const close = (to, pause) => {
+    if (to > from) {
+      const sentence = finishSentence(words, from, to);
+      if (/[\p{L}\p{N}]/u.test(sentence.text)) {
+        sentences.push({ ...sentence, pauseBefore: pendingPause });
+      }
+    }
+    from = to;
+    candidates = [];
+    pendingPause = pause;
+  };
+
+  for (let index = 1; index <= words.length; index++) {
+    if (index === words.length) {
+      close(index, 0);
+      break;
+    }
+
+    const { score, pause } = boundaryScore(transcript, words, index, settings);
+    const length = index - from;
+
+    if (TERMINAL_PUNCTUATION.test(words[index - 1].text)) {
+      close(index, pause);
+      continue;
+    }
+
+    if (length >= settings.minWords && score >= settings.threshold) {
+      close(index, pause);
+      continue;
+    }
+
+    if (score > 0 && length >= settings.minWords) {
+      candidates.push({ index, score, pause });
+    }
+
+    if (length >= settings.maxWords) {
+      const best = candidates.reduce((top, candidate) => (candidate.score > top.score ? candidate : top),
+        { index, score: 0, pause });
+      const remaining = candidates.filter(candidate => candidate.index > best.index);
+      close(best.index, best.pause);
+      candidates = remaining;
+    }
+  }
+
+  return sentences;
+}
+
+// Groups sentences into paragraphs of at most `maxSentences`, starting a new
+// one early after a long pause
+function groupIntoParagraphs(sentences, { maxSentences = 4, paragraphPauseMs = 2500 } = {}) {
+  const paragraphs = [];
+  let current = [];
+
+  sentences.forEach(sentence => {
+    if (current.length >= maxSentences || (current.length > 0 && sentence.pauseBefore >= paragraphPauseMs)) {
+      paragraphs.push(current);
+      current = [];
+    }
+    current.push(sentence);
+  });
+
+  if (current.length > 0) {
+    paragraphs.push(current);
+  }
+
+  return paragraphs.map(group => ({
+    text: group.map(sentence => sentence.text).join(' '),
+    start: group[0].start,
+    end: group[group.length - 1].end,
+    sentences: group
+  }));
+}
+
+module.exports = {
+  reconstructSentences,
+  groupIntoParagraphs
+};
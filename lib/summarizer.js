@@ -0,0 +1,118 @@
+const { tokenize, stem } = require('./text-search.js');
+
+const SUMMARY_METHODS = ['textrank', 'tfidf'];
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can', 'could', 'did', 'do',
+  'does', 'doing', 'dont', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'get', 'go', 'going', 'gonna',
+  'got', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'im', 'in',
+  'into', 'is', 'it', 'its', 'itself', 'just', 'know', 'like', 'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now',
+  'of', 'off', 'oh', 'ok', 'okay', 'on', 'once', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'really',
+  'right', 'same', 'say', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'thats', 'the', 'their', 'them',
+  'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this', 'those', 'through', 'to', 'too', 'uh', 'um',
+  'under', 'until', 'up', 'very', 'want', 'was', 'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'yeah', 'you', 'your', 'youre', 'yours'
+]);
+
+function contentTerms(text) {
+  return tokenize(text).filter(word => !STOPWORDS.has(word)).map(stem);
+}
+
+function scoreTfIdf(termLists) {
+  const documentFrequency = new Map();
+  termLists.forEach(terms => {
+    new Set(terms).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return termLists.map(terms => {
+    if (terms.length === 0) {
+      return 0;
+    }
+    const counts = new Map();
+    terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+    let score = 0;
+    counts.forEach((count, term) => {
+      score += (count / terms.length) * Math.log(termLists.length / documentFrequency.get(term));
+    });
+    // Mild length normalisation so long run-on captions do not always win
+    return score * Math.sqrt(terms.length);
+  });
+}
+
+// TextRank: PageRank over a sentence graph weighted by normalised word overlap.
+// Edges are kept as adjacency lists so long transcripts stay light on memory.
+function scoreTextRank(termLists, { damping = 0.85, iterations = 30 } = {}) {
+  const count = termLists.length;
+  const sets = termLists.map(terms => new Set(terms));
+  const neighbours = sets.map(() => []);
+  const outgoing = new Array(count).fill(0);
+
+  for (let i = 0; i < count; i++) {
+    if (sets[i].size < 2) {
+      continue;
+    }
+    for (let j = i + 1; j < count; j++) {
+      if (sets[j].size < 2) {
+        continue;
+      }
+      let overlap = 0;
+      sets[i].forEach(term => {
+        if (sets[j].has(term)) {
+          overlap++;
+        }
+      });
+      if (overlap === 0) {
+        continue;
+      }
+      const weight = overlap / (Math.log(sets[i].size) + Math.log(sets[j].size));
+      neighbours[i].push([j, weight]);
+      neighbours[j].push([i, weight]);
+      outgoing[i] += weight;
+      outgoing[j] += weight;
+    }
+  }
+
+  let scores = new Array(count).fill(1);
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    scores = neighbours.map(edges => {
+      let rank = 0;
+      for (const [j, weight] of edges) {
+        rank += (weight / outgoing[j]) * scores[j];
+      }
+      return (1 - damping) + damping * rank;
+    });
+  }
+
+  return scores;
+}
+
+// Picks the highest scoring sentences and returns them in their original order.
+// `count` is a number of sentences; `ratio` a fraction of all sentences (used when no count is given).
+function summarizeSentences(sentences, { method = 'textrank', count, ratio } = {}) {
+  if (!SUMMARY_METHODS.includes(method)) {
+    throw new Error(`Invalid method '${method}'. Expected one of: ${SUMMARY_METHODS.join(', ')}`);
+  }
+
+  let target = count;
+  if (!target) {
+    target = ratio ? Math.round(sentences.length * ratio) : 5;
+  }
+  target = Math.max(1, Math.min(target, sentences.length));
+
+  const termLists = sentences.map(sentence => contentTerms(sentence.text));
+  const scores = method === 'tfidf' ? scoreTfIdf(termLists) : scoreTextRank(termLists);
+
+  return sentences
+    .map((sentence, index) => ({ ...sentence, index, score: scores[index] }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, target)
+    .sort((a, b) => a.index - b.index);
+}
+
+module.exports = {
+  SUMMARY_METHODS,
+  STOPWORDS,
+  summarizeSentences
+};
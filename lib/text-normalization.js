@@ -0,0 +1,182 @@
+const NORMALIZATION_STEPS = [
+  'decode_entities',
+  'strip_sound_tags',
+  'strip_speaker_markers',
+  'collapse_whitespace',
+  'dedupe_overlap',
+  'remove_fillers'
+];
+
+// Filler removal changes what was said, so it is opt-in
+const DEFAULT_NORMALIZATION = {
+  decode_entities: true,
+  strip_sound_tags: true,
+  strip_speaker_markers: true,
+  collapse_whitespace: true,
+  dedupe_overlap: true,
+  remove_fillers: false
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' ',
+  hellip: '…',
+  mdash: '—',
+  ndash: '–',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”'
+};
+
+// Non-speech cues that appear in parentheses rather than brackets
+const PARENTHESIZED_SOUNDS = /\(\s*(?:music|applause|laughs?|laughter|inaudible|silence|cheering|cheers|coughs?|sighs?|crosstalk|background noise)\s*\)/gi;
+
+const FILLERS = /(^|[\s,.!?])(?:u+h+m*|u+m+|e+r+m+|h+m+)(?=[\s,.!?]|$)[,]?/gi;
+
+// Captions are often entity-encoded twice ("&amp;#39;"), so decode until stable
+function decodeEntities(text) {
+  let current = text;
+  for (let pass = 0; pass < 3; pass++) {
+    const decoded = current.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+      if (body[0] === '#') {
+        const code = body[1].toLowerCase() === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+      }
+      const named = NAMED_ENTITIES[body.toLowerCase()];
+      return named === undefined ? entity : named;
+    });
+    if (decoded === current) {
+      break;
+    }
+    current = decoded;
+  }
+  return current;
+}
+
+function stripSoundTags(text) {
+  return text
+    .replace(/\[[^\]]*\]/g, ' ')
+    .replace(PARENTHESIZED_SOUNDS, ' ')
+    .replace(/[♪♫]+/g, ' ');
+}
+
+function stripSpeakerMarkers(text) {
+  return text.replace(/(^|\s)(?:>>|&gt;&gt;)\s*/g, '$1');
+}
+
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function removeFillers(text) {
+  return text.replace(FILLERS, '$1').replace(/\s+([,.!?])/g, '$1');
+}
+
+function comparableWords(text) {
+  return text.toLowerCase().split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}']/gu, '')).filter(Boolean);
+}
+
+// Rolling auto-captions repeat the end of the previous line at the start of
+// the next one. Drops repeats of two or more words, including whole lines.
+function dedupeOverlap(transcript) {
+  const result = [];
+  let previousWords = [];
+
+  transcript.forEach(item => {
+    const words = item.text.split(/\s+/).filter(Boolean);
+    const comparable = comparableWords(item.text);
+    let overlap = 0;
+
+    const longest = Math.min(previousWords.length, comparable.length);
+    for (let size = longest; size >= 1; size--) {
+      const tail = previousWords.slice(previousWords.length - size);
+      if (tail.every((word, i) => word === comparable[i])) {
+        overlap = size;
+        break;
+      }
+    }
+
+    if (overlap < 2) {
+      overlap = 0;
+    }
+
+    previousWords = comparable.length > 0 ? comparable : previousWords;
+
+    if (overlap > 0 && words.length === comparable.length) {
+      const text = words.slice(overlap).join(' ');
+      if (text) {
+        result.push({ ...item, text });
+      }
+      return;
+    }
+    result.push(item);
+  });
+
+  return result;
+}
+
+// Merges per-call options over the defaults. `false` turns every step off,
+// `true` or undefined keeps the defaults, and an object switches single steps.
+function resolveNormalization(defaults = DEFAULT_NORMALIZATION, options) {
+  if (options === false) {
+    return Object.fromEntries(NORMALIZATION_STEPS.map(step => [step, false]));
+  }
+  if (options === undefined || options === null || options === true) {
+    return { ...DEFAULT_NORMALIZATION, ...defaults };
+  }
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('normalize must be a boolean or an object of step switches.');
+  }
+
+  Object.keys(options).forEach(step => {
+    if (!NORMALIZATION_STEPS.includes(step)) {
+      throw new Error(`Unknown normalization step '${step}'. Expected one of: ${NORMALIZATION_STEPS.join(', ')}`);
+    }
+  });
+
+  return { ...DEFAULT_NORMALIZATION, ...defaults, ...options };
+}
+
+// Applies the enabled steps to every segment and drops segments left empty.
+// Returns a new array; cached transcripts are never modified.
+function normalizeTranscript(transcript, steps = DEFAULT_NORMALIZATION) {
+  let result = transcript.map(item => {
+    let text = String(item.text || '');
+    if (steps.decode_entities) {
+      text = decodeEntities(text);
+    }
+    if (steps.strip_sound_tags) {
+      text = stripSoundTags(text);
+    }
+    if (steps.strip_speaker_markers) {
+      text = stripSpeakerMarkers(text);
+    }
+    if (steps.remove_fillers) {
+      text = removeFillers(text);
+    }
+    if (steps.collapse_whitespace || steps.strip_sound_tags || steps.remove_fillers) {
+      text = collapseWhitespace(text);
+    }
+    return { ...item, text };
+  });
+
+  if (steps.dedupe_overlap) {
+    result = dedupeOverlap(result);
+  }
+
+  const changed = Object.values(steps).some(Boolean);
+  return changed ? result.filter(item => item.text.trim().length > 0) : result;
+}
+
+module.exports = {
+  NORMALIZATION_STEPS,
+  DEFAULT_NORMALIZATION,
+  decodeEntities,
+  resolveNormalization,
+  normalizeTranscript
+};
@@ -0,0 +1,157 @@
+const MATCH_MODES = ['exact', 'case_insensitive', 'fuzzy'];
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .map(word => word.replace(/'/g, ''))
+    .filter(Boolean);
+}
+
+// Light suffix-stripping stemmer, enough to match "running"/"runs"/"run"
+function stem(word) {
+  if (word.length <= 3) {
+    return word;
+  }
+
+  const rules = [
+    [/ies$/, 'y'],
+    [/ied$/, 'y'],
+    [/(ss)es$/, '$1'],
+    [/([^s])s$/, '$1'],
+    [/eed$/, 'ee'],
+    [/(..)ing$/, '$1'],
+    [/(..)ed$/, '$1'],
+    [/(..)ly$/, '$1'],
+    [/(..)ment$/, '$1'],
+    [/(..)ness$/, '$1'],
+    [/(..)ation$/, '$1ate'],
+    [/(..)er$/, '$1'],
+  ];
+
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(word)) {
+      word = word.replace(pattern, replacement);
+      break;
+    }
+  }
+
+  // "running" -> "runn" -> "run"
+  return word.replace(/([^aeiouls])\1$/, '$1');
+}
+
+// Edit distance counting insertions, deletions, substitutions and adjacent transpositions
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  );
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Stems match, or are one edit apart for longer words to tolerate caption typos
+function fuzzyWordMatch(queryStem, wordStem) {
+  if (queryStem === wordStem) {
+    return true;
+  }
+  return queryStem.length >= 5 && Math.abs(queryStem.length - wordStem.length) <= 1 &&
+    editDistance(queryStem, wordStem) <= 1;
+}
+
+// The texts of the segments after `index`, as many as it takes for their
+// `size` to reach `needed`: enough for a match starting in segment `index`
+function followingTexts(transcript, index, needed, size) {
+  const texts = [];
+  let total = 0;
+  for (let next = index + 1; next < transcript.length && total < needed; next++) {
+    texts.push(transcript[next].text);
+    total += size(transcript[next].text);
+  }
+  return texts;
+}
+
+// Returns (transcript, index) => whether a match starts in segment `index`.
+// Captions often split a phrase across segments, so each segment is joined
+// with the ones after it.
+function createMatcher(query, mode) {
+  if (mode === 'exact' || mode === 'case_insensitive') {
+    const fold = mode === 'exact' ? text => text : text => text.toLowerCase();
+    const needle = fold(query);
+    return (transcript, index) => {
+      const own = fold(transcript[index].text);
+      const following = followingTexts(transcript, index, needle.length, text => text.length + 1);
+      const position = [own, ...following.map(fold)].join(' ').indexOf(needle);
+      return position !== -1 && position < own.length;
+    };
+  }
+
+  const queryStems = tokenize(query).map(stem);
+  const containsQuery = stems => queryStems.length > 0 &&
+    queryStems.every(queryStem => stems.some(wordStem => fuzzyWordMatch(queryStem, wordStem)));
+
+  return (transcript, index) => {
+    const own = tokenize(transcript[index].text).map(stem);
+    if (containsQuery(own)) {
+      return true;
+    }
+
+    // Across a segment boundary the query words must sit together: any run of
+    // as many words as the query that starts in this segment and ends in the next ones
+    const size = queryStems.length;
+    const following = tokenize(followingTexts(transcript, index, size - 1, text => tokenize(text).length).join(' '))
+      .map(stem);
+    const words = [...own, ...following];
+    for (let start = Math.max(0, own.length - size + 1); start < own.length; start++) {
+      if (start + size > own.length && start + size <= words.length && containsQuery(words.slice(start, start + size))) {
+        return true;
+      }
+    }
+    return false;
+  };
+}
+
+// Returns the segments where a match of query starts, each with `context`
+// neighbouring segments on either side. A match may run on into the next segments.
+function searchSegments(transcript, query, { mode = 'case_insensitive', context = 1, maxResults = 20 } = {}) {
+  if (!MATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid match_mode '${mode}'. Expected one of: ${MATCH_MODES.join(', ')}`);
+  }
+
+  const matches = createMatcher(query, mode);
+  const hits = [];
+
+  for (let index = 0; index < transcript.length && hits.length < maxResults; index++) {
+    if (!matches(transcript, index)) {
+      continue;
+    }
+
+    hits.push({
+      index,
+      segment: transcript[index],
+      before: transcript.slice(Math.max(0, index - context), index),
+      after: transcript.slice(index + 1, index + 1 + context)
+    });
+  }
+
+  return hits;
+}
+
+module.exports = {
+  MATCH_MODES,
+  tokenize,
+  stem,
+  editDistance,
+  searchSegments
+};
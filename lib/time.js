@@ -0,0 +1,29 @@
+// Parses "1:02:03", "62:03", "3723", "3723.5", "62m3s" or "1h2m3s" (or a number) into seconds
+function parseTimeInput(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  let match;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return parseFloat(text);
+  }
+
+  if ((match = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/))) {
+    const [, hours = '0', minutes, seconds] = match;
+    if (parseFloat(seconds) < 60 && (match[1] === undefined || parseInt(minutes, 10) < 60)) {
+      return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+    }
+  }
+
+  if ((match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/i)) && text.length > 0) {
+    const [, hours = '0', minutes = '0', seconds = '0'] = match;
+    return parseInt(hours, 10) * 3600 + parseInt(minutes, 10) * 60 + parseFloat(seconds);
+  }
+
+  throw new Error(`Invalid time '${value}'. Use seconds (3723), clock time (1:02:03) or units (62m3s).`);
+}
+
+module.exports = { parseTimeInput };
@@ -0,0 +1,21 @@
+// Rejects with `message` if `promise` has not settled within `ms` milliseconds.
+// A `ms` of 0 (or less) waits forever. The error's code is ETIMEDOUT, so it
+// counts as retryable.
+function withTimeout(promise, ms, message) {
+  if (!(ms > 0)) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { withTimeout };
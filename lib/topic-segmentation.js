@@ -0,0 +1,220 @@
+const { tokenize, stem } = require('./text-search.js');
+const { STOPWORDS } = require('./summarizer.js');
+
+// Content words of one caption segment: [{ term (stemmed), word (surface form) }]
+function segmentTerms(text) {
+  return tokenize(text)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word))
+    .map(word => ({ term: stem(word), word }));
+}
+
+function addCounts(counts, terms) {
+  terms.forEach(({ term }) => counts.set(term, (counts.get(term) || 0) + 1));
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((count, term) => {
+    normA += count * count;
+    if (b.has(term)) {
+      dot += count * b.get(term);
+    }
+  });
+  b.forEach(count => {
+    normB += count * count;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Term counts for the segments on one side of a gap, growing the block until it
+// holds `windowWords` content words (segments are too short to compare one by one)
+function blockCounts(termLists, from, step, windowWords) {
+  const counts = new Map();
+  let words = 0;
+  for (let i = from; i >= 0 && i < termLists.length && words < windowWords; i += step) {
+    addCounts(counts, termLists[i]);
+    words += termLists[i].length;
+  }
+  return counts;
+}
+
+// TextTiling depth score: how far the similarity at a gap sits below the
+// highest points reached climbing to its left and to its right
+function depthScores(similarities) {
+  return similarities.map((value, index) => {
+    let left = value;
+    for (let i = index - 1; i >= 0 && similarities[i] >= left; i--) {
+      left = similarities[i];
+    }
+    let right = value;
+    for (let i = index + 1; i < similarities.length && similarities[i] >= right; i++) {
+      right = similarities[i];
+    }
+    return (left - value) + (right - value);
+  });
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+// Picks boundaries deepest first, skipping any that would leave a section
+// shorter than minDuration (ms) next to an already chosen boundary
+function pickBoundaries(candidates, transcript, { minDuration, limit, fixed = [] }) {
+  const end = transcript.length > 0
+    ? transcript[transcript.length - 1].offset + transcript[transcript.length - 1].duration
+    : 0;
+  const startOf = index => (index >= transcript.length ? end : transcript[index].offset);
+  const chosen = [...fixed];
+
+  for (const candidate of [...candidates].sort((a, b) => b.depth - a.depth)) {
+    if (chosen.length - fixed.length >= limit) {
+      break;
+    }
+    const edges = [0, transcript.length, ...chosen];
+    const before = Math.max(...edges.filter(index => index < candidate.index));
+    const after = Math.min(...edges.filter(index => index > candidate.index));
+    if (edges.includes(candidate.index)) {
+      continue;
+    }
+    const time = startOf(candidate.index);
+    if (time - startOf(before) >= minDuration && startOf(after) - time >= minDuration) {
+      chosen.push(candidate.index);
+    }
+  }
+
+  return chosen.filter(index => !fixed.includes(index)).sort((a, b) => a - b);
+}
+
+// Top keywords of each range, scored by term frequency in the range against how
+// many ranges use the term; each stem is shown as its most common surface form
+function rangeKeywords(termLists, ranges, count) {
+  const rangeCounts = ranges.map(({ startIndex, endIndex }) => {
+    const counts = new Map();
+    const surfaces = new Map();
+    for (let i = startIndex; i < endIndex; i++) {
+      termLists[i].forEach(({ term, word }) => {
+        counts.set(term, (counts.get(term) || 0) + 1);
+        const forms = surfaces.get(term) || new Map();
+        forms.set(word, (forms.get(word) || 0) + 1);
+        surfaces.set(term, forms);
+      });
+    }
+    return { counts, surfaces };
+  });
+
+  const documentFrequency = new Map();
+  rangeCounts.forEach(({ counts }) => {
+    counts.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return rangeCounts.map(({ counts, surfaces }) => [...counts.entries()]
+    .filter(([, frequency]) => frequency > 1 || counts.size < count * 2)
+    .map(([term, frequency]) => ({
+      term,
+      score: frequency * Math.log(1 + ranges.length / documentFrequency.get(term))
+    }))
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, count)
+    .map(({ term }) => [...surfaces.get(term).entries()].sort((a, b) => b[1] - a[1])[0][0]));
+}
+
+function toRanges(transcript, boundaries, from = 0, to = transcript.length) {
+  const edges = [from, ...boundaries.filter(index => index > from && index < to), to];
+  const ranges = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    const last = transcript[edges[i + 1] - 1];
+    ranges.push({
+      startIndex: edges[i],
+      endIndex: edges[i + 1],
+      start: transcript[edges[i]].offset,
+      end: last.offset + last.duration
+    });
+  }
+  return ranges;
+}
+
+// Segments a transcript into topics with TextTiling-style lexical cohesion.
+// Every gap between caption segments gets a cosine similarity between the
+// word blocks on either side; after smoothing, gaps whose depth score clears
+// mean - sd/2 are topic shifts. The deepest (above mean + sd/2) become
+// sections and the rest subsections. Returns [{ start, end, startIndex,
+// endIndex, keywords, subsections: [...] }] with times in milliseconds.
+function segmentTopics(transcript, {
+  windowWords = 40,
+  minSectionSeconds = 60,
+  maxSections = 12,
+  keywordCount = 5
+} = {}) {
+  if (transcript.length === 0) {
+    return [];
+  }
+
+  const termLists = transcript.map(item => segmentTerms(item.text));
+  const raw = [];
+  for (let gap = 1; gap < transcript.length; gap++) {
+    raw.push(cosine(
+      blockCounts(termLists, gap - 1, -1, windowWords),
+      blockCounts(termLists, gap, 1, windowWords)
+    ));
+  }
+  const smoothed = raw.map((_, i) => mean(raw.slice(Math.max(0, i - 1), i + 2)));
+  const depths = depthScores(smoothed);
+
+  const average = mean(depths);
+  const deviation = standardDeviation(depths);
+  const candidates = depths
+    .map((depth, i) => ({ index: i + 1, depth }))
+    .filter(({ depth, index }) => depth > 0 && depth > average - deviation / 2 &&
+      (index - 2 < 0 || depths[index - 2] <= depth) && (index >= depths.length || depths[index] <= depth));
+
+  const minDuration = minSectionSeconds * 1000;
+  const major = pickBoundaries(
+    candidates.filter(({ depth }) => depth >= average + deviation / 2),
+    transcript,
+    { minDuration, limit: Math.max(0, maxSections - 1) }
+  );
+  const minor = pickBoundaries(candidates, transcript, {
+    minDuration: minDuration / 2,
+    limit: Infinity,
+    fixed: major
+  });
+
+  const sections = toRanges(transcript, major);
+  const keywords = rangeKeywords(termLists, sections, keywordCount);
+
+  return sections.map((section, index) => {
+    let subsections = toRanges(transcript, minor, section.startIndex, section.endIndex);
+    if (subsections.length < 2) {
+      subsections = [];
+    }
+    const subsectionKeywords = rangeKeywords(termLists, subsections, Math.min(3, keywordCount));
+
+    return {
+      ...section,
+      keywords: keywords[index],
+      subsections: subsections.map((subsection, i) => ({ ...subsection, keywords: subsectionKeywords[i] }))
+    };
+  });
+}
+
+// "solar, panel, battery" -> "Solar, Panel & Battery"
+function titleFromKeywords(keywords, count = 3) {
+  const words = keywords.slice(0, count).map(word => word.charAt(0).toUpperCase() + word.slice(1));
+  if (words.length <= 1) {
+    return words[0] || 'Untitled';
+  }
+  return `${words.slice(0, -1).join(', ')} & ${words[words.length - 1]}`;
+}
+
+module.exports = {
+  segmentTopics,
+  titleFromKeywords
+};
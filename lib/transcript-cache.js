@@ -0,0 +1,279 @@
+const fs = require('fs/promises');
+const path = require('path');
+const os = require('os');
+const { abortable, throwIfAborted } = require('./cancellation.js');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_MAX_ENTRIES = 200;
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'youtube-summarizer-mcp-server');
+
+class TranscriptCache {
+  constructor({ dir = null, ttlMs = DEFAULT_TTL_MS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.dir = dir;
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+
+    this.memory = new Map();
+    this.inFlight = new Map();
+    this.counters = { hits: 0, misses: 0, coalesced: 0 };
+  }
+
+  key(videoId, language) {
+    return `${videoId}:${language}`;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${encodeURIComponent(key)}.json`);
+  }
+
+  isExpired(entry) {
+    return this.ttlMs > 0 && Date.now() - entry.fetchedAt > this.ttlMs;
+  }
+
+  async get(videoId, language) {
+    const key = this.key(videoId, language);
+    let entry = this.memory.get(key);
+
+    if (!entry && this.dir) {
+      entry = await this.readEntry(key);
+      if (entry) {
+        this.memory.set(key, entry);
+      }
+    }
+
+    if (!entry) {
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      await this.delete(key);
+      return null;
+    }
+
+    // Re-insert so the Map keeps least recently used entries first
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    return entry.transcript;
+  }
+
+  async set(videoId, language, transcript) {
+    const key = this.key(videoId, language);
+    const entry = { videoId, language, fetchedAt: Date.now(), transcript };
+
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+
+    // Persisting is best-effort: a read-only or broken cache directory must not
+    // fail a request that already has its transcript
+    try {
+      if (this.dir) {
+        await this.writeEntry(key, entry);
+      }
+      await this.evict();
+    } catch (error) {
+      this.evictMemory();
+      console.error(`Could not update the transcript cache in ${this.dir}: ${error.message}`);
+    }
+  }
+
+  // Returns the cached transcript, or runs fetcher once no matter how many
+  // callers ask for the same video while the fetch is still pending.
+  // A caller whose `signal` aborts stops waiting straight away; the fetch
+  // itself, which gets a signal of its own, is aborted once no caller is left.
+  async getOrFetch(videoId, language, fetcher, { signal = null } = {}) {
+    throwIfAborted(signal);
+    const cached = await this.get(videoId, language);
+    if (cached) {
+      this.counters.hits++;
+      return cached;
+    }
+
+    const key = this.key(videoId, language);
+    let request = this.inFlight.get(key);
+    if (request) {
+      this.counters.coalesced++;
+    } else {
+      this.counters.misses++;
+      const controller = new AbortController();
+      request = { controller, waiting: 0 };
+      request.promise = (async () => {
+        try {
+          const transcript = await fetcher(controller.signal);
+          await this.set(videoId, language, transcript);
+          return transcript;
+        } finally {
+          if (this.inFlight.get(key) === request) {
+            this.inFlight.delete(key);
+          }
+        }
+      })();
+      // Every caller may have gone by the time an aborted fetch rejects
+      request.promise.catch(() => {});
+      this.inFlight.set(key, request);
+    }
+
+    request.waiting++;
+    try {
+      return await abortable(request.promise, signal);
+    } finally {
+      request.waiting--;
+      if (request.waiting === 0 && signal && signal.aborted) {
+        request.controller.abort(signal.reason);
+        if (this.inFlight.get(key) === request) {
+          this.inFlight.delete(key);
+        }
+      }
+    }
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    if (this.dir) {
+      await fs.rm(this.filePath(key), { force: true });
+    }
+  }
+
+  // Clears every entry, or only the entries for one video when videoId is given
+  async clear(videoId = null) {
+    const keys = new Set(await this.keys());
+    let removed = 0;
+
+    for (const key of keys) {
+      if (videoId && !key.startsWith(`${videoId}:`)) {
+        continue;
+      }
+      await this.delete(key);
+      removed++;
+    }
+
+    return removed;
+  }
+
+  async keys() {
+    const keys = new Set(this.memory.keys());
+
+    if (this.dir) {
+      for (const file of await this.listFiles()) {
+        keys.add(decodeURIComponent(file.slice(0, -'.json'.length)));
+      }
+    }
+
+    return [...keys];
+  }
+
+  // Cached videos that have not expired, most recently fetched first. Disk
+  // entries not loaded yet are dated by their file's modification time.
+  async list() {
+    const entries = [];
+
+    for (const key of await this.keys()) {
+      const separator = key.indexOf(':');
+      const entry = this.memory.get(key);
+      let fetchedAt = entry ? entry.fetchedAt : null;
+
+      if (!entry && this.dir) {
+        const stat = await fs.stat(this.filePath(key)).catch(() => null);
+        fetchedAt = stat ? stat.mtimeMs : 0;
+      }
+      if (this.isExpired({ fetchedAt })) {
+        continue;
+      }
+
+      entries.push({
+        videoId: key.slice(0, separator),
+        language: key.slice(separator + 1),
+        fetchedAt
+      });
+    }
+
+    return entries.sort((a, b) => b.fetchedAt - a.fetchedAt);
+  }
+
+  async stats() {
+    return {
+      entries: (await this.list()).length,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      directory: this.dir,
+      inFlight: this.inFlight.size,
+      ...this.counters
+    };
+  }
+
+  // Trims the in-memory entries without touching the disk
+  evictMemory() {
+    while (this.maxEntries > 0 && this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  async evict() {
+    if (!this.maxEntries || this.maxEntries <= 0) {
+      return;
+    }
+
+    while (this.memory.size > this.maxEntries) {
+      const oldestKey = this.memory.keys().next().value;
+      await this.delete(oldestKey);
+    }
+
+    if (!this.dir) {
+      return;
+    }
+
+    const files = await this.listFiles();
+    if (files.length <= this.maxEntries) {
+      return;
+    }
+
+    const stamped = await Promise.all(files.map(async (file) => {
+      const stat = await fs.stat(path.join(this.dir, file)).catch(() => null);
+      return { file, mtimeMs: stat ? stat.mtimeMs : 0 };
+    }));
+    stamped.sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+    for (const { file } of stamped.slice(0, files.length - this.maxEntries)) {
+      await this.delete(decodeURIComponent(file.slice(0, -'.json'.length)));
+    }
+  }
+
+  async listFiles() {
+    try {
+      const files = await fs.readdir(this.dir);
+      return files.filter(file => file.endsWith('.json'));
+    } catch (error) {
+      // Not created yet, or a path that can never be a directory
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async readEntry(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      return Array.isArray(entry.transcript) ? entry : null;
+    } catch {
+      // Missing or corrupt cache files are treated as a miss
+      return null;
+    }
+  }
+
+  async writeEntry(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written entry
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(entry));
+    await fs.rename(temp, target);
+  }
+}
+
+module.exports = {
+  TranscriptCache,
+  DEFAULT_TTL_MS,
+  DEFAULT_MAX_ENTRIES,
+  DEFAULT_CACHE_DIR
+};
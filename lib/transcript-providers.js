@@ -0,0 +1,101 @@
+const { withTimeout } = require('./timeout.js');
+const { withRetry } = require('./retry.js');
+const { abortable } = require('./cancellation.js');
+const { createExtractorProvider } = require('./extractor-provider.js');
+const { createLocalDirProvider, createYtDlpProvider } = require('./file-providers.js');
+
+// A provider is { name, fetchTranscript(videoId, language), listCaptionTracks(videoId),
+// fetchMetadata(videoId) }; every method is optional. Methods resolve to null
+// (or an empty list) when the provider has nothing for the video. Each also
+// receives a last { signal } argument that aborts when the caller gives up.
+const PROVIDER_FACTORIES = new Map([
+  ['extractor', createExtractorProvider],
+  ['local-dir', createLocalDirProvider],
+  ['yt-dlp', createYtDlpProvider]
+]);
+
+function registerProvider(name, factory) {
+  PROVIDER_FACTORIES.set(name, factory);
+}
+
+function providerNames() {
+  return [...PROVIDER_FACTORIES.keys()];
+}
+
+// Builds the providers named in `order`; `options` maps a provider name to the
+// options its factory takes
+function createProviders(order, options = {}) {
+  return order.map(name => {
+    const factory = PROVIDER_FACTORIES.get(name);
+    if (!factory) {
+      throw new Error(`Unknown transcript provider '${name}'. Expected one of: ${providerNames().join(', ')}`);
+    }
+    return factory(options[name] || {});
+  });
+}
+
+// Asks providers in order until one answers, so a broken or empty source falls
+// through to the next. Each attempt is bounded by `timeoutMs`, and a provider
+// failing with a transient error is retried up to `retries` times with backoff
+// before the chain moves on. An aborted `signal` stops the chain.
+class TranscriptProviderChain {
+  constructor(providers, { timeoutMs = 0, retries = 0, retryDelayMs = 0, retryMaxDelayMs = retryDelayMs, random } = {}) {
+    this.providers = providers;
+    this.timeoutMs = timeoutMs;
+    this.retry = { retries, delayMs: retryDelayMs, maxDelayMs: retryMaxDelayMs, random };
+  }
+
+  fetchTranscript(videoId, language, { signal = null } = {}) {
+    return this.first('fetchTranscript', [videoId, language], 'fetching the transcript', signal);
+  }
+
+  listCaptionTracks(videoId, { signal = null } = {}) {
+    return this.first('listCaptionTracks', [videoId], 'listing caption tracks', signal);
+  }
+
+  fetchMetadata(videoId, { signal = null } = {}) {
+    return this.first('fetchMetadata', [videoId], 'fetching video metadata', signal);
+  }
+
+  // Errors are remembered and the first one is rethrown when no provider
+  // answers, since the earlier providers are the preferred sources
+  async first(method, args, what, signal) {
+    const errors = [];
+
+    for (const provider of this.providers) {
+      if (typeof provider[method] !== 'function') {
+        continue;
+      }
+      try {
+        const result = await withRetry(() => withTimeout(
+          abortable(Promise.resolve().then(() => provider[method](...args, { signal })), signal),
+          this.timeoutMs,
+          `Timed out after ${this.timeoutMs / 1000}s ${what} from ${provider.name}`
+        ), { ...this.retry, signal });
+        if (result !== null && result !== undefined && !(Array.isArray(result) && result.length === 0)) {
+          return result;
+        }
+      } catch (error) {
+        if (signal && signal.aborted) {
+          throw error;
+        }
+        errors.push(error);
+      }
+    }
+
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+    if (method === 'listCaptionTracks') {
+      return [];
+    }
+    throw new Error(method === 'fetchTranscript' ? 'No captions found for this video' : 'No video metadata found');
+  }
+}
+
+module.exports = {
+  TranscriptProviderChain,
+  registerProvider,
+  providerNames,
+  createProviders
+};
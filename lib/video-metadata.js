@@ -0,0 +1,26 @@
+// Reads the metadata fields of an InnerTube player response
+function parseVideoMetadata(playerData) {
+  const details = playerData && playerData.videoDetails;
+  if (!details) {
+    const status = (playerData && playerData.playabilityStatus) || {};
+    throw new Error(`Video unavailable: ${status.reason || status.status || 'no video details returned'}`);
+  }
+
+  const microformat = (playerData.microformat && playerData.microformat.playerMicroformatRenderer) || {};
+  const thumbnails = (details.thumbnail && details.thumbnail.thumbnails) || [];
+  const largest = thumbnails.reduce((best, thumb) => (!best || thumb.width > best.width ? thumb : best), null);
+
+  return {
+    title: details.title || null,
+    channel: details.author || microformat.ownerChannelName || null,
+    channelId: details.channelId || null,
+    description: details.shortDescription || null,
+    publishDate: microformat.publishDate || microformat.uploadDate || null,
+    viewCount: details.viewCount !== undefined ? Number(details.viewCount) : null,
+    lengthSeconds: details.lengthSeconds !== undefined ? Number(details.lengthSeconds) : null,
+    thumbnailUrl: largest ? largest.url : null,
+    isLive: Boolean(details.isLiveContent)
+  };
+}
+
+module.exports = { parseVideoMetadata };
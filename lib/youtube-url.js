@@ -0,0 +1,103 @@
+const { parseTimeInput } = require('./time.js');
+
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+const PLAYLIST_ID_PATTERN = /^[A-Za-z0-9_-]{2,}$/;
+
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'music.youtube.com',
+  'gaming.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com'
+]);
+const SHORT_HOSTS = new Set(['youtu.be', 'www.youtu.be']);
+
+// Path prefixes followed directly by a video ID, e.g. /shorts/ID
+const ID_PATH_PREFIXES = ['embed', 'v', 'e', 'shorts', 'live', 'watch'];
+
+function isVideoId(value) {
+  return typeof value === 'string' && VIDEO_ID_PATTERN.test(value);
+}
+
+// "t=1m30s", "t=90", "start=90" or "#t=90" as seconds, or null when missing or unreadable
+function parseStartTime(url) {
+  const hash = new URLSearchParams(url.hash.replace(/^#/, ''));
+  const value = url.searchParams.get('t') || url.searchParams.get('start') || hash.get('t') || hash.get('start');
+  if (!value) {
+    return null;
+  }
+  try {
+    return parseTimeInput(value);
+  } catch {
+    return null;
+  }
+}
+
+function parsePlaylistId(url) {
+  const list = url.searchParams.get('list');
+  return list && PLAYLIST_ID_PATTERN.test(list) ? list : null;
+}
+
+// Parses any YouTube video, shorts, live, embed or playlist URL (with or
+// without a scheme) or a bare 11 character video ID. Returns
+// { videoId, playlistId, startTime } with nulls for missing parts, or null
+// when the input is not a YouTube link. A video ID that is present but not
+// 11 valid characters makes the whole URL invalid.
+function parseYouTubeUrl(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const text = input.trim();
+  if (isVideoId(text)) {
+    return { videoId: text, playlistId: null, startTime: null };
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const segments = url.pathname.split('/').filter(Boolean);
+  let candidate = null;
+
+  if (SHORT_HOSTS.has(host)) {
+    candidate = segments[0] || null;
+  } else if (YOUTUBE_HOSTS.has(host)) {
+    if (segments[0] === 'watch' && segments.length === 1) {
+      candidate = url.searchParams.get('v');
+    } else if (ID_PATH_PREFIXES.includes(segments[0]) && segments[1]) {
+      candidate = segments[1];
+    } else if (segments[0] !== 'playlist') {
+      candidate = url.searchParams.get('v');
+    }
+  } else {
+    return null;
+  }
+
+  if (candidate !== null && !isVideoId(candidate)) {
+    return null;
+  }
+
+  const playlistId = parsePlaylistId(url);
+  if (!candidate && !playlistId) {
+    return null;
+  }
+
+  return {
+    videoId: candidate,
+    playlistId,
+    startTime: candidate ? parseStartTime(url) : null
+  };
+}
+
+module.exports = {
+  VIDEO_ID_PATTERN,
+  isVideoId,
+  parseYouTubeUrl
+};
@@ -1,18 +1,26 @@
 // tests/handlers/tool-handlers.test.js
-const { describe, test, expect, beforeEach } = require('@jest/globals');
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const { YouTubeSummarizerServer } = require('../../index.js');
-const { getSubtitles } = require('youtube-caption-extractor');
+const { isQuiet } = require('../../lib/output-isolation.js');
+const { runWithSignal } = require('../../lib/cancellation.js');
+const { getSubtitles, getVideoDetails } = require('youtube-caption-extractor');
 
 jest.mock('youtube-caption-extractor');
 
 describe('Tool Handlers', () => {
   let server;
+  let metadataProvider;
   const mockVideoId = 'dQw4w9WgXcQ';
   const mockUrl = `https://www.youtube.com/watch?v=${mockVideoId}`;
 
   beforeEach(() => {
     jest.clearAllMocks();
-    server = new YouTubeSummarizerServer();
+    // Keep video info tests offline; individual tests supply metadata where needed
+    metadataProvider = jest.fn().mockRejectedValue(new Error('Player API failed: HTTP 503'));
+    server = new YouTubeSummarizerServer({ metadataProvider });
   });
 
   describe('handleGetTranscript', () => {
@@ -37,6 +45,159 @@ describe('Tool Handlers', () => {
       expect(result.content[0].text).toBe('Hello world This is a test Final segment');
     });
 
+    test('should use the configured defaults unless the call overrides them', async () => {
+      const configuredServer = new YouTubeSummarizerServer({
+        metadataProvider: jest.fn().mockRejectedValue(new Error('offline')),
+        config: { language: 'es', format: 'plain' }
+      });
+
+      const result = await configuredServer.handleGetTranscript({ url: mockUrl });
+      expect(result.content[0].text).toBe('Hello world This is a test Final segment');
+      expect(getSubtitles).toHaveBeenLastCalledWith({ videoID: mockVideoId, lang: 'es' });
+
+      const overridden = await configuredServer.handleGetTranscript({ url: mockUrl, language: 'fr', format: 'srt' });
+      expect(overridden.content[0].text).toContain('00:00:00,000 --> 00:00:02,000');
+      expect(getSubtitles).toHaveBeenLastCalledWith({ videoID: mockVideoId, lang: 'fr' });
+    });
+
+    test('should group sections by the configured length', async () => {
+      const configuredServer = new YouTubeSummarizerServer({
+        metadataProvider: jest.fn().mockRejectedValue(new Error('offline')),
+        config: { section_seconds: 10 }
+      });
+      getSubtitles.mockResolvedValue([
+        { text: 'First', start: '0', dur: '5' },
+        { text: 'Second', start: '12', dur: '5' }
+      ]);
+
+      const result = await configuredServer.handleGetTranscript({ url: mockUrl, include_timestamps: true });
+
+      expect(result.content[0].text).toContain('### Section 1 (0:00 - 0:12)');
+      expect(result.content[0].text).toContain('### Section 2 (0:12 - 0:17)');
+    });
+
+    test('should time out slow transcript fetches', async () => {
+      const impatientServer = new YouTubeSummarizerServer({ config: { timeout_ms: 10, retries: 0 } });
+      getSubtitles.mockReturnValueOnce(new Promise(() => {}));
+
+      await expect(impatientServer.getTranscript(mockVideoId))
+        .rejects.toThrow('Failed to fetch transcript: Timed out after 0.01s fetching the transcript');
+    });
+
+    test('should retry a timed out transcript fetch', async () => {
+      const retryingServer = new YouTubeSummarizerServer({
+        config: { timeout_ms: 10, retries: 1, retry_delay_ms: 1 }
+      });
+      getSubtitles.mockReturnValueOnce(new Promise(() => {}));
+
+      await expect(retryingServer.getTranscript(mockVideoId)).resolves.toHaveLength(mockTranscript.length);
+      expect(getSubtitles).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report no transcript when cleanup removes every segment', async () => {
+      getSubtitles.mockResolvedValue([
+        { text: '[Music]', start: '0', dur: '5' },
+        { text: '[Applause]', start: '5', dur: '3' }
+      ]);
+      const soundTagServer = new YouTubeSummarizerServer({
+        metadataProvider: jest.fn().mockResolvedValue({ title: 'Concert' }),
+        captionTrackLister: jest.fn().mockResolvedValue([])
+      });
+
+      await expect(soundTagServer.handleGetTranscript({ url: mockUrl }))
+        .rejects.toThrow('No transcript found for this video');
+      await expect(soundTagServer.handleGetTranscriptsBatch({ urls: [mockUrl] }))
+        .resolves.toMatchObject({ structuredContent: { succeeded: 0, failed: 1 } });
+
+      const info = await soundTagServer.handleGetVideoInfo({ url: mockUrl });
+      expect(info.content[0].text).toContain('**Transcript Available:** No (No transcript found for this video');
+      expect(info.structuredContent.transcriptAvailable).toBe(false);
+
+      // Raw captions still keep the sound tags
+      const raw = await soundTagServer.handleGetTranscript({ url: mockUrl, normalize: false, format: 'plain' });
+      expect(raw.content[0].text).toBe('[Music] [Applause]');
+    });
+
+    test('should not retry videos that are unavailable', async () => {
+      const retryingServer = new YouTubeSummarizerServer({ config: { retries: 3, retry_delay_ms: 1 } });
+      getSubtitles.mockRejectedValueOnce(new Error('Video unavailable'));
+
+      await expect(retryingServer.getTranscript(mockVideoId))
+        .rejects.toThrow('This video is unavailable');
+      expect(getSubtitles).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fall back to the next transcript provider', async () => {
+      const broken = { name: 'broken', fetchTranscript: jest.fn().mockRejectedValue(new Error('page layout changed')) };
+      const local = {
+        name: 'local',
+        fetchTranscript: jest.fn().mockResolvedValue([{ text: 'From disk', offset: 0, duration: 1000 }])
+      };
+      const fallbackServer = new YouTubeSummarizerServer({ providers: [broken, local], metadataProvider });
+
+      const result = await fallbackServer.handleGetTranscript({ url: mockUrl, format: 'plain' });
+
+      expect(result.content[0].text).toBe('From disk');
+      expect(broken.fetchTranscript).toHaveBeenCalledWith(mockVideoId, 'en', { signal: expect.any(AbortSignal) });
+      expect(getSubtitles).not.toHaveBeenCalled();
+    });
+
+    test('should start at the time linked in the URL', async () => {
+      const result = await server.handleGetTranscript({
+        url: `https://youtu.be/${mockVideoId}?t=3`,
+        format: 'plain'
+      });
+
+      expect(result.content[0].text).toBe('This is a test Final segment');
+    });
+
+    test('should prefer an explicit range over the linked time', async () => {
+      const result = await server.handleGetTranscript({
+        url: `https://youtu.be/${mockVideoId}?t=3`,
+        format: 'plain',
+        start_time: '0'
+      });
+
+      expect(result.content[0].text).toBe('Hello world This is a test Final segment');
+    });
+
+    test('should clean caption text before formatting', async () => {
+      getSubtitles.mockResolvedValue([
+        { text: '[Music]', start: '0', dur: '2' },
+        { text: '&gt;&gt; it&amp;#39;s um  great', start: '2', dur: '2' },
+        { text: 'so good to be here', start: '4', dur: '2' }
+      ]);
+
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'plain' });
+      expect(result.content[0].text).toBe("it's um great so good to be here");
+
+      const withoutFillers = await server.handleGetTranscript({
+        url: mockUrl,
+        format: 'plain',
+        normalize: { remove_fillers: true }
+      });
+      expect(withoutFillers.content[0].text).toBe("it's great so good to be here");
+
+      const raw = await server.handleGetTranscript({ url: mockUrl, format: 'plain', normalize: false });
+      expect(raw.content[0].text).toContain('[Music] &gt;&gt; it&amp;#39;s');
+    });
+
+    test('should apply the server default normalization', async () => {
+      const fillerFreeServer = new YouTubeSummarizerServer({
+        metadataProvider: jest.fn().mockRejectedValue(new Error('offline')),
+        normalization: { remove_fillers: true }
+      });
+      getSubtitles.mockResolvedValue([{ text: 'uh hello', start: '0', dur: '1' }]);
+
+      const result = await fillerFreeServer.handleGetTranscript({ url: mockUrl, format: 'plain' });
+      expect(result.content[0].text).toBe('hello');
+    });
+
+    test('should reject unknown normalization steps', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, normalize: { shout: true } }))
+        .rejects.toThrow("Unknown normalization step 'shout'");
+    });
+
     test('should return plain text transcript with timestamps', async () => {
       const result = await server.handleGetTranscript({
         url: mockUrl,
@@ -76,6 +237,57 @@ describe('Tool Handlers', () => {
       expect(text).toContain('Hello world This is a test Final segment');
     });
 
+    test('should return SRT subtitles', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'srt' });
+
+      expect(result.content[0].text).toBe(
+        '1\n00:00:00,000 --> 00:00:02,000\nHello world\n\n' +
+        '2\n00:00:02,000 --> 00:00:05,000\nThis is a test\n\n' +
+        '3\n00:00:05,000 --> 00:00:07,000\nFinal segment\n'
+      );
+    });
+
+    test('should return WebVTT subtitles', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'vtt' });
+
+      const text = result.content[0].text;
+      expect(text.startsWith('WEBVTT\n\n')).toBe(true);
+      expect(text).toContain('00:00:02.000 --> 00:00:05.000\nThis is a test');
+    });
+
+    test('should return JSON segments', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'json' });
+
+      const parsed = JSON.parse(result.content[0].text);
+      expect(parsed.videoId).toBe(mockVideoId);
+      expect(parsed.segments[1]).toEqual({
+        index: 1,
+        start: 2000,
+        end: 5000,
+        duration: 3000,
+        text: 'This is a test'
+      });
+    });
+
+    test('should return CSV rows', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'csv' });
+
+      const lines = result.content[0].text.split('\n');
+      expect(lines).toHaveLength(4);
+      expect(lines[3]).toBe('2,5000,7000,00:00:05.000,00:00:07.000,Final segment');
+    });
+
+    test('should reject unknown formats in every transcript tool', async () => {
+      const message = "Invalid format 'bogus'. Expected one of: plain, structured, srt, vtt, json, csv";
+
+      await expect(server.handleGetTranscript({ url: mockUrl, format: 'bogus' })).rejects.toThrow(message);
+      await expect(server.handleGetPlaylistTranscripts({ url: 'https://www.youtube.com/playlist?list=PLtest123', format: 'bogus' }))
+        .rejects.toThrow(message);
+      await expect(server.handleGetTranscriptsBatch({ urls: [mockUrl], format: 'bogus' })).rejects.toThrow(message);
+      await expect(server.handleGetLocalTranscript({ path: 'talk.srt', format: 'bogus' })).rejects.toThrow(message);
+      expect(getSubtitles).not.toHaveBeenCalled();
+    });
+
     test('should handle different languages', async () => {
       await server.handleGetTranscript({
         url: mockUrl,
@@ -98,18 +310,91 @@ describe('Tool Handlers', () => {
     });
 
     test('should throw error for invalid URL', async () => {
-      await expect(server.handleGetTranscript({ url: 'invalid-url' }))
+      await expect(server.handleGetTranscript({ url: 'not-a-youtube-url' }))
         .rejects.toThrow('Invalid YouTube URL');
     });
 
-    test('should suppress console output during transcript fetch', async () => {
-      const suppressSpy = jest.spyOn(server, 'suppressConsoleOutput');
-      const restoreSpy = jest.spyOn(server, 'restoreConsoleOutput');
+    test('should run the extractor quietly during transcript fetch', async () => {
+      let quietDuringFetch;
+      getSubtitles.mockImplementationOnce(async () => {
+        quietDuringFetch = isQuiet();
+        return mockTranscript;
+      });
 
       await server.handleGetTranscript({ url: mockUrl });
 
-      expect(suppressSpy).toHaveBeenCalled();
-      expect(restoreSpy).toHaveBeenCalled();
+      expect(quietDuringFetch).toBe(true);
+      expect(isQuiet()).toBe(false);
+    });
+  });
+
+  describe('handleGetLocalTranscript', () => {
+    let dir;
+    let localServer;
+
+    beforeEach(() => {
+      dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-local-')));
+      fs.writeFileSync(path.join(dir, 'meeting.srt'), [
+        '1', '00:00:00,000 --> 00:00:03,000', '[Music] Welcome everyone to the review.', '',
+        '2', '00:00:03,000 --> 00:00:06,000', 'Revenue grew this quarter.', '',
+        '3', '00:02:10,000 --> 00:02:14,000', 'Questions are next.', ''
+      ].join('\n'));
+      localServer = new YouTubeSummarizerServer({ metadataProvider, config: { allowed_dirs: [dir] } });
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should clean and format a local file as plain text', async () => {
+      const result = await localServer.handleGetLocalTranscript({ path: 'meeting.srt', format: 'plain' });
+
+      expect(result.content[0].text).toBe('Welcome everyone to the review. Revenue grew this quarter. Questions are next.');
+      expect(getSubtitles).not.toHaveBeenCalled();
+    });
+
+    test('should section structured output and report file stats', async () => {
+      const result = await localServer.handleGetLocalTranscript({
+        path: path.join(dir, 'meeting.srt'),
+        format: 'structured',
+        include_timestamps: true
+      });
+
+      const text = result.content[0].text;
+      expect(text).toContain('# Local Transcript');
+      expect(text).toContain(`**File:** ${path.join(dir, 'meeting.srt')}`);
+      expect(text).toContain('**Estimated Duration:** 2:14');
+      expect(text).toContain('**Transcript Segments:** 3');
+      expect(text).toContain('**Estimated Word Count:** 12');
+      expect(text).toContain('### Section 1 (0:00 - 2:10)');
+      expect(text).toContain('### Section 2 (2:10 - 2:14)');
+      expect(result.structuredContent).toMatchObject({
+        captionFormat: 'srt',
+        duration: 134000,
+        segmentCount: 3,
+        wordCount: 12
+      });
+    });
+
+    test('should slice local files and apply chapters', async () => {
+      const result = await localServer.handleGetLocalTranscript({
+        path: 'meeting.srt',
+        format: 'structured',
+        include_timestamps: true,
+        start_time: '0:03',
+        chapters: ['0:00 Results', '2:00 Q&A']
+      });
+
+      expect(result.content[0].text).toContain('**Time Range:** 0:03 - 2:14');
+      expect(result.content[0].text).toContain('### Chapter 1: Results (0:03 - 2:00)');
+      expect(result.content[0].text).toContain('### Chapter 2: Q&A (2:00 - 2:14)');
+    });
+
+    test('should refuse files outside the allowed directories', async () => {
+      await expect(localServer.handleGetLocalTranscript({ path: '/etc/hostname' }))
+        .rejects.toThrow('is outside the allowed directories');
+      await expect(server.handleGetLocalTranscript({ path: path.join(dir, 'meeting.srt') }))
+        .rejects.toThrow('Local transcripts are disabled');
     });
   });
 
@@ -146,11 +431,996 @@ describe('Tool Handlers', () => {
     });
 
     test('should throw error for invalid URL', async () => {
-      await expect(server.handleGetVideoInfo({ url: 'invalid-url' }))
+      await expect(server.handleGetVideoInfo({ url: 'not-a-youtube-url' }))
+        .rejects.toThrow('Invalid YouTube URL');
+    });
+
+    test('should include video metadata from the provider', async () => {
+      metadataProvider.mockResolvedValue({
+        title: 'Never Gonna Give You Up',
+        channel: 'Rick Astley',
+        description: 'The official video.',
+        publishDate: '2009-10-24',
+        viewCount: 1234567,
+        lengthSeconds: 213,
+        thumbnailUrl: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg'
+      });
+
+      const result = await server.handleGetVideoInfo({ url: mockUrl });
+
+      const text = result.content[0].text;
+      expect(metadataProvider).toHaveBeenCalledWith(mockVideoId);
+      expect(text).toContain('**Title:** Never Gonna Give You Up');
+      expect(text).toContain('**Channel:** Rick Astley');
+      expect(text).toContain('**Published:** 2009-10-24');
+      expect(text).toContain('**Views:** 1,234,567');
+      expect(text).toContain('**Length:** 3:33');
+      expect(text).toContain('**Thumbnail:** https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg');
+      expect(text).toContain('## Description\n\nThe official video.');
+      expect(text).not.toContain('could not be retrieved');
+    });
+
+    test('should return metadata when the video has no captions', async () => {
+      metadataProvider.mockResolvedValue({ title: 'Silent Film', channel: 'Archive', lengthSeconds: 60 });
+      getSubtitles.mockRejectedValue(new Error('could not find captions'));
+      server.captionTrackLister = jest.fn().mockResolvedValue([]);
+
+      const result = await server.handleGetVideoInfo({ url: mockUrl });
+
+      const text = result.content[0].text;
+      expect(text).toContain('**Title:** Silent Film');
+      expect(text).toContain('**Length:** 1:00');
+      expect(text).toContain('**Transcript Available:** No (No transcript found for this video');
+      expect(text).not.toContain('**Estimated Word Count:**');
+      expect(text).toContain('cannot be summarized from captions');
+    });
+
+    test('should note missing metadata when only the transcript is available', async () => {
+      const result = await server.handleGetVideoInfo({ url: mockUrl });
+
+      expect(result.content[0].text).toContain('Video metadata could not be retrieved: Player API failed: HTTP 503');
+    });
+
+    test('should fall back to extractor video details for default metadata', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('fetch failed'));
+      getVideoDetails.mockResolvedValue({ title: 'Fallback Title', description: 'Fallback description' });
+
+      const metadata = await new YouTubeSummarizerServer().fetchVideoMetadata(mockVideoId);
+
+      expect(metadata).toEqual({ title: 'Fallback Title', description: 'Fallback description' });
+      expect(getVideoDetails).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'en' });
+      fetchSpy.mockRestore();
+    });
+
+    test('should throw when neither metadata nor transcript is available', async () => {
+      getSubtitles.mockRejectedValue(new Error('Video unavailable'));
+
+      await expect(server.handleGetVideoInfo({ url: mockUrl }))
+        .rejects.toThrow('This video is unavailable');
+    });
+  });
+
+  describe('handleGetTranscript pagination', () => {
+    const longTranscript = Array.from({ length: 10 }, (_, i) => ({
+      text: `Segment number ${i + 1} of the long talk.`,
+      start: String(i * 30),
+      dur: '30'
+    }));
+
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue(longTranscript);
+    });
+
+    test('should return the first page with a header and next cursor', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'plain', page_size: 4 });
+
+      expect(result.content).toHaveLength(2);
+      const header = result.content[0].text;
+      expect(header).toContain('# Transcript Page 1 of 3');
+      expect(header).toContain('**Time Range:** 0:00 - 2:00');
+      expect(header).toContain('**Segments:** 1-4 of 10');
+      expect(header).toMatch(/\*\*next_cursor:\*\* \S+/);
+      expect(result.content[1].text).toBe(longTranscript.slice(0, 4).map(item => item.text).join(' '));
+    });
+
+    test('should follow cursors through every page', async () => {
+      const first = await server.handleGetTranscript({ url: mockUrl, format: 'plain', page_size: 4 });
+      const cursor = first.content[0].text.match(/\*\*next_cursor:\*\* (\S+)/)[1];
+
+      const second = await server.handleGetTranscript({ url: mockUrl, format: 'plain', cursor });
+      expect(second.content[0].text).toContain('# Transcript Page 2 of 3');
+      expect(second.content[0].text).toContain('**Time Range:** 2:00 - 4:00');
+      expect(second.content[1].text).toContain('Segment number 5');
+
+      const nextCursor = second.content[0].text.match(/\*\*next_cursor:\*\* (\S+)/)[1];
+      const last = await server.handleGetTranscript({ url: mockUrl, format: 'plain', cursor: nextCursor });
+      expect(last.content[0].text).toContain('# Transcript Page 3 of 3');
+      expect(last.content[0].text).toContain('This is the last page.');
+      expect(last.content[0].text).not.toContain('next_cursor');
+      expect(last.content[1].text).toBe(longTranscript.slice(8).map(item => item.text).join(' '));
+    });
+
+    test('should split by estimated tokens', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, format: 'srt', max_tokens: 100 });
+
+      // Each segment costs 9 text tokens plus 4 for formatting
+      expect(result.content[0].text).toContain('# Transcript Page 1 of 2');
+      expect(result.content[0].text).toContain('**Segments:** 1-7 of 10');
+      expect(result.content[1].text.startsWith('1\n00:00:00,000 --> 00:00:30,000')).toBe(true);
+    });
+
+    test('should reject page sizes and token budgets that are not positive integers', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, page_size: -1 }))
+        .rejects.toThrow("Invalid page_size '-1'. Expected a positive integer");
+      await expect(server.handleGetTranscript({ url: mockUrl, max_tokens: 'abc' }))
+        .rejects.toThrow("Invalid max_tokens 'abc'. Expected a positive integer");
+      expect(getSubtitles).not.toHaveBeenCalled();
+    });
+
+    test('should keep the cursor language', async () => {
+      const first = await server.handleGetTranscript({ url: mockUrl, language: 'es', page_size: 5 });
+      const cursor = first.content[0].text.match(/\*\*next_cursor:\*\* (\S+)/)[1];
+
+      await server.handleGetTranscript({ url: mockUrl, cursor });
+
+      expect(getSubtitles).toHaveBeenLastCalledWith({ videoID: mockVideoId, lang: 'es' });
+    });
+
+    test('should reject a cursor for another video', async () => {
+      const first = await server.handleGetTranscript({ url: mockUrl, page_size: 5 });
+      const cursor = first.content[0].text.match(/\*\*next_cursor:\*\* (\S+)/)[1];
+
+      await expect(server.handleGetTranscript({ url: 'https://youtu.be/abcdefghijk', cursor }))
+        .rejects.toThrow('This cursor belongs to a different video.');
+    });
+
+    test('should reject malformed cursors', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, cursor: 'garbage' }))
+        .rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('handleGetTranscript chapters', () => {
+    const talk = [
+      { text: 'Hello and welcome.', start: '0', dur: '30' },
+      { text: 'Installing the tools.', start: '65', dur: '30' },
+      { text: 'Questions from the audience.', start: '190', dur: '30' }
+    ];
+
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue(talk);
+    });
+
+    test('should section by chapters from the video description', async () => {
+      metadataProvider.mockResolvedValue({
+        description: 'My talk\n\n0:00 Intro\n1:00 Installation\n3:00 Q&A'
+      });
+
+      const result = await server.handleGetTranscript({ url: mockUrl, include_timestamps: true });
+
+      const text = result.content[0].text;
+      expect(metadataProvider).toHaveBeenCalledWith(mockVideoId);
+      expect(text).toContain('### Chapter 1: Intro (0:00 - 1:00)\n\nHello and welcome.');
+      expect(text).toContain('### Chapter 2: Installation (1:00 - 3:00)\n\nInstalling the tools.');
+      expect(text).toContain('### Chapter 3: Q&A (3:00 - 3:40)\n\nQuestions from the audience.');
+      expect(text).not.toContain('### Section');
+    });
+
+    test('should prefer caller-supplied chapters', async () => {
+      metadataProvider.mockResolvedValue({ description: '0:00 A\n1:00 B\n2:00 C' });
+
+      const result = await server.handleGetTranscript({
+        url: mockUrl,
+        include_timestamps: true,
+        chapters: ['0:00 Opening', { start_time: '3:00', title: 'Audience' }]
+      });
+
+      const text = result.content[0].text;
+      expect(metadataProvider).not.toHaveBeenCalled();
+      expect(text).toContain('### Chapter 1: Opening (0:00 - 3:00)\n\nHello and welcome. Installing the tools.');
+      expect(text).toContain('### Chapter 2: Audience (3:00 - 3:40)');
+    });
+
+    test('should fall back to time-based sections without chapters', async () => {
+      metadataProvider.mockResolvedValue({ description: 'No chapters here' });
+
+      const result = await server.handleGetTranscript({ url: mockUrl, include_timestamps: true });
+
+      expect(result.content[0].text).toContain('### Section 1 (0:00 - ');
+    });
+
+    test('should fall back to time-based sections when metadata fails', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, include_timestamps: true });
+
+      expect(result.content[0].text).toContain('### Section 1 (0:00 - ');
+    });
+
+    test('should not look up chapters for other formats', async () => {
+      await server.handleGetTranscript({ url: mockUrl, include_timestamps: true, format: 'plain' });
+      await server.handleGetTranscript({ url: mockUrl, include_timestamps: false });
+
+      expect(metadataProvider).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed caller chapters', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, include_timestamps: true, chapters: ['Intro'] }))
+        .rejects.toThrow("Invalid chapter 'Intro'");
+    });
+
+    test('should reuse metadata between video info and chapters', async () => {
+      metadataProvider.mockResolvedValue({ title: 'Talk', description: '0:00 A\n1:00 B\n2:00 C' });
+
+      await server.handleGetVideoInfo({ url: mockUrl });
+      await server.handleGetTranscript({ url: mockUrl, include_timestamps: true });
+
+      expect(metadataProvider).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not render a transcript when the request is cancelled during the chapter lookup', async () => {
+      const controller = new AbortController();
+      metadataProvider.mockImplementation(() => {
+        controller.abort();
+        return new Promise(() => {});
+      });
+
+      await expect(runWithSignal(controller.signal, () => server.handleGetTranscript({
+        url: mockUrl,
+        include_timestamps: true
+      }))).rejects.toThrow('The request was cancelled');
+    });
+
+    test('should fetch metadata again once the cache ttl has passed', async () => {
+      const shortLived = new YouTubeSummarizerServer({ metadataProvider, cache: { ttlMs: 1000 } });
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      metadataProvider.mockResolvedValue({ title: 'Talk' });
+
+      try {
+        await shortLived.getVideoMetadata(mockVideoId);
+        now.mockReturnValue(10500);
+        await shortLived.getVideoMetadata(mockVideoId);
+        expect(metadataProvider).toHaveBeenCalledTimes(1);
+
+        now.mockReturnValue(11500);
+        await shortLived.getVideoMetadata(mockVideoId);
+        expect(metadataProvider).toHaveBeenCalledTimes(2);
+      } finally {
+        now.mockRestore();
+      }
+    });
+
+    test('should keep only the most recently used metadata within max_entries', async () => {
+      const small = new YouTubeSummarizerServer({ metadataProvider, cache: { maxEntries: 2 } });
+      metadataProvider.mockResolvedValue({ title: 'Talk' });
+
+      await small.getVideoMetadata('aaaaaaaaaaa');
+      await small.getVideoMetadata('bbbbbbbbbbb');
+      await small.getVideoMetadata('aaaaaaaaaaa');
+      await small.getVideoMetadata('ccccccccccc');
+
+      expect([...small.metadataRequests.keys()]).toEqual(['aaaaaaaaaaa', 'ccccccccccc']);
+      await small.getVideoMetadata('bbbbbbbbbbb');
+      expect(metadataProvider).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('handleGetTranscript time ranges', () => {
+    const talk = Array.from({ length: 6 }, (_, i) => ({
+      text: `Part ${i + 1}.`,
+      start: String(i * 60),
+      dur: '60'
+    }));
+
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue(talk);
+    });
+
+    test('should only include segments overlapping the window', async () => {
+      const result = await server.handleGetTranscript({
+        url: mockUrl,
+        format: 'plain',
+        start_time: '1:30',
+        end_time: '180'
+      });
+
+      expect(result.content[0].text).toBe('Part 2. Part 3.');
+    });
+
+    test('should report the sliced range in the structured header and sections', async () => {
+      const result = await server.handleGetTranscript({
+        url: mockUrl,
+        include_timestamps: true,
+        start_time: '2m30s'
+      });
+
+      const text = result.content[0].text;
+      expect(text).toContain('**Time Range:** 2:30 - 6:00');
+      expect(text).not.toContain('**Estimated Duration:**');
+      expect(text).toContain('**Transcript Segments:** 4');
+      expect(text).toContain('### Section 1 (2:30 - ');
+      expect(text).not.toContain('Part 2.');
+    });
+
+    test('should apply the window to subtitle formats', async () => {
+      const result = await server.handleGetTranscript({
+        url: mockUrl,
+        format: 'srt',
+        end_time: '1:00'
+      });
+
+      expect(result.content[0].text).toBe('1\n00:00:00,000 --> 00:01:00,000\nPart 1.\n');
+    });
+
+    test('should combine a window with pagination', async () => {
+      const first = await server.handleGetTranscript({
+        url: mockUrl,
+        format: 'plain',
+        start_time: '120',
+        page_size: 2
+      });
+
+      expect(first.content[0].text).toContain('# Transcript Page 1 of 2');
+      expect(first.content[0].text).toContain('**Time Range:** 2:00 - 4:00');
+      expect(first.content[1].text).toBe('Part 3. Part 4.');
+
+      const cursor = first.content[0].text.match(/\*\*next_cursor:\*\* (\S+)/)[1];
+      const second = await server.handleGetTranscript({ url: mockUrl, format: 'plain', cursor });
+      expect(second.content[1].text).toBe('Part 5. Part 6.');
+    });
+
+    test('should reject an empty or inverted window', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, start_time: '5:00', end_time: '4:00' }))
+        .rejects.toThrow('start_time must be before end_time');
+      await expect(server.handleGetTranscript({ url: mockUrl, start_time: '2h' }))
+        .rejects.toThrow('start_time must be before end_time');
+    });
+
+    test('should reject unparseable times', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, start_time: 'noon' }))
+        .rejects.toThrow("Invalid time 'noon'");
+    });
+  });
+
+  describe('caption track fallback', () => {
+    const tracks = [
+      { languageCode: 'en-GB', name: 'English (United Kingdom)', isAutoGenerated: false, isTranslatable: true },
+      { languageCode: 'de', name: 'German (auto-generated)', isAutoGenerated: true, isTranslatable: true }
+    ];
+    let captionTrackLister;
+
+    beforeEach(() => {
+      captionTrackLister = jest.fn().mockResolvedValue(tracks);
+      server = new YouTubeSummarizerServer({ captionTrackLister, metadataProvider });
+
+      getSubtitles.mockImplementation(async ({ lang }) => {
+        if (lang === 'en-GB' || lang === 'de') {
+          return [{ text: `Captions in ${lang}.`, start: '0', dur: '2' }];
+        }
+        throw new Error('could not find captions');
+      });
+    });
+
+    test('should list caption languages', async () => {
+      const result = await server.handleListCaptionLanguages({ url: mockUrl });
+
+      const text = result.content[0].text;
+      expect(captionTrackLister).toHaveBeenCalledWith(mockVideoId);
+      expect(text).toContain('# Available Caption Languages');
+      expect(text).toContain('**Caption Tracks:** 2');
+      expect(text).toContain('| en-GB | English (United Kingdom) | No | Yes |');
+      expect(text).toContain('| de | German (auto-generated) | Yes | Yes |');
+    });
+
+    test('should report videos without caption tracks', async () => {
+      captionTrackLister.mockResolvedValue([]);
+
+      const result = await server.handleListCaptionLanguages({ url: mockUrl });
+
+      expect(result.content[0].text).toContain('This video has no caption tracks.');
+    });
+
+    test('should retry a transient failure listing caption languages', async () => {
+      const retryingServer = new YouTubeSummarizerServer({
+        captionTrackLister,
+        metadataProvider,
+        config: { retries: 1, retry_delay_ms: 1 }
+      });
+      captionTrackLister.mockRejectedValueOnce(new TypeError('fetch failed'));
+
+      const result = await retryingServer.handleListCaptionLanguages({ url: mockUrl });
+
+      expect(captionTrackLister).toHaveBeenCalledTimes(2);
+      expect(result.content[0].text).toContain('**Caption Tracks:** 2');
+    });
+
+    test('should fall back from a bare code to a regional track', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, language: 'en' });
+
+      const text = result.content[0].text;
+      expect(text).toContain('Captions in en-GB.');
+      expect(text).toContain('**Caption Track:** en-GB (manual)');
+    });
+
+    test('should walk an ordered fallback list', async () => {
+      const result = await server.handleGetTranscript({
+        url: mockUrl,
+        language: ['en-US', 'fr', 'auto'],
+        format: 'plain'
+      });
+
+      expect(result.content[0].text).toBe('Captions in de.');
+      expect(result.content[1].text).toBe('Caption track used: de (auto-generated)');
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'de' });
+    });
+
+    test('should not consult tracks when the requested language exists', async () => {
+      const result = await server.handleGetTranscript({ url: mockUrl, language: 'de', format: 'plain' });
+
+      expect(captionTrackLister).not.toHaveBeenCalled();
+      expect(result.content).toHaveLength(1);
+    });
+
+    test('should list available tracks when nothing matches', async () => {
+      await expect(server.handleGetTranscript({ url: mockUrl, language: ['ja', 'ko'] }))
+        .rejects.toThrow('No transcript found for language ja, ko. Available caption tracks: en-GB (manual), de (auto-generated)');
+    });
+
+    test('should keep the original error when tracks cannot be listed', async () => {
+      captionTrackLister.mockRejectedValue(new Error('Player API failed: HTTP 500'));
+
+      await expect(server.handleGetTranscript({ url: mockUrl, language: 'ja' }))
+        .rejects.toThrow('No transcript found for this video');
+    });
+
+    test('should use the language argument for video info', async () => {
+      const result = await server.handleGetVideoInfo({ url: mockUrl, language: ['en-US', 'en'] });
+
+      expect(result.content[0].text).toContain('**Caption Track:** en-GB (manual)');
+    });
+  });
+
+  describe('handleGetPlaylistTranscripts', () => {
+    const playlistUrl = 'https://www.youtube.com/playlist?list=PLtest123';
+    let playlistResolver;
+
+    beforeEach(() => {
+      playlistResolver = jest.fn().mockResolvedValue({
+        playlistId: 'PLtest123',
+        title: 'Test Course',
+        videoIds: ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc']
+      });
+      // No other caption tracks, so the language fallback stays offline
+      server = new YouTubeSummarizerServer({ playlistResolver, captionTrackLister: jest.fn().mockResolvedValue([]) });
+
+      getSubtitles.mockImplementation(async ({ videoID }) => {
+        if (videoID === 'bbbbbbbbbbb') {
+          throw new Error('could not find captions');
+        }
+        return [{ text: `Transcript for ${videoID}.`, start: '0', dur: '5' }];
+      });
+    });
+
+    test('should fetch every video and report per-video errors', async () => {
+      const result = await server.handleGetPlaylistTranscripts({ url: playlistUrl, format: 'plain' });
+
+      const text = result.content[0].text;
+      expect(playlistResolver).toHaveBeenCalledWith('PLtest123');
+      expect(text).toContain('# YouTube Playlist Transcripts');
+      expect(text).toContain('**Playlist:** Test Course');
+      expect(text).toContain('**Videos Processed:** 3');
+      expect(text).toContain('**Succeeded:** 2');
+      expect(text).toContain('**Failed:** 1');
+      expect(text).toContain('## Video 1: aaaaaaaaaaa\n\nTranscript for aaaaaaaaaaa.');
+      expect(text).toContain('## Video 3: ccccccccccc\n\nTranscript for ccccccccccc.');
+      expect(text).toContain('**Error:** No transcript found for this video');
+      expect(text).toContain('- https://www.youtube.com/watch?v=bbbbbbbbbbb: No transcript found');
+    });
+
+    test('should pass format options through to each transcript', async () => {
+      const result = await server.handleGetPlaylistTranscripts({
+        url: playlistUrl,
+        format: 'structured',
+        include_timestamps: true,
+        language: 'fr'
+      });
+
+      expect(result.content[0].text).toContain('### Section 1 (0:00 - 0:05)');
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: 'aaaaaaaaaaa', lang: 'fr' });
+    });
+
+    test('should limit the number of processed videos', async () => {
+      const result = await server.handleGetPlaylistTranscripts({ url: playlistUrl, max_videos: 1 });
+
+      expect(getSubtitles).toHaveBeenCalledTimes(1);
+      expect(result.content[0].text).toContain('**Videos Processed:** 1 of 3');
+    });
+
+    test('should accept a watch URL with a list parameter', async () => {
+      await server.handleGetPlaylistTranscripts({
+        url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa&list=PLtest123&index=2'
+      });
+
+      expect(playlistResolver).toHaveBeenCalledWith('PLtest123');
+    });
+
+    test('should throw error for URL without a playlist', async () => {
+      await expect(server.handleGetPlaylistTranscripts({ url: mockUrl }))
+        .rejects.toThrow('Invalid YouTube playlist URL');
+    });
+
+    test('should propagate playlist resolution failures', async () => {
+      playlistResolver.mockRejectedValue(new Error('Playlist not found or contains no public videos'));
+
+      await expect(server.handleGetPlaylistTranscripts({ url: playlistUrl }))
+        .rejects.toThrow('Playlist not found');
+      expect(playlistResolver).toHaveBeenCalledTimes(1);
+    });
+
+    test('should retry a transient playlist fetch failure', async () => {
+      const retryingServer = new YouTubeSummarizerServer({
+        playlistResolver,
+        captionTrackLister: jest.fn().mockResolvedValue([]),
+        config: { retries: 2, retry_delay_ms: 1 }
+      });
+      playlistResolver.mockRejectedValueOnce(new TypeError('fetch failed'));
+
+      const result = await retryingServer.handleGetPlaylistTranscripts({ url: playlistUrl });
+
+      expect(playlistResolver).toHaveBeenCalledTimes(2);
+      expect(result.structuredContent.title).toBe('Test Course');
+    });
+  });
+
+  describe('handleGetTranscriptsBatch', () => {
+    beforeEach(() => {
+      getSubtitles.mockImplementation(async ({ videoID }) => {
+        if (videoID === 'privateVid1') {
+          throw new Error('Video unavailable');
+        }
+        return [{ text: `Transcript for ${videoID}.`, start: '0', dur: '5' }];
+      });
+    });
+
+    test('should return successes and failures in one report', async () => {
+      const result = await server.handleGetTranscriptsBatch({
+        urls: [
+          mockUrl,
+          'https://youtu.be/privateVid1',
+          'not-a-url'
+        ],
+        format: 'plain'
+      });
+
+      const text = result.content[0].text;
+      expect(text).toContain('# YouTube Transcripts Batch');
+      expect(text).toContain('**Videos Requested:** 3');
+      expect(text).toContain('**Succeeded:** 1');
+      expect(text).toContain('**Failed:** 2');
+      expect(text).toContain(`## Video 1: ${mockVideoId}\n\nTranscript for ${mockVideoId}.`);
+      expect(text).toContain('- https://youtu.be/privateVid1: This video is unavailable');
+      expect(text).toContain('- not-a-url: Invalid YouTube URL');
+    });
+
+    test('should apply the requested language and format to every video', async () => {
+      const result = await server.handleGetTranscriptsBatch({
+        urls: [mockUrl, 'https://youtu.be/abcdefghijk'],
+        language: 'de',
+        include_timestamps: true
+      });
+
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'de' });
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: 'abcdefghijk', lang: 'de' });
+      expect(result.content[0].text.match(/### Section 1 \(0:00 - 0:05\)/g)).toHaveLength(2);
+    });
+
+    test('should apply a language fallback list to each video', async () => {
+      const captionTrackLister = jest.fn(async videoId => (videoId === mockVideoId
+        ? [{ languageCode: 'en-US', name: 'English (US)', isAutoGenerated: false }]
+        : [{ languageCode: 'en', name: 'English', isAutoGenerated: false }]));
+      const fallbackServer = new YouTubeSummarizerServer({ metadataProvider, captionTrackLister });
+
+      const result = await fallbackServer.handleGetTranscriptsBatch({
+        urls: [mockUrl, 'https://youtu.be/abcdefghijk'],
+        language: ['en-US', 'en']
+      });
+
+      expect(result.structuredContent.succeeded).toBe(2);
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'en-US' });
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: 'abcdefghijk', lang: 'en' });
+      expect(await fallbackServer.cache.keys()).toEqual(expect.arrayContaining([`${mockVideoId}:en-US`, 'abcdefghijk:en']));
+      expect(await fallbackServer.cache.keys()).not.toContain(`${mockVideoId}:en-US,en`);
+    });
+
+    test('should respect the concurrency cap', async () => {
+      let active = 0;
+      let peak = 0;
+      getSubtitles.mockImplementation(async ({ videoID }) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return [{ text: videoID, start: '0', dur: '1' }];
+      });
+
+      const urls = ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc', 'ddddddddddd']
+        .map(id => `https://youtu.be/${id}`);
+      await server.handleGetTranscriptsBatch({ urls, concurrency: 2 });
+
+      expect(peak).toBe(2);
+    });
+
+    test('should clamp out-of-range concurrency', async () => {
+      let active = 0;
+      let peak = 0;
+      getSubtitles.mockImplementation(async ({ videoID }) => {
+        active++;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active--;
+        return [{ text: videoID, start: '0', dur: '1' }];
+      });
+      const urls = Array.from({ length: 15 }, (_, i) => `https://youtu.be/video${String(i).padStart(6, '0')}`);
+
+      await server.handleGetTranscriptsBatch({ urls: urls.slice(0, 12), concurrency: 100 });
+      expect(peak).toBe(10);
+
+      peak = 0;
+      await server.handleGetTranscriptsBatch({ urls: urls.slice(12), concurrency: 0 });
+      expect(peak).toBe(1);
+    });
+
+    test('should throw error for an empty URL list', async () => {
+      await expect(server.handleGetTranscriptsBatch({ urls: [] }))
+        .rejects.toThrow('non-empty array');
+    });
+
+    test('should reject more than 50 URLs without fetching', async () => {
+      const urls = Array.from({ length: 51 }, () => mockUrl);
+
+      await expect(server.handleGetTranscriptsBatch({ urls }))
+        .rejects.toThrow('at most 50 YouTube video URLs');
+      expect(getSubtitles).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleSearchTranscript', () => {
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue([
+        { text: 'Welcome everyone', start: '0', dur: '5' },
+        { text: 'today we talk about Testing', start: '5', dur: '5' },
+        { text: 'and why tests matter', start: '10', dur: '5' },
+        { text: 'thanks for watching', start: '83', dur: '5' }
+      ]);
+    });
+
+    test('should return case-insensitive matches with context and deep links', async () => {
+      const result = await server.handleSearchTranscript({ url: mockUrl, query: 'testing' });
+
+      const text = result.content[0].text;
+      expect(text).toContain('# Transcript Search Results');
+      expect(text).toContain('**Query:** "testing"');
+      expect(text).toContain('**Matches:** 1');
+      expect(text).toContain('## Match 1 at 0:05');
+      expect(text).toContain(`**Link:** https://youtu.be/${mockVideoId}?t=5`);
+      expect(text).toContain('> Welcome everyone **today we talk about Testing** and why tests matter');
+    });
+
+    test('should only match exact case in exact mode', async () => {
+      const miss = await server.handleSearchTranscript({ url: mockUrl, query: 'testing', match_mode: 'exact' });
+      const hit = await server.handleSearchTranscript({ url: mockUrl, query: 'Testing', match_mode: 'exact' });
+
+      expect(miss.content[0].text).toContain('**Matches:** 0');
+      expect(miss.content[0].text).toContain('No segments matched this query.');
+      expect(hit.content[0].text).toContain('**Matches:** 1');
+    });
+
+    test('should match word variants in fuzzy mode', async () => {
+      const result = await server.handleSearchTranscript({ url: mockUrl, query: 'test', match_mode: 'fuzzy' });
+
+      const text = result.content[0].text;
+      expect(text).toContain('**Matches:** 2');
+      expect(text).toContain('## Match 2 at 0:10');
+    });
+
+    test('should respect context and max_results', async () => {
+      const result = await server.handleSearchTranscript({
+        url: mockUrl,
+        query: 'watching',
+        context: 0,
+        max_results: 1
+      });
+
+      const text = result.content[0].text;
+      expect(text).toContain('## Match 1 at 1:23');
+      expect(text).toContain(`?t=83`);
+      expect(text).toContain('> **thanks for watching**');
+    });
+
+    test('should reject an invalid match mode', async () => {
+      await expect(server.handleSearchTranscript({ url: mockUrl, query: 'x', match_mode: 'regex' }))
+        .rejects.toThrow("Invalid match_mode 'regex'");
+    });
+
+    test('should reject an empty query or invalid URL', async () => {
+      await expect(server.handleSearchTranscript({ url: mockUrl, query: '  ' }))
+        .rejects.toThrow('Please provide a search query.');
+      await expect(server.handleSearchTranscript({ url: mockUrl, query: 42 }))
+        .rejects.toThrow('Please provide a search query.');
+      await expect(server.handleSearchTranscript({ url: 'not-a-youtube-url', query: 'x' }))
         .rejects.toThrow('Invalid YouTube URL');
     });
   });
 
+  describe('handleSummarizeVideo', () => {
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue([
+        { text: 'Solar panels convert sunlight into electricity.', start: '0', dur: '5' },
+        { text: 'My cat is asleep.', start: '5', dur: '5' },
+        { text: 'Cheap solar panels make electricity from sunlight affordable.', start: '65', dur: '5' },
+        { text: 'Anyway.', start: '70', dur: '5' }
+      ]);
+    });
+
+    test('should return timestamped summary sentences with deep links', async () => {
+      const result = await server.handleSummarizeVideo({ url: mockUrl, sentences: 2 });
+
+      const text = result.content[0].text;
+      expect(text).toContain('# Extractive Summary');
+      expect(text).toContain('**Method:** TextRank');
+      expect(text).toContain('**Sentences:** 2 of 4');
+      expect(text).toContain(`- [0:00](https://youtu.be/${mockVideoId}?t=0) Solar panels convert sunlight into electricity.`);
+      expect(text).toContain(`- [1:05](https://youtu.be/${mockVideoId}?t=65) Cheap solar panels`);
+      expect(text).not.toContain('My cat');
+    });
+
+    test('should support the TF-IDF method and ratios', async () => {
+      const result = await server.handleSummarizeVideo({ url: mockUrl, method: 'tfidf', ratio: 0.25 });
+
+      expect(result.content[0].text).toContain('**Method:** TF-IDF');
+      expect(result.content[0].text).toContain('**Sentences:** 1 of 4');
+    });
+
+    test('should reject invalid ratios and URLs', async () => {
+      await expect(server.handleSummarizeVideo({ url: mockUrl, ratio: 2 }))
+        .rejects.toThrow('ratio must be greater than 0 and at most 1.');
+      await expect(server.handleSummarizeVideo({ url: 'not-a-youtube-url' }))
+        .rejects.toThrow('Invalid YouTube URL');
+    });
+  });
+
+  describe('handleCreateOutline', () => {
+    beforeEach(() => {
+      const topics = [
+        ['solar panels convert sunlight', 'panels on the roof face south', 'solar cells need sunlight'],
+        ['batteries store energy overnight', 'lithium batteries charge quickly', 'battery capacity matters'],
+        ['inverters change current', 'the inverter converts direct current', 'grid inverters sync current']
+      ];
+      const subtitles = [];
+      topics.forEach(lines => {
+        for (let i = 0; i < 20; i++) {
+          subtitles.push({ text: lines[i % 3], start: String(subtitles.length * 4), dur: '4' });
+        }
+      });
+      getSubtitles.mockResolvedValue(subtitles);
+    });
+
+    test('should build an outline with time ranges, links and keywords', async () => {
+      const result = await server.handleCreateOutline({ url: mockUrl, min_section_seconds: 30 });
+
+      const text = result.content[0].text;
+      expect(text).toContain('# Video Outline');
+      expect(text).toContain('**Sections:** 3');
+      expect(text).toMatch(/## 2\. Batteries.* \(1:20 - 2:40\)/);
+      expect(text).toContain(`**Link:** https://youtu.be/${mockVideoId}?t=80`);
+      expect(text).toMatch(/\*\*Keywords:\*\* .*batteries/);
+    });
+
+    test('should render a YouTube-style chapter list', async () => {
+      const result = await server.handleCreateOutline({ url: mockUrl, format: 'chapters', min_section_seconds: 30 });
+
+      const lines = result.content[0].text.split('\n');
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^0:00 Panels|^0:00 Solar/);
+      expect(lines[1]).toMatch(/^1:20 Batteries/);
+      expect(lines[2]).toMatch(/^2:40 /);
+    });
+
+    test('should note when too few chapters were detected', async () => {
+      const result = await server.handleCreateOutline({ url: mockUrl, format: 'chapters', max_sections: 1 });
+
+      expect(result.content[0].text).toContain('YouTube needs at least three chapters; only 1 topic detected.');
+    });
+
+    test('should reject invalid formats and URLs', async () => {
+      await expect(server.handleCreateOutline({ url: mockUrl, format: 'mindmap' }))
+        .rejects.toThrow("Invalid format 'mindmap'");
+      await expect(server.handleCreateOutline({ url: 'not-a-youtube-url' }))
+        .rejects.toThrow('Invalid YouTube URL');
+    });
+  });
+
+  describe('handleReadResource', () => {
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue([
+        { text: 'Hello world.', start: '0', dur: '2' },
+        { text: 'Goodbye.', start: '2', dur: '3' }
+      ]);
+    });
+
+    test('should read a transcript resource', async () => {
+      const uri = `youtube://transcript/${mockVideoId}/es`;
+      const result = await server.handleReadResource(uri);
+
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'es' });
+      expect(result.contents[0].uri).toBe(uri);
+      expect(result.contents[0].mimeType).toBe('text/markdown');
+      expect(result.contents[0].text).toContain('# YouTube Video Transcript');
+      expect(result.contents[0].text).toContain(`**Video URL:** https://www.youtube.com/watch?v=${mockVideoId}`);
+    });
+
+    test('should apply the language fallback to transcript resources', async () => {
+      server.captionTrackLister = jest.fn().mockResolvedValue([
+        { languageCode: 'en-GB', name: 'English (UK)', isAutoGenerated: false, isTranslatable: true },
+        { languageCode: 'de', name: 'German (auto-generated)', isAutoGenerated: true, isTranslatable: true }
+      ]);
+      getSubtitles.mockImplementation(async ({ lang }) => (['en-GB', 'de'].includes(lang)
+        ? [{ text: `Hello in ${lang}.`, start: '0', dur: '2' }]
+        : []));
+
+      const english = await server.handleReadResource(`youtube://transcript/${mockVideoId}/en`);
+      const auto = await server.handleReadResource(`youtube://transcript/${mockVideoId}/auto`);
+
+      expect(english.contents[0].text).toContain('Hello in en-GB.');
+      expect(auto.contents[0].text).toContain('Hello in de.');
+      expect(getSubtitles).not.toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'auto' });
+    });
+
+    test('should read an info resource', async () => {
+      const result = await server.handleReadResource(`youtube://info/${mockVideoId}`);
+
+      expect(result.contents[0].text).toContain('# YouTube Video Information');
+      expect(result.contents[0].text).toContain(`**Video ID:** ${mockVideoId}`);
+    });
+
+    test('should reject unknown resource URIs', async () => {
+      await expect(server.handleReadResource('youtube://comments/abc'))
+        .rejects.toThrow('Unknown resource: youtube://comments/abc');
+    });
+  });
+
+  describe('handleGetPrompt', () => {
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue([
+        { text: 'Welcome to the talk.', start: '0', dur: '2' },
+        { text: 'Today we cover testing.', start: '2', dur: '3' }
+      ]);
+    });
+
+    test('should embed the transcript in summarize_video', async () => {
+      const result = await server.handleGetPrompt('summarize_video', { url: mockUrl });
+
+      expect(result.messages).toHaveLength(1);
+      expect(result.messages[0].role).toBe('user');
+      const text = result.messages[0].content.text;
+      expect(text).toContain('Write a detailed summary');
+      expect(text).toContain('# YouTube Video Transcript');
+      expect(text).toContain('### Section 1 (0:00 - 0:05)');
+      expect(text).toContain('Welcome to the talk. Today we cover testing.');
+    });
+
+    test('should support each detail level', async () => {
+      const brief = await server.handleGetPrompt('summarize_video', { url: mockUrl, detail_level: 'brief' });
+      const comprehensive = await server.handleGetPrompt('summarize_video', { url: mockUrl, detail_level: 'comprehensive' });
+
+      expect(brief.messages[0].content.text).toContain('Write a brief summary');
+      expect(comprehensive.messages[0].content.text).toContain('comprehensive, in-depth analysis');
+    });
+
+    test('should reject an unknown detail level', async () => {
+      await expect(server.handleGetPrompt('summarize_video', { url: mockUrl, detail_level: 'huge' }))
+        .rejects.toThrow("Invalid detail_level 'huge'");
+    });
+
+    test('should build outline and key takeaway prompts', async () => {
+      const outline = await server.handleGetPrompt('outline_video', { url: mockUrl });
+      const takeaways = await server.handleGetPrompt('key_takeaways', { url: mockUrl, count: '3' });
+
+      expect(outline.messages[0].content.text).toContain('hierarchical outline');
+      expect(takeaways.messages[0].content.text).toContain('List the 3 most important takeaways');
+    });
+
+    test('should fetch the transcript in the requested language', async () => {
+      await server.handleGetPrompt('outline_video', { url: mockUrl, language: 'fr' });
+
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'fr' });
+    });
+
+    test('should apply a comma separated language fallback list', async () => {
+      const captionTrackLister = jest.fn().mockResolvedValue([
+        { languageCode: 'en-GB', name: 'English (UK)', isAutoGenerated: false }
+      ]);
+      const fallbackServer = new YouTubeSummarizerServer({ metadataProvider, captionTrackLister });
+
+      const result = await fallbackServer.handleGetPrompt('outline_video', { url: mockUrl, language: 'fr,en' });
+
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: mockVideoId, lang: 'en-GB' });
+      expect(result.messages[0].content.text).toContain('Welcome to the talk.');
+    });
+
+    test('should reject unknown prompts and invalid URLs', async () => {
+      await expect(server.handleGetPrompt('write_poem', { url: mockUrl }))
+        .rejects.toThrow('Unknown prompt: write_poem');
+      await expect(server.handleGetPrompt('outline_video', { url: 'not-a-youtube-url' }))
+        .rejects.toThrow('Invalid YouTube URL');
+      await expect(server.handleGetPrompt('outline_video', {}))
+        .rejects.toThrow('Invalid YouTube URL');
+    });
+  });
+
+  describe('transcript cache', () => {
+    const mockTranscript = [
+      { text: 'Hello world', start: '0', dur: '2' },
+      { text: 'This is a test', start: '2', dur: '3' }
+    ];
+
+    beforeEach(() => {
+      getSubtitles.mockResolvedValue(mockTranscript);
+    });
+
+    test('should fetch once for info followed by transcript of the same video', async () => {
+      await server.handleGetVideoInfo({ url: mockUrl });
+      await server.handleGetTranscript({ url: mockUrl, language: 'en' });
+
+      expect(getSubtitles).toHaveBeenCalledTimes(1);
+    });
+
+    test('should cache each language separately', async () => {
+      await server.getTranscript(mockVideoId, 'en');
+      await server.getTranscript(mockVideoId, 'es');
+
+      expect(getSubtitles).toHaveBeenCalledTimes(2);
+    });
+
+    test('should clear the cache for a single video', async () => {
+      await server.getTranscript(mockVideoId, 'en');
+      await server.getTranscript('abcdefghijk', 'en');
+
+      const result = await server.handleClearCache({ url: mockUrl });
+
+      expect(result.content[0].text).toBe(`Removed 1 cached transcript(s) for video ${mockVideoId}.`);
+      await server.getTranscript(mockVideoId, 'en');
+      await server.getTranscript('abcdefghijk', 'en');
+      expect(getSubtitles).toHaveBeenCalledTimes(3);
+    });
+
+    test('should clear the whole cache when no URL is given', async () => {
+      await server.getTranscript(mockVideoId, 'en');
+      await server.getTranscript(mockVideoId, 'es');
+
+      const result = await server.handleClearCache({});
+
+      expect(result.content[0].text).toBe('Removed 2 cached transcript(s).');
+    });
+
+    test('should reject an invalid URL when clearing', async () => {
+      await expect(server.handleClearCache({ url: 'not-a-youtube-url' }))
+        .rejects.toThrow('Invalid YouTube URL');
+    });
+
+    test('should report cache statistics', async () => {
+      await server.getTranscript(mockVideoId, 'en');
+      await server.getTranscript(mockVideoId, 'en');
+
+      const result = await server.handleGetCacheStats();
+
+      const text = result.content[0].text;
+      expect(text).toContain('# Transcript Cache Statistics');
+      expect(text).toContain('**Cached Transcripts:** 1 / 200');
+      expect(text).toContain('**Location:** memory only');
+      expect(text).toContain('**Hits:** 1');
+      expect(text).toContain('**Misses:** 1');
+    });
+  });
+
   describe('getTranscript error handling', () => {
     test('should handle no captions error', async () => {
       getSubtitles.mockRejectedValue(new Error('could not find captions'));
@@ -1,6 +1,8 @@
 // tests/integration/edge-cases.test.js
 const { describe, test, expect, beforeEach } = require('@jest/globals');
 const { YouTubeSummarizerServer } = require('../../index.js');
+const { PassThrough } = require('node:stream');
+const { isolateOutput } = require('../../lib/output-isolation.js');
 const { getSubtitles } = require('youtube-caption-extractor');
 
 jest.mock('youtube-caption-extractor');
@@ -10,7 +12,10 @@ describe('Edge Cases', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
-    server = new YouTubeSummarizerServer();
+    // No description chapters, and no network access for video metadata
+    server = new YouTubeSummarizerServer({
+      metadataProvider: jest.fn().mockResolvedValue({ description: null })
+    });
   });
 
   describe('Transcript with special characters', () => {
@@ -24,7 +29,7 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(mockTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
         format: 'plain'
       });
 
@@ -41,13 +46,20 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(mockTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
-        format: 'plain'
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
+        format: 'plain',
+        normalize: false
       });
 
       expect(result.content[0].text).toContain('Line one\nLine two');
       expect(result.content[0].text).toContain('Tab\there');
       expect(result.content[0].text).toContain('Multiple   spaces');
+
+      const normalized = await server.handleGetTranscript({
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
+        format: 'plain'
+      });
+      expect(normalized.content[0].text).toBe('Line one Line two Tab here Multiple spaces');
     });
 
     test('should handle empty text segments', async () => {
@@ -60,11 +72,19 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(mockTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
-        format: 'plain'
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
+        format: 'plain',
+        normalize: false
       });
 
       expect(result.content[0].text).toBe('Start  End');
+
+      // Normalization drops the empty segment
+      const normalized = await server.handleGetTranscript({
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
+        format: 'plain'
+      });
+      expect(normalized.content[0].text).toBe('Start End');
     });
   });
 
@@ -82,7 +102,7 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(longTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
         format: 'structured',
         include_timestamps: true
       });
@@ -105,7 +125,7 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(longTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
         format: 'structured',
         include_timestamps: true
       });
@@ -126,7 +146,7 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(mockTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
         format: 'plain',
         include_timestamps: true
       });
@@ -145,7 +165,7 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(mockTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
         format: 'plain',
         include_timestamps: true
       });
@@ -167,7 +187,7 @@ describe('Edge Cases', () => {
       getSubtitles.mockResolvedValue(mockTranscript);
 
       const result = await server.handleGetTranscript({
-        url: 'https://youtube.com/watch?v=test',
+        url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
         format: 'plain'
       });
 
@@ -185,12 +205,12 @@ describe('Edge Cases', () => {
         ]);
 
         await server.handleGetTranscript({
-          url: 'https://youtube.com/watch?v=test',
+          url: 'https://youtube.com/watch?v=dQw4w9WgXcQ',
           language: lang
         });
 
         expect(getSubtitles).toHaveBeenCalledWith({
-          videoID: 'test',
+          videoID: 'dQw4w9WgXcQ',
           lang: lang
         });
       }
@@ -233,8 +253,8 @@ describe('Edge Cases', () => {
       const paragraphs = server.splitIntoReadableParagraphs(transcript);
 
       expect(paragraphs).toHaveLength(2);
-      expect(paragraphs[0]).toContain('Question. Answer. Exclamation. More text.');
-      expect(paragraphs[1]).toContain('And more. Final thought');
+      expect(paragraphs[0]).toBe('Question? Answer. Exclamation! More text...');
+      expect(paragraphs[1]).toBe('And more. Final thought!');
     });
   });
 
@@ -261,17 +281,24 @@ describe('Edge Cases', () => {
   });
 
   describe('Error recovery', () => {
-    test('should always restore console output on error', async () => {
-      const restoreSpy = jest.spyOn(server, 'restoreConsoleOutput');
-      getSubtitles.mockRejectedValue(new Error('Test error'));
+    test('should always leave the quiet context on error', async () => {
+      const stdout = new PassThrough();
+      const stderr = new PassThrough();
+      const { restore } = isolateOutput({ stdout, stderr });
+      getSubtitles.mockImplementation(async () => {
+        stdout.write('extractor noise\n');
+        throw new Error('Test error');
+      });
 
       try {
-        await server.getTranscript('test-id');
-      } catch (e) {
-        // Expected error
+        await expect(server.getTranscript('test-id')).rejects.toThrow('Test error');
+        stdout.write('after the failure\n');
+      } finally {
+        restore();
       }
 
-      expect(restoreSpy).toHaveBeenCalled();
+      expect(getSubtitles).toHaveBeenCalled();
+      expect(String(stderr.read())).toBe('after the failure\n');
     });
 
     test('should handle getSubtitles throwing non-Error objects', async () => {
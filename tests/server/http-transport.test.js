@@ -0,0 +1,193 @@
+// tests/server/http-transport.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const http = require('http');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const { SSEClientTransport } = require('@modelcontextprotocol/sdk/client/sse.js');
+const { YouTubeSummarizerServer } = require('../../index.js');
+const { startHttpServer } = require('../../lib/http-transport.js');
+
+jest.mock('youtube-caption-extractor');
+
+describe('HTTP Transport', () => {
+  let server;
+  let httpServer;
+  let clients;
+
+  beforeEach(async () => {
+    server = new YouTubeSummarizerServer({
+      metadataProvider: jest.fn().mockRejectedValue(new Error('offline'))
+    });
+    httpServer = await startHttpServer({ createServer: () => server.createServer(), port: 0 });
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close().catch(() => {})));
+    await httpServer.close();
+  });
+
+  async function connect(transport) {
+    const client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(transport);
+    clients.push(client);
+    return client;
+  }
+
+  test('should listen on the loopback interface with an ephemeral port', () => {
+    expect(httpServer.port).toBeGreaterThan(0);
+    expect(httpServer.url).toBe(`http://127.0.0.1:${httpServer.port}/mcp`);
+  });
+
+  test('should serve tools over Streamable HTTP with a session', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(httpServer.url));
+    const client = await connect(transport);
+
+    expect(transport.sessionId).toEqual(expect.any(String));
+
+    const { tools } = await client.listTools();
+    expect(tools.map(tool => tool.name)).toContain('get_youtube_transcript');
+
+    const result = await client.callTool({ name: 'get_cache_stats', arguments: {} });
+    expect(result.content[0].text).toContain('# Transcript Cache');
+  });
+
+  test('should keep separate sessions for separate clients', async () => {
+    const first = new StreamableHTTPClientTransport(new URL(httpServer.url));
+    const second = new StreamableHTTPClientTransport(new URL(httpServer.url));
+    await connect(first);
+    await connect(second);
+
+    expect(first.sessionId).not.toBe(second.sessionId);
+  });
+
+  test('should serve older clients over the legacy SSE endpoint', async () => {
+    const client = await connect(new SSEClientTransport(new URL(`http://127.0.0.1:${httpServer.port}/sse`)));
+
+    const { prompts } = await client.listPrompts();
+    expect(prompts.map(prompt => prompt.name)).toContain('summarize_video');
+  });
+
+  test('should reject requests without a session and unknown sessions', async () => {
+    const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+
+    const missing = await fetch(httpServer.url, { method: 'POST', headers, body });
+    expect(missing.status).toBe(400);
+
+    const unknown = await fetch(httpServer.url, {
+      method: 'POST',
+      headers: { ...headers, 'mcp-session-id': 'nope' },
+      body
+    });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('should answer malformed JSON and unknown paths', async () => {
+    const malformed = await fetch(httpServer.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{not json'
+    });
+    expect(malformed.status).toBe(400);
+    expect((await malformed.json()).error.code).toBe(-32700);
+
+    const missing = await fetch(`http://127.0.0.1:${httpServer.port}/elsewhere`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('should reject requests addressed to other hosts', async () => {
+    const body = JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+    });
+
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: httpServer.port,
+        path: '/mcp',
+        method: 'POST',
+        headers: {
+          Host: 'evil.example',
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream'
+        }
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+
+    expect(status).toBe(403);
+  });
+});
+
+describe('HTTP session limits', () => {
+  const headers = { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' };
+  const initialize = JSON.stringify({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+  });
+  let httpServer;
+
+  afterEach(async () => {
+    await httpServer.close();
+  });
+
+  async function start(options) {
+    const server = new YouTubeSummarizerServer();
+    httpServer = await startHttpServer({ createServer: () => server.createServer(), port: 0, ...options });
+  }
+
+  async function openSession() {
+    const response = await fetch(httpServer.url, { method: 'POST', headers, body: initialize });
+    await response.text();
+    return response;
+  }
+
+  test('should close sessions that stay idle', async () => {
+    await start({ sessionIdleMs: 50 });
+    const sessionId = (await openSession()).headers.get('mcp-session-id');
+    const listTools = () => fetch(httpServer.url, {
+      method: 'POST',
+      headers: { ...headers, 'mcp-session-id': sessionId },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    });
+
+    expect(sessionId).toEqual(expect.any(String));
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const response = await listTools();
+    await response.text();
+    expect(response.status).toBe(404);
+  });
+
+  test('should refuse new sessions beyond the limit', async () => {
+    await start({ maxSessions: 1 });
+
+    expect((await openSession()).status).toBe(200);
+    const refused = await openSession();
+    expect(refused.status).toBe(503);
+  });
+});
+
+describe('run()', () => {
+  test('should start HTTP mode and reject unknown transports', async () => {
+    const server = new YouTubeSummarizerServer();
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const httpServer = await server.run({ transport: 'http', port: 0 });
+    expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining(httpServer.url));
+    await httpServer.close();
+    errorSpy.mockRestore();
+
+    await expect(server.run({ transport: 'carrier-pigeon' })).rejects.toThrow("Unknown transport 'carrier-pigeon'");
+  });
+});
@@ -0,0 +1,88 @@
+// tests/server/request-cancellation.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { YouTubeSummarizerServer } = require('../../index.js');
+
+// A real client cancels tool calls with notifications/cancelled; the fake
+// provider records the signal it was given
+describe('Request Cancellation and Timeouts', () => {
+  const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+  let client;
+  let server;
+  let provider;
+
+  async function connect(config = {}) {
+    server = new YouTubeSummarizerServer({
+      config,
+      providers: [provider],
+      metadataProvider: jest.fn().mockResolvedValue({ title: 'Test Video' })
+    });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.server.connect(serverTransport), client.connect(clientTransport)]);
+  }
+
+  beforeEach(() => {
+    provider = { name: 'fake', signals: [] };
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  test('should abort the transcript fetch when the client cancels the call', async () => {
+    provider.fetchTranscript = (videoId, language, { signal }) => {
+      provider.signals.push(signal);
+      return new Promise(() => {});
+    };
+    await connect();
+    const controller = new AbortController();
+
+    const call = client.callTool({ name: 'get_youtube_transcript', arguments: { url } }, undefined, {
+      signal: controller.signal
+    });
+    for (let attempt = 0; attempt < 100 && provider.signals.length === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    controller.abort('no longer needed');
+
+    await expect(call).rejects.toBe('no longer needed');
+    for (let attempt = 0; attempt < 100 && !provider.signals[0].aborted; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    expect(provider.signals[0].aborted).toBe(true);
+    expect((await server.cache.stats()).inFlight).toBe(0);
+  });
+
+  test('should retry a flaky provider within one call', async () => {
+    let calls = 0;
+    provider.fetchTranscript = async () => {
+      calls++;
+      if (calls < 3) {
+        throw new Error('fetch failed');
+      }
+      return [{ text: 'Worth the wait', offset: 0, duration: 1000 }];
+    };
+    await connect({ retries: 2, retry_delay_ms: 1 });
+
+    const result = await client.callTool({ name: 'get_youtube_transcript', arguments: { url, format: 'plain' } });
+
+    expect(result.content[0].text).toBe('Worth the wait');
+    expect(calls).toBe(3);
+  });
+
+  test('should end a call that runs past request_timeout_ms', async () => {
+    provider.fetchTranscript = (videoId, language, { signal }) => {
+      provider.signals.push(signal);
+      return new Promise(() => {});
+    };
+    await connect({ timeout_ms: 0, request_timeout_ms: 20 });
+
+    const result = await client.callTool({ name: 'get_youtube_transcript', arguments: { url } })
+      .catch(error => ({ error }));
+
+    expect(result.error.message).toContain('Timed out after 0.02s handling the request');
+    expect(provider.signals[0].aborted).toBe(true);
+  });
+});
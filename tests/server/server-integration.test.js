@@ -5,7 +5,12 @@ const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
   McpError,
   ErrorCode
 } = require('@modelcontextprotocol/sdk/types.js');
@@ -44,14 +49,29 @@ describe('Server Integration', () => {
         },
         {
           capabilities: {
-            tools: {}
+            tools: {},
+            resources: {},
+            prompts: {}
           }
         }
       );
     });
 
+    test('should take the server name and defaults from config', async () => {
+      new YouTubeSummarizerServer({ config: { server: { name: 'team-youtube' }, language: 'de' } });
+
+      expect(Server).toHaveBeenLastCalledWith(
+        { name: 'team-youtube', version: '0.1.1' },
+        expect.any(Object)
+      );
+      const listTools = handlers.get(ListToolsRequestSchema);
+      const { tools } = await listTools({});
+      const transcriptTool = tools.find(t => t.name === 'get_youtube_transcript');
+      expect(transcriptTool.inputSchema.properties.language.default).toBe('de');
+    });
+
     test('should set up request handlers', () => {
-      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledTimes(2);
+      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledTimes(7);
       expect(mockServerInstance.setRequestHandler).toHaveBeenCalledWith(
         ListToolsRequestSchema,
         expect.any(Function)
@@ -60,6 +80,26 @@ describe('Server Integration', () => {
         CallToolRequestSchema,
         expect.any(Function)
       );
+      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledWith(
+        ListResourceTemplatesRequestSchema,
+        expect.any(Function)
+      );
+      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledWith(
+        ListResourcesRequestSchema,
+        expect.any(Function)
+      );
+      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledWith(
+        ReadResourceRequestSchema,
+        expect.any(Function)
+      );
+      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledWith(
+        ListPromptsRequestSchema,
+        expect.any(Function)
+      );
+      expect(mockServerInstance.setRequestHandler).toHaveBeenCalledWith(
+        GetPromptRequestSchema,
+        expect.any(Function)
+      );
     });
   });
 
@@ -68,7 +108,7 @@ describe('Server Integration', () => {
       const listToolsHandler = handlers.get(ListToolsRequestSchema);
       const result = await listToolsHandler();
 
-      expect(result.tools).toHaveLength(2);
+      expect(result.tools).toHaveLength(11);
 
       const transcriptTool = result.tools.find(t => t.name === 'get_youtube_transcript');
       expect(transcriptTool).toBeDefined();
@@ -77,13 +117,49 @@ describe('Server Integration', () => {
       expect(transcriptTool.inputSchema.properties).toHaveProperty('include_timestamps');
       expect(transcriptTool.inputSchema.properties).toHaveProperty('format');
       expect(transcriptTool.inputSchema.properties).toHaveProperty('language');
+      expect(transcriptTool.inputSchema.properties.format.enum).toEqual(['plain', 'structured', 'srt', 'vtt', 'json', 'csv']);
       expect(transcriptTool.inputSchema.required).toEqual(['url']);
 
       const infoTool = result.tools.find(t => t.name === 'get_youtube_video_info');
       expect(infoTool).toBeDefined();
-      expect(infoTool.description).toContain('Get basic information about a YouTube video');
+      expect(infoTool.description).toContain('Get information about a YouTube video (title, channel');
       expect(infoTool.inputSchema.properties).toHaveProperty('url');
       expect(infoTool.inputSchema.required).toEqual(['url']);
+
+      const playlistTool = result.tools.find(t => t.name === 'get_youtube_playlist_transcripts');
+      expect(playlistTool).toBeDefined();
+      expect(playlistTool.inputSchema.properties).toHaveProperty('concurrency');
+      expect(playlistTool.inputSchema.required).toEqual(['url']);
+
+      const batchTool = result.tools.find(t => t.name === 'get_youtube_transcripts_batch');
+      expect(batchTool).toBeDefined();
+      expect(batchTool.inputSchema.properties.urls.type).toBe('array');
+      expect(batchTool.inputSchema.required).toEqual(['urls']);
+
+      const searchTool = result.tools.find(t => t.name === 'search_youtube_transcript');
+      expect(searchTool).toBeDefined();
+      expect(searchTool.inputSchema.properties.match_mode.enum).toEqual(['exact', 'case_insensitive', 'fuzzy']);
+      expect(searchTool.inputSchema.required).toEqual(['url', 'query']);
+
+      const summaryTool = result.tools.find(t => t.name === 'summarize_youtube_video');
+      expect(summaryTool).toBeDefined();
+      expect(summaryTool.inputSchema.properties.method.enum).toEqual(['textrank', 'tfidf']);
+
+      const outlineTool = result.tools.find(t => t.name === 'create_youtube_outline');
+      expect(outlineTool).toBeDefined();
+      expect(outlineTool.inputSchema.properties.format.enum).toEqual(['outline', 'chapters']);
+
+      const languagesTool = result.tools.find(t => t.name === 'list_caption_languages');
+      expect(languagesTool).toBeDefined();
+      expect(languagesTool.inputSchema.required).toEqual(['url']);
+      expect(infoTool.inputSchema.properties).toHaveProperty('language');
+
+      const clearCacheTool = result.tools.find(t => t.name === 'clear_transcript_cache');
+      expect(clearCacheTool).toBeDefined();
+      expect(clearCacheTool.inputSchema.properties).toHaveProperty('url');
+
+      const cacheStatsTool = result.tools.find(t => t.name === 'get_cache_stats');
+      expect(cacheStatsTool).toBeDefined();
     });
   });
 
@@ -133,6 +209,115 @@ describe('Server Integration', () => {
       expect(result.content[0].text).toBe('Video info');
     });
 
+    test('should handle get_youtube_playlist_transcripts tool', async () => {
+      server.handleGetPlaylistTranscripts = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Playlist transcripts' }]
+      });
+
+      const result = await callToolHandler({
+        params: {
+          name: 'get_youtube_playlist_transcripts',
+          arguments: { url: 'https://youtube.com/playlist?list=PL123' }
+        }
+      });
+
+      expect(server.handleGetPlaylistTranscripts).toHaveBeenCalledWith({
+        url: 'https://youtube.com/playlist?list=PL123'
+      });
+      expect(result.content[0].text).toBe('Playlist transcripts');
+    });
+
+    test('should handle get_youtube_transcripts_batch tool', async () => {
+      server.handleGetTranscriptsBatch = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Batch transcripts' }]
+      });
+
+      const args = { urls: ['https://youtube.com/watch?v=test'] };
+      const result = await callToolHandler({
+        params: { name: 'get_youtube_transcripts_batch', arguments: args }
+      });
+
+      expect(server.handleGetTranscriptsBatch).toHaveBeenCalledWith(args);
+      expect(result.content[0].text).toBe('Batch transcripts');
+    });
+
+    test('should handle search_youtube_transcript tool', async () => {
+      server.handleSearchTranscript = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Search results' }]
+      });
+
+      const args = { url: 'https://youtube.com/watch?v=test', query: 'testing' };
+      const result = await callToolHandler({
+        params: { name: 'search_youtube_transcript', arguments: args }
+      });
+
+      expect(server.handleSearchTranscript).toHaveBeenCalledWith(args);
+      expect(result.content[0].text).toBe('Search results');
+    });
+
+    test('should handle summarize_youtube_video tool', async () => {
+      server.handleSummarizeVideo = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Summary' }]
+      });
+
+      const args = { url: 'https://youtube.com/watch?v=test', sentences: 3 };
+      const result = await callToolHandler({
+        params: { name: 'summarize_youtube_video', arguments: args }
+      });
+
+      expect(server.handleSummarizeVideo).toHaveBeenCalledWith(args);
+      expect(result.content[0].text).toBe('Summary');
+    });
+
+    test('should handle create_youtube_outline tool', async () => {
+      server.handleCreateOutline = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Outline' }]
+      });
+
+      const args = { url: 'https://youtube.com/watch?v=test', format: 'chapters' };
+      const result = await callToolHandler({
+        params: { name: 'create_youtube_outline', arguments: args }
+      });
+
+      expect(server.handleCreateOutline).toHaveBeenCalledWith(args);
+      expect(result.content[0].text).toBe('Outline');
+    });
+
+    test('should handle list_caption_languages tool', async () => {
+      server.handleListCaptionLanguages = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Languages' }]
+      });
+
+      const args = { url: 'https://youtube.com/watch?v=test' };
+      const result = await callToolHandler({
+        params: { name: 'list_caption_languages', arguments: args }
+      });
+
+      expect(server.handleListCaptionLanguages).toHaveBeenCalledWith(args);
+      expect(result.content[0].text).toBe('Languages');
+    });
+
+    test('should handle cache management tools', async () => {
+      server.handleClearCache = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Cleared' }]
+      });
+      server.handleGetCacheStats = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Stats' }]
+      });
+
+      const clearResult = await callToolHandler({
+        params: { name: 'clear_transcript_cache', arguments: {} }
+      });
+      const statsResult = await callToolHandler({
+        params: { name: 'get_cache_stats', arguments: {} }
+      });
+
+      expect(server.handleClearCache).toHaveBeenCalledWith({});
+      expect(clearResult.content[0].text).toBe('Cleared');
+      expect(server.handleGetCacheStats).toHaveBeenCalled();
+      expect(statsResult.content[0].text).toBe('Stats');
+    });
+
     test('should throw error for unknown tool', async () => {
       const request = {
         params: {
@@ -174,6 +359,92 @@ describe('Server Integration', () => {
     });
   });
 
+  describe('Resource handlers', () => {
+    test('should list resource templates', async () => {
+      const result = await handlers.get(ListResourceTemplatesRequestSchema)();
+
+      expect(result.resourceTemplates.map(t => t.uriTemplate)).toEqual([
+        'youtube://transcript/{videoId}/{language}',
+        'youtube://info/{videoId}'
+      ]);
+    });
+
+    test('should list recently fetched videos as resources', async () => {
+      await server.cache.set('dQw4w9WgXcQ', 'en', [{ text: 'Hi', offset: 0, duration: 1000 }]);
+      await server.cache.set('dQw4w9WgXcQ', 'es', [{ text: 'Hola', offset: 0, duration: 1000 }]);
+
+      const result = await handlers.get(ListResourcesRequestSchema)();
+
+      expect(result.resources.map(r => r.uri)).toEqual(expect.arrayContaining([
+        'youtube://transcript/dQw4w9WgXcQ/en',
+        'youtube://transcript/dQw4w9WgXcQ/es',
+        'youtube://info/dQw4w9WgXcQ'
+      ]));
+      expect(result.resources).toHaveLength(3);
+    });
+
+    test('should return an empty list before anything is fetched', async () => {
+      const result = await handlers.get(ListResourcesRequestSchema)();
+      expect(result.resources).toEqual([]);
+    });
+
+    test('should read resources through handleReadResource', async () => {
+      server.handleReadResource = jest.fn().mockResolvedValue({
+        contents: [{ uri: 'youtube://info/dQw4w9WgXcQ', text: 'Info' }]
+      });
+
+      const result = await handlers.get(ReadResourceRequestSchema)({
+        params: { uri: 'youtube://info/dQw4w9WgXcQ' }
+      });
+
+      expect(server.handleReadResource).toHaveBeenCalledWith('youtube://info/dQw4w9WgXcQ');
+      expect(result.contents[0].text).toBe('Info');
+    });
+
+    test('should wrap resource read errors in McpError', async () => {
+      server.handleReadResource = jest.fn().mockRejectedValue(new Error('Video unavailable'));
+
+      await expect(handlers.get(ReadResourceRequestSchema)({
+        params: { uri: 'youtube://info/dQw4w9WgXcQ' }
+      })).rejects.toThrow('Failed to read youtube://info/dQw4w9WgXcQ: Video unavailable');
+    });
+  });
+
+  describe('Prompt handlers', () => {
+    test('should list the built-in prompts', async () => {
+      const result = await handlers.get(ListPromptsRequestSchema)();
+
+      expect(result.prompts.map(p => p.name)).toEqual([
+        'summarize_video',
+        'outline_video',
+        'key_takeaways'
+      ]);
+      result.prompts.forEach(prompt => {
+        expect(prompt.description).toBeDefined();
+        expect(prompt.arguments).toContainEqual(expect.objectContaining({ name: 'url', required: true }));
+        expect(prompt).not.toHaveProperty('instructions');
+      });
+    });
+
+    test('should get prompts through handleGetPrompt', async () => {
+      server.handleGetPrompt = jest.fn().mockResolvedValue({ messages: [] });
+
+      await handlers.get(GetPromptRequestSchema)({
+        params: { name: 'summarize_video', arguments: { url: 'https://youtu.be/dQw4w9WgXcQ' } }
+      });
+
+      expect(server.handleGetPrompt).toHaveBeenCalledWith('summarize_video', { url: 'https://youtu.be/dQw4w9WgXcQ' });
+    });
+
+    test('should wrap prompt errors in McpError', async () => {
+      server.handleGetPrompt = jest.fn().mockRejectedValue(new Error('No transcript found'));
+
+      await expect(handlers.get(GetPromptRequestSchema)({
+        params: { name: 'outline_video', arguments: {} }
+      })).rejects.toThrow('Failed to get prompt outline_video: No transcript found');
+    });
+  });
+
   describe('run method', () => {
     test('should create transport and connect', async () => {
       const mockTransport = {};
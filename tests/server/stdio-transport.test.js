@@ -0,0 +1,121 @@
+// tests/server/stdio-transport.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const { PassThrough } = require('stream');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { YouTubeSummarizerServer } = require('../../index.js');
+const { runQuietly, isolateOutput } = require('../../lib/output-isolation.js');
+
+// Runs the server over newline-delimited JSON-RPC on fake stdio streams, with
+// a provider that prints to stdout the way youtube-caption-extractor does
+describe('Stdio Transport', () => {
+  const videoIds = ['dQw4w9WgXcQ', 'aaaaaaaaaaa', 'bbbbbbbbbbb'];
+  let stdin;
+  let stdout;
+  let stderr;
+  let isolation;
+  let responses;
+  let releaseSlowFetch;
+  let server;
+
+  beforeEach(async () => {
+    stdin = new PassThrough();
+    stdout = new PassThrough();
+    stderr = new PassThrough();
+    isolation = isolateOutput({ stdout, stderr });
+
+    responses = [];
+    let buffer = '';
+    stdout.on('data', (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.filter(Boolean).forEach(line => responses.push(JSON.parse(line)));
+    });
+
+    const slowFetch = new Promise(resolve => { releaseSlowFetch = resolve; });
+    const noisy = {
+      name: 'noisy',
+      fetchTranscript: videoId => runQuietly(async () => {
+        stdout.write(`[DEBUG] Fetching ${videoId}\n`);
+        if (videoId === videoIds[0]) {
+          await slowFetch;
+        }
+        stdout.write(`[DEBUG] Done with ${videoId}\n`);
+        return [{ text: `Transcript of ${videoId}`, offset: 0, duration: 2000 }];
+      })
+    };
+
+    server = new YouTubeSummarizerServer({
+      providers: [noisy],
+      metadataProvider: jest.fn().mockResolvedValue({ title: 'Test Video' })
+    });
+    await server.server.connect(new StdioServerTransport(stdin, isolation.output));
+  });
+
+  afterEach(async () => {
+    await server.server.close();
+    isolation.restore();
+  });
+
+  function send(message) {
+    stdin.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+  }
+
+  async function waitForResponses(count) {
+    for (let attempt = 0; attempt < 200 && responses.length < count; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    return responses;
+  }
+
+  test('should answer every concurrent request while a noisy fetch is in progress', async () => {
+    send({ id: 0, method: 'initialize', params: {
+      protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' }
+    } });
+    await waitForResponses(1);
+
+    videoIds.forEach((videoId, index) => send({
+      id: index + 1,
+      method: 'tools/call',
+      params: { name: 'get_youtube_transcript', arguments: { url: `https://youtu.be/${videoId}` } }
+    }));
+    send({ id: 4, method: 'tools/list' });
+
+    // Everything except the slow first fetch answers while that fetch is still quiet
+    await waitForResponses(4);
+    expect(responses.map(response => response.id).sort()).toEqual([0, 2, 3, 4]);
+
+    releaseSlowFetch();
+    await waitForResponses(5);
+
+    expect(responses.map(response => response.id).sort()).toEqual([0, 1, 2, 3, 4]);
+    videoIds.forEach((videoId, index) => {
+      const response = responses.find(candidate => candidate.id === index + 1);
+      expect(response.result.content[0].text).toContain(`Transcript of ${videoId}`);
+    });
+  });
+
+  test('should keep library output off the protocol stream', async () => {
+    releaseSlowFetch();
+    send({ id: 1, method: 'tools/call', params: {
+      name: 'get_youtube_transcript', arguments: { url: `https://youtu.be/${videoIds[0]}` }
+    } });
+    await waitForResponses(1);
+
+    // Every stdout line parsed as JSON-RPC; the quiet debug lines were dropped
+    expect(responses).toHaveLength(1);
+    expect(responses[0].result.content[0].text).toContain(`Transcript of ${videoIds[0]}`);
+  });
+
+  test('should move stray stdout writes outside quiet tasks to stderr', async () => {
+    let logged = '';
+    stderr.on('data', (chunk) => { logged += chunk.toString(); });
+
+    stdout.write('Listening\n');
+    send({ id: 1, method: 'tools/list' });
+    await waitForResponses(1);
+
+    expect(responses[0].result.tools.length).toBeGreaterThan(0);
+    expect(logged).toBe('Listening\n');
+  });
+});
@@ -0,0 +1,216 @@
+// tests/server/structured-output.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const { YouTubeSummarizerServer } = require('../../index.js');
+const { getSubtitles } = require('youtube-caption-extractor');
+
+jest.mock('youtube-caption-extractor');
+
+// A real client validates every structuredContent against the tool's outputSchema
+describe('Structured Tool Output', () => {
+  const videoId = 'dQw4w9WgXcQ';
+  const url = `https://www.youtube.com/watch?v=${videoId}`;
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    getSubtitles.mockResolvedValue([
+      { text: 'Welcome to the show.', start: '0', dur: '4' },
+      { text: 'Today we talk about neural networks.', start: '4', dur: '5' },
+      { text: 'Deep learning needs plenty of data.', start: '150', dur: '5' }
+    ]);
+
+    server = new YouTubeSummarizerServer({
+      metadataProvider: jest.fn().mockResolvedValue({
+        title: 'Test Video',
+        channel: 'Test Channel',
+        publishDate: '2024-01-02',
+        viewCount: 1234,
+        lengthSeconds: 155,
+        thumbnailUrl: null,
+        description: null
+      }),
+      playlistResolver: jest.fn().mockResolvedValue({ title: 'Course', videoIds: [videoId, 'aaaaaaaaaaa'] }),
+      captionTrackLister: jest.fn().mockResolvedValue([
+        { languageCode: 'en', name: 'English', isAutoGenerated: false, isTranslatable: true }
+      ])
+    });
+
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.createServer().connect(serverTransport);
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await client.connect(clientTransport);
+    // Listing tools caches their output schemas for validation
+    await client.listTools();
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  const call = (name, args = {}) => client.callTool({ name, arguments: args });
+
+  test('should declare an object output schema for every tool', async () => {
+    const { tools } = await client.listTools();
+
+    tools.forEach(tool => {
+      expect(tool.outputSchema).toEqual(expect.objectContaining({ type: 'object' }));
+    });
+  });
+
+  test('should return transcript segments and sections', async () => {
+    const result = await call('get_youtube_transcript', { url, include_timestamps: true });
+
+    expect(result.content[0].text).toContain('# YouTube Video Transcript');
+    expect(result.structuredContent).toMatchObject({
+      videoId,
+      url,
+      format: 'structured',
+      captionTrack: { languageCode: 'en', name: null, isAutoGenerated: null },
+      range: null,
+      duration: 155000,
+      segmentCount: 3
+    });
+    expect(result.structuredContent.segments[1]).toEqual({
+      index: 1,
+      start: 4000,
+      end: 9000,
+      duration: 5000,
+      text: 'Today we talk about neural networks.'
+    });
+    expect(result.structuredContent.sections.map(section => [section.start, section.end])).toEqual([
+      [0, 150000],
+      [150000, 155000]
+    ]);
+  });
+
+  test('should describe the page of a paginated transcript', async () => {
+    const first = await call('get_youtube_transcript', { url, format: 'plain', page_size: 2 });
+
+    expect(first.structuredContent.segments.map(segment => segment.index)).toEqual([0, 1]);
+    expect(first.structuredContent.page).toEqual({ number: 1, total: 2, nextCursor: expect.any(String) });
+
+    const second = await call('get_youtube_transcript', { url, cursor: first.structuredContent.page.nextCursor });
+    expect(second.structuredContent.segments.map(segment => segment.index)).toEqual([2]);
+    expect(second.structuredContent.page.nextCursor).toBeNull();
+  });
+
+  test('should return the video info object', async () => {
+    const result = await call('get_youtube_video_info', { url });
+
+    expect(result.content[0].text).toContain('**Estimated Word Count:** 16');
+    expect(result.structuredContent).toEqual({
+      videoId,
+      url,
+      title: 'Test Video',
+      channel: 'Test Channel',
+      publishDate: '2024-01-02',
+      viewCount: 1234,
+      length: '2:35',
+      thumbnailUrl: null,
+      description: null,
+      transcriptAvailable: true,
+      estimatedDuration: '2:35',
+      transcriptSegments: 3,
+      estimatedWordCount: 16,
+      captionTrack: 'en'
+    });
+  });
+
+  test('should report each video of a playlist or batch', async () => {
+    getSubtitles.mockImplementation(({ videoID }) => (videoID === videoId
+      ? Promise.resolve([{ text: 'Hello', start: '0', dur: '1' }])
+      : Promise.reject(new Error('could not find captions'))));
+
+    const playlist = await call('get_youtube_playlist_transcripts', { url: `${url}&list=PLtest123` });
+    expect(playlist.structuredContent).toMatchObject({
+      playlistId: 'PLtest123',
+      title: 'Course',
+      totalVideos: 2,
+      videosProcessed: 2,
+      succeeded: 1,
+      failed: 1
+    });
+    expect(playlist.structuredContent.videos[0].segments).toHaveLength(1);
+    expect(playlist.structuredContent.videos[1]).toEqual({
+      videoId: 'aaaaaaaaaaa',
+      url: 'https://www.youtube.com/watch?v=aaaaaaaaaaa',
+      error: expect.stringContaining('No transcript found')
+    });
+
+    const batch = await call('get_youtube_transcripts_batch', { urls: [url, 'not a url'] });
+    expect(batch.structuredContent).toMatchObject({ videosRequested: 2, succeeded: 1, failed: 1 });
+    expect(batch.structuredContent.videos[1]).toEqual({
+      videoId: null,
+      url: 'not a url',
+      error: expect.stringContaining('Invalid YouTube URL')
+    });
+  });
+
+  test('should describe a local subtitle file', async () => {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-structured-')));
+    fs.writeFileSync(path.join(dir, 'talk.vtt'), 'WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHello there\n');
+    server.config.allowed_dirs = [dir];
+
+    try {
+      const result = await call('get_local_transcript', { path: 'talk.vtt' });
+      expect(result.structuredContent).toMatchObject({
+        path: path.join(dir, 'talk.vtt'),
+        captionFormat: 'vtt',
+        format: 'structured',
+        range: null,
+        duration: 3000,
+        segmentCount: 1,
+        wordCount: 2
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should return search matches with their context', async () => {
+    const result = await call('search_youtube_transcript', { url, query: 'data', context: 1 });
+
+    expect(result.structuredContent.matches).toEqual([
+      {
+        segment: expect.objectContaining({ index: 2, start: 150000, text: 'Deep learning needs plenty of data.' }),
+        link: `https://youtu.be/${videoId}?t=150`,
+        before: [expect.objectContaining({ index: 1 })],
+        after: []
+      }
+    ]);
+  });
+
+  test('should return summary sentences and outline sections', async () => {
+    const summary = await call('summarize_youtube_video', { url, sentences: 1 });
+    expect(summary.structuredContent).toMatchObject({ videoId, method: 'textrank', totalSentences: 3 });
+    expect(summary.structuredContent.sentences).toHaveLength(1);
+
+    const outline = await call('create_youtube_outline', { url });
+    expect(outline.structuredContent.format).toBe('outline');
+    expect(outline.structuredContent.sections[0]).toMatchObject({
+      start: 0,
+      link: `https://youtu.be/${videoId}?t=0`,
+      keywords: expect.any(Array)
+    });
+  });
+
+  test('should return caption tracks and cache state', async () => {
+    const languages = await call('list_caption_languages', { url });
+    expect(languages.structuredContent.tracks).toEqual([
+      { languageCode: 'en', name: 'English', isAutoGenerated: false, isTranslatable: true }
+    ]);
+
+    await call('get_youtube_transcript', { url });
+    const stats = await call('get_cache_stats');
+    expect(stats.structuredContent).toMatchObject({ entries: 1, directory: null, misses: 1 });
+
+    const cleared = await call('clear_transcript_cache', { url });
+    expect(cleared.structuredContent).toEqual({ videoId, removed: 1 });
+  });
+});
@@ -0,0 +1,77 @@
+// tests/utils/cancellation.test.js
+const { describe, test, expect } = require('@jest/globals');
+const {
+  runWithSignal,
+  currentSignal,
+  isAbortError,
+  abortable,
+  sleep,
+  withRequestSignal
+} = require('../../lib/cancellation.js');
+
+describe('Cancellation', () => {
+  test('should expose the signal to work started inside runWithSignal', async () => {
+    const controller = new AbortController();
+
+    const seen = await runWithSignal(controller.signal, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      return currentSignal();
+    });
+
+    expect(seen).toBe(controller.signal);
+    expect(currentSignal()).toBeNull();
+  });
+
+  test('should reject an abortable promise as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = abortable(new Promise(() => {}), controller.signal);
+    controller.abort();
+
+    const error = await pending.catch(caught => caught);
+    expect(isAbortError(error)).toBe(true);
+    expect(error.message).toBe('The request was cancelled');
+    await expect(abortable(Promise.resolve('done'), new AbortController().signal)).resolves.toBe('done');
+  });
+
+  test('should cut a sleep short when the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const pending = sleep(60000, controller.signal);
+    controller.abort();
+
+    await expect(pending).rejects.toThrow('The request was cancelled');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  describe('withRequestSignal', () => {
+    test('should abort the handler signal when the client cancels', async () => {
+      const client = new AbortController();
+      let handlerSignal;
+      const handler = withRequestSignal(async () => {
+        handlerSignal = currentSignal();
+        await abortable(new Promise(() => {}), handlerSignal);
+      });
+
+      const pending = handler({}, { signal: client.signal });
+      client.abort('user pressed stop');
+
+      await expect(pending).rejects.toThrow('The request was cancelled');
+      expect(handlerSignal.aborted).toBe(true);
+    });
+
+    test('should abort with a timeout error after the deadline', async () => {
+      const handler = withRequestSignal(() => abortable(new Promise(() => {}), currentSignal()), { timeoutMs: 10 });
+
+      const error = await handler({}, {}).catch(caught => caught);
+      expect(error.message).toBe('Timed out after 0.01s handling the request');
+      expect(error.code).toBe('ETIMEDOUT');
+      expect(isAbortError(error)).toBe(false);
+    });
+
+    test('should pass the request through and work without a client signal', async () => {
+      const handler = withRequestSignal(async request => request.params.name);
+
+      await expect(handler({ params: { name: 'get_cache_stats' } })).resolves.toBe('get_cache_stats');
+    });
+  });
+});
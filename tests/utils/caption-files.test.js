@@ -0,0 +1,193 @@
+// tests/utils/caption-files.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { parseCueTime, parseTtmlTime, parseCaptionFile, detectCaptionFormat } = require('../../lib/caption-files.js');
+
+describe('Caption Files', () => {
+  describe('parseCueTime', () => {
+    test('should read hours, minutes and fractions', () => {
+      expect(parseCueTime('01:02:03.450')).toBe(3723450);
+      expect(parseCueTime('02:03.5')).toBe(123500);
+      expect(parseCueTime('00:00:01,000')).toBe(1000);
+    });
+
+    test('should reject malformed times', () => {
+      expect(() => parseCueTime('1.5')).toThrow("Invalid cue time '1.5'");
+    });
+  });
+
+  describe('vtt', () => {
+    test('should parse cues and skip headers, notes and styles', () => {
+      const vtt = [
+        'WEBVTT',
+        'Kind: captions',
+        'Language: en',
+        '',
+        'NOTE made by hand',
+        '',
+        'STYLE',
+        '::cue { color: yellow }',
+        '',
+        'intro',
+        '00:00:00.000 --> 00:00:02.500 align:start position:0%',
+        'Hello &amp; welcome',
+        '',
+        '00:02.500 --> 00:05.000',
+        '<v Speaker>Second</v> <i>line</i>',
+        'continues here'
+      ].join('\n');
+
+      expect(parseCaptionFile(vtt, 'vtt')).toEqual([
+        { text: 'Hello & welcome', offset: 0, duration: 2500 },
+        { text: 'Second line continues here', offset: 2500, duration: 2500 }
+      ]);
+    });
+
+    test('should drop karaoke timestamps and merge repeated rolling cues', () => {
+      const vtt = [
+        'WEBVTT',
+        '',
+        '00:00:01.000 --> 00:00:03.000',
+        'so<00:00:01.500><c> today</c><00:00:02.000><c> we</c>',
+        '',
+        '00:00:03.000 --> 00:00:03.010',
+        'so today we',
+        '',
+        '00:00:03.010 --> 00:00:05.000',
+        'talk about captions'
+      ].join('\n');
+
+      expect(parseCaptionFile(vtt, 'vtt')).toEqual([
+        { text: 'so today we', offset: 1000, duration: 2010 },
+        { text: 'talk about captions', offset: 3010, duration: 1990 }
+      ]);
+    });
+
+    test('should require the WEBVTT header', () => {
+      expect(() => parseCaptionFile('00:00.000 --> 00:01.000\nHi', 'vtt')).toThrow('Missing WEBVTT header');
+    });
+  });
+
+  describe('srt', () => {
+    test('should parse numbered cues with Windows line endings', () => {
+      const srt = '\uFEFF1\r\n00:00:00,000 --> 00:00:01,200\r\n{\\an8}<i>First</i>\r\n\r\n' +
+        '2\r\n00:00:01,200 --> 00:00:03,000\r\nSecond\r\nline\r\n';
+
+      expect(parseCaptionFile(srt, 'srt')).toEqual([
+        { text: 'First', offset: 0, duration: 1200 },
+        { text: 'Second line', offset: 1200, duration: 1800 }
+      ]);
+    });
+  });
+
+  describe('json', () => {
+    test('should read the json transcript format', () => {
+      const json = JSON.stringify({
+        videoId: 'dQw4w9WgXcQ',
+        segments: [
+          { index: 0, start: 0, end: 2000, duration: 2000, text: 'Hello' },
+          { index: 1, start: 2000, end: 3500, text: 'world' }
+        ]
+      });
+
+      expect(parseCaptionFile(json, 'json')).toEqual([
+        { text: 'Hello', offset: 0, duration: 2000 },
+        { text: 'world', offset: 2000, duration: 1500 }
+      ]);
+    });
+
+    test('should reject json without segments', () => {
+      expect(() => parseCaptionFile('{"text": "hi"}', 'json')).toThrow('Expected a "segments" array');
+    });
+  });
+
+  describe('ttml', () => {
+    test('should read clock, frame, offset and tick times', () => {
+      const rates = { frameRate: 25, tickRate: 10000000 };
+
+      expect(parseTtmlTime('00:01:02.5', rates)).toBe(62500);
+      expect(parseTtmlTime('00:00:01:05', rates)).toBe(1200);
+      expect(parseTtmlTime('1.5s', rates)).toBe(1500);
+      expect(parseTtmlTime('250ms', rates)).toBe(250);
+      expect(parseTtmlTime('20000000t', rates)).toBe(2000);
+      expect(() => parseTtmlTime('soon', rates)).toThrow("Invalid TTML time 'soon'");
+    });
+
+    test('should parse paragraphs with line breaks, spans and namespaces', () => {
+      const ttml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<tt:tt xmlns:tt="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:tickRate="10000000">',
+        '  <tt:body><tt:div>',
+        '    <tt:p begin="0t" end="25000000t">Welcome to the<tt:br/><tt:span>quarterly review</tt:span></tt:p>',
+        '    <tt:p begin="2.5s" dur="1.5s">Q&amp;A follows</tt:p>',
+        '    <tt:p begin="4s" end="5s"></tt:p>',
+        '  </tt:div></tt:body>',
+        '</tt:tt>'
+      ].join('\n');
+
+      expect(parseCaptionFile(ttml, 'ttml')).toEqual([
+        { text: 'Welcome to the quarterly review', offset: 0, duration: 2500 },
+        { text: 'Q&A follows', offset: 2500, duration: 1500 }
+      ]);
+    });
+
+    test('should require a tt root', () => {
+      expect(() => parseCaptionFile('<html></html>', 'ttml')).toThrow('Missing <tt> root element');
+    });
+  });
+
+  describe('youtube formats', () => {
+    test('should parse srv3 paragraphs and their word spans', () => {
+      const srv3 = '<?xml version="1.0" encoding="utf-8" ?><timedtext format="3"><body>' +
+        '<p t="160" d="2400" w="1"><s ac="0">so</s><s t="400"> today</s></p>' +
+        '<p t="2560" d="10" w="1" a="1">\n</p>' +
+        '<p t="2570" d="3000">it&#39;s about captions</p>' +
+        '</body></timedtext>';
+
+      expect(parseCaptionFile(srv3, 'srv3')).toEqual([
+        { text: 'so today', offset: 160, duration: 2400 },
+        { text: "it's about captions", offset: 2570, duration: 3000 }
+      ]);
+    });
+
+    test('should parse json3 events and skip window and newline events', () => {
+      const json3 = JSON.stringify({
+        wireMagic: 'pb3',
+        events: [
+          { tStartMs: 0, dDurationMs: 60000, id: 1, wpWinPosId: 1 },
+          { tStartMs: 160, dDurationMs: 2400, wWinId: 1, segs: [{ utf8: 'so' }, { utf8: ' today', tOffsetMs: 400 }] },
+          { tStartMs: 2560, dDurationMs: 10, aAppend: 1, segs: [{ utf8: '\n' }] },
+          { tStartMs: 2570, dDurationMs: 3000, segs: [{ utf8: 'we talk' }] }
+        ]
+      });
+
+      expect(parseCaptionFile(json3, 'json3')).toEqual([
+        { text: 'so today', offset: 160, duration: 2400 },
+        { text: 'we talk', offset: 2570, duration: 3000 }
+      ]);
+    });
+  });
+
+  describe('detectCaptionFormat', () => {
+    test('should map extensions to formats', () => {
+      expect(detectCaptionFormat('talk.SRT', '')).toBe('srt');
+      expect(detectCaptionFormat('/zoom/meeting.vtt', '')).toBe('vtt');
+      expect(detectCaptionFormat('captions.dfxp', '')).toBe('ttml');
+      expect(detectCaptionFormat('video.en.json3', '')).toBe('json3');
+    });
+
+    test('should sniff xml and json files', () => {
+      expect(detectCaptionFormat('a.xml', '<timedtext format="3">')).toBe('srv3');
+      expect(detectCaptionFormat('a.xml', '<tt xmlns="http://www.w3.org/ns/ttml">')).toBe('ttml');
+      expect(detectCaptionFormat('a.json', '{"wireMagic":"pb3","events":[]}')).toBe('json3');
+      expect(detectCaptionFormat('a.json', '{"segments":[]}')).toBe('json');
+    });
+
+    test('should reject unknown file types', () => {
+      expect(() => detectCaptionFormat('notes.txt', '')).toThrow("Unsupported caption file type '.txt'");
+    });
+  });
+
+  test('should reject unsupported formats', () => {
+    expect(() => parseCaptionFile('', 'docx')).toThrow("Unsupported caption format 'docx'");
+  });
+});
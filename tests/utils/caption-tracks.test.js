@@ -0,0 +1,112 @@
+// tests/utils/caption-tracks.test.js
+const { describe, test, expect } = require('@jest/globals');
+const {
+  parseCaptionTracks,
+  listCaptionTracks,
+  normalizeLanguagePreferences,
+  selectCaptionTrack
+} = require('../../lib/caption-tracks.js');
+
+describe('Caption Tracks', () => {
+  const playerData = {
+    playabilityStatus: { status: 'OK' },
+    captions: {
+      playerCaptionsTracklistRenderer: {
+        captionTracks: [
+          { languageCode: 'en-GB', name: { simpleText: 'English (United Kingdom)' }, vssId: '.en-GB', isTranslatable: true },
+          { languageCode: 'en', name: { runs: [{ text: 'English (auto-generated)' }] }, vssId: 'a.en', kind: 'asr', isTranslatable: true },
+          { languageCode: 'fr', vssId: '.fr' }
+        ]
+      }
+    }
+  };
+
+  const tracks = parseCaptionTracks(playerData);
+
+  describe('parseCaptionTracks', () => {
+    test('should read language, name and auto-generated flag', () => {
+      expect(tracks).toEqual([
+        { languageCode: 'en-GB', name: 'English (United Kingdom)', isAutoGenerated: false, isTranslatable: true },
+        { languageCode: 'en', name: 'English (auto-generated)', isAutoGenerated: true, isTranslatable: true },
+        { languageCode: 'fr', name: 'fr', isAutoGenerated: false, isTranslatable: false }
+      ]);
+    });
+
+    test('should return an empty list without captions', () => {
+      expect(parseCaptionTracks({})).toEqual([]);
+      expect(parseCaptionTracks(null)).toEqual([]);
+    });
+  });
+
+  describe('listCaptionTracks', () => {
+    test('should request the player endpoint for the video', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: true, json: async () => playerData });
+
+      const result = await listCaptionTracks('dQw4w9WgXcQ', { fetchImpl });
+
+      expect(result).toHaveLength(3);
+      const [url, init] = fetchImpl.mock.calls[0];
+      expect(url).toContain('/youtubei/v1/player');
+      expect(JSON.parse(init.body).videoId).toBe('dQw4w9WgXcQ');
+    });
+
+    test('should report unplayable videos', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({
+        ok: true,
+        json: async () => ({ playabilityStatus: { status: 'ERROR', reason: 'Video is private' } })
+      });
+
+      await expect(listCaptionTracks('dQw4w9WgXcQ', { fetchImpl }))
+        .rejects.toThrow('Video unavailable: Video is private');
+    });
+
+    test('should report HTTP errors', async () => {
+      const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 429 });
+
+      await expect(listCaptionTracks('dQw4w9WgXcQ', { fetchImpl }))
+        .rejects.toThrow('Player API failed: HTTP 429');
+    });
+  });
+
+  describe('normalizeLanguagePreferences', () => {
+    test('should accept strings, comma lists and arrays', () => {
+      expect(normalizeLanguagePreferences('en')).toEqual(['en']);
+      expect(normalizeLanguagePreferences('en-US, en,auto')).toEqual(['en-US', 'en', 'auto']);
+      expect(normalizeLanguagePreferences(['es', ' fr '])).toEqual(['es', 'fr']);
+    });
+
+    test('should default to English', () => {
+      expect(normalizeLanguagePreferences(undefined)).toEqual(['en']);
+      expect(normalizeLanguagePreferences([])).toEqual(['en']);
+    });
+  });
+
+  describe('selectCaptionTrack', () => {
+    test('should prefer an exact match', () => {
+      expect(selectCaptionTrack(tracks, ['fr']).languageCode).toBe('fr');
+    });
+
+    test('should match regional tracks for a bare code, preferring manual captions', () => {
+      const track = selectCaptionTrack(tracks.filter(t => t.languageCode !== 'en'), ['en']);
+      expect(track.languageCode).toBe('en-GB');
+    });
+
+    test('should prefer manual over auto-generated tracks with the same code', () => {
+      const both = [
+        { languageCode: 'en', isAutoGenerated: true },
+        { languageCode: 'en', isAutoGenerated: false }
+      ];
+      expect(selectCaptionTrack(both, ['en']).isAutoGenerated).toBe(false);
+    });
+
+    test('should not widen a regional code', () => {
+      expect(selectCaptionTrack(tracks, ['en-US'])).toBeNull();
+    });
+
+    test('should walk the fallback chain in order', () => {
+      expect(selectCaptionTrack(tracks, ['de', 'en-US', 'fr']).languageCode).toBe('fr');
+      expect(selectCaptionTrack(tracks, ['de', 'auto']).isAutoGenerated).toBe(true);
+      expect(selectCaptionTrack(tracks, ['de', 'ja'])).toBeNull();
+    });
+  });
+});
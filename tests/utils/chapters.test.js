@@ -0,0 +1,61 @@
+// tests/utils/chapters.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { parseChaptersFromDescription, normalizeChapters } = require('../../lib/chapters.js');
+
+describe('Chapters', () => {
+  describe('parseChaptersFromDescription', () => {
+    test('should parse timestamp-first and timestamp-last lines', () => {
+      const description = [
+        'Thanks for watching!',
+        '',
+        '00:00 Intro',
+        '1:30 - Setup',
+        '(12:05) Deep dive',
+        'Q&A 1:02:03',
+        '',
+        'Follow us on social media'
+      ].join('\n');
+
+      expect(parseChaptersFromDescription(description)).toEqual([
+        { start: 0, title: 'Intro' },
+        { start: 90, title: 'Setup' },
+        { start: 725, title: 'Deep dive' },
+        { start: 3723, title: 'Q&A' }
+      ]);
+    });
+
+    test('should require at least three chapters starting at 0:00', () => {
+      expect(parseChaptersFromDescription('0:00 Intro\n1:00 Outro')).toEqual([]);
+      expect(parseChaptersFromDescription('0:10 Intro\n1:00 Middle\n2:00 Outro')).toEqual([]);
+    });
+
+    test('should reject timestamps that are not ascending', () => {
+      expect(parseChaptersFromDescription('0:00 Intro\n5:00 Middle\n2:00 Outro')).toEqual([]);
+    });
+
+    test('should handle missing descriptions', () => {
+      expect(parseChaptersFromDescription(null)).toEqual([]);
+      expect(parseChaptersFromDescription('')).toEqual([]);
+    });
+  });
+
+  describe('normalizeChapters', () => {
+    test('should accept strings and objects and sort them', () => {
+      expect(normalizeChapters([
+        '5:00 Results',
+        { start_time: '0:00', title: 'Intro' },
+        { start: 120, title: ' Method ' }
+      ])).toEqual([
+        { start: 0, title: 'Intro' },
+        { start: 120, title: 'Method' },
+        { start: 300, title: 'Results' }
+      ]);
+    });
+
+    test('should reject chapters without a time or title', () => {
+      expect(() => normalizeChapters(['Intro'])).toThrow("Invalid chapter 'Intro'");
+      expect(() => normalizeChapters([{ start_time: '1:00' }])).toThrow('Invalid chapter');
+      expect(() => normalizeChapters('0:00 Intro')).toThrow('chapters must be an array');
+    });
+  });
+});
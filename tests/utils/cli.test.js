@@ -0,0 +1,132 @@
+// tests/utils/cli.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSubtitles } = require('youtube-caption-extractor');
+const { YouTubeSummarizerServer } = require('../../index.js');
+const { EXIT_CODES, isCliCommand, parseArgs, runCli } = require('../../lib/cli.js');
+
+jest.mock('youtube-caption-extractor');
+
+const URL = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ';
+
+function createStream() {
+  const chunks = [];
+  return { write: jest.fn(chunk => chunks.push(chunk)), text: () => chunks.join('') };
+}
+
+describe('CLI', () => {
+  let server;
+  let stdout;
+  let stderr;
+  let tempDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    server = new YouTubeSummarizerServer({
+      metadataProvider: jest.fn().mockResolvedValue({ title: 'Test Video', description: null }),
+      captionTrackLister: jest.fn().mockResolvedValue([{ languageCode: 'en', isAutoGenerated: false }])
+    });
+    stdout = createStream();
+    stderr = createStream();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-cli-'));
+    getSubtitles.mockResolvedValue([
+      { text: 'Hello world', start: '0', dur: '2' },
+      { text: 'Neural networks learn', start: '2', dur: '3' }
+    ]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const run = args => runCli(args, { server, stdout, stderr });
+
+  describe('parseArgs', () => {
+    test('should split positionals, valued options and flags', () => {
+      expect(parseArgs(['url', '--format', 'srt', '--timestamps', '--lang=es', 'more'])).toEqual({
+        positionals: ['url', 'more'],
+        options: { format: 'srt', timestamps: true, lang: 'es' }
+      });
+    });
+
+    test('should recognize subcommands', () => {
+      expect(isCliCommand('transcript')).toBe(true);
+      expect(isCliCommand('--help')).toBe(true);
+      expect(isCliCommand('--http')).toBe(false);
+    });
+  });
+
+  test('should print a transcript in the requested format', async () => {
+    const code = await run(['transcript', URL, '--format', 'srt', '--lang', 'es']);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout.text()).toContain('00:00:00,000 --> 00:00:02,000\nHello world');
+    expect(getSubtitles).toHaveBeenCalledWith({ videoID: 'dQw4w9WgXcQ', lang: 'es' });
+  });
+
+  test('should pass timestamps and time ranges to the transcript handler', async () => {
+    const spy = jest.spyOn(server, 'handleGetTranscript');
+
+    await run(['transcript', URL, '--format=plain', '--timestamps', '--start', '0:02', '--lang', 'en-US,en']);
+
+    expect(spy).toHaveBeenCalledWith({
+      url: URL,
+      format: 'plain',
+      include_timestamps: true,
+      language: ['en-US', 'en'],
+      start_time: '0:02'
+    });
+    expect(stdout.text()).toBe('[0:02] Neural networks learn\n');
+    expect(stderr.text()).toBe('Caption track used: en (manual)\n');
+  });
+
+  test('should print video info and search results', async () => {
+    expect(await run(['info', URL])).toBe(EXIT_CODES.OK);
+    expect(stdout.text()).toContain('Test Video');
+
+    expect(await run(['search', URL, 'neural', 'networks'])).toBe(EXIT_CODES.OK);
+    expect(stdout.text()).toContain('Neural networks learn');
+  });
+
+  test('should write to --out instead of stdout', async () => {
+    const file = path.join(tempDir, 'transcript.txt');
+
+    const code = await run(['transcript', URL, '--format', 'plain', '--out', file]);
+
+    expect(code).toBe(EXIT_CODES.OK);
+    expect(stdout.write).not.toHaveBeenCalled();
+    expect(fs.readFileSync(file, 'utf8')).toBe('Hello world Neural networks learn\n');
+  });
+
+  test('should exit with distinct codes for invalid URLs, missing captions and unavailable videos', async () => {
+    expect(await run(['transcript', 'https://example.com/video'])).toBe(EXIT_CODES.INVALID_URL);
+
+    getSubtitles.mockResolvedValue([]);
+    expect(await run(['transcript', URL])).toBe(EXIT_CODES.NO_CAPTIONS);
+
+    server.cache.clear();
+    getSubtitles.mockRejectedValue(new Error('Video unavailable'));
+    expect(await run(['transcript', URL])).toBe(EXIT_CODES.VIDEO_UNAVAILABLE);
+    expect(stderr.text()).toContain('Error: This video is unavailable');
+
+    server.cache.clear();
+    getSubtitles.mockRejectedValue(new Error('socket hang up'));
+    expect(await run(['transcript', URL])).toBe(EXIT_CODES.ERROR);
+  });
+
+  test('should report usage errors', async () => {
+    expect(await run(['transcript'])).toBe(EXIT_CODES.USAGE);
+    expect(stderr.text()).toContain("Missing <url> for 'transcript'");
+
+    expect(await run(['search', URL])).toBe(EXIT_CODES.USAGE);
+    expect(await run(['search', URL, 'x', '--context', 'many'])).toBe(EXIT_CODES.USAGE);
+    expect(await run(['transcript', URL, '--format'])).toBe(EXIT_CODES.USAGE);
+  });
+
+  test('should print help', async () => {
+    expect(await run(['help'])).toBe(EXIT_CODES.OK);
+    expect(stdout.text()).toContain('Usage: youtube-summarizer-mcp-server <command>');
+  });
+});
@@ -0,0 +1,189 @@
+// tests/utils/config.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, defaultConfig, resolveConfig, loadConfig } = require('../../lib/config.js');
+
+describe('Config', () => {
+  let tempDir;
+  let emptyDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-config-'));
+    emptyDir = path.join(tempDir, 'no-user-config');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const load = (options = {}) => loadConfig({ cwd: tempDir, userConfigDir: emptyDir, ...options }).config;
+
+  describe('defaultConfig', () => {
+    test('should hold the built-in defaults', () => {
+      const config = defaultConfig();
+
+      expect(config).toMatchObject({
+        language: 'en',
+        format: 'structured',
+        section_seconds: 120,
+        paragraph_sentences: 4,
+        timeout_ms: 30000,
+        request_timeout_ms: 120000,
+        retries: 2,
+        retry_delay_ms: 500,
+        retry_max_delay_ms: 8000,
+        transport: 'stdio',
+        host: '127.0.0.1',
+        port: 3000,
+        cache: { ttl_ms: 86400000, max_entries: 200 },
+        server: { name: 'youtube-summarizer-server', version: require('../../package.json').version }
+      });
+    });
+  });
+
+  describe('resolveConfig', () => {
+    test('should layer a partial config over the defaults', () => {
+      const config = resolveConfig({ language: ['en-US', 'en'], cache: { max_entries: 10 } });
+
+      expect(config.language).toEqual(['en-US', 'en']);
+      expect(config.cache.max_entries).toBe(10);
+      expect(config.cache.ttl_ms).toBe(86400000);
+    });
+
+    test('should report every invalid and unknown setting at once', () => {
+      let error;
+      try {
+        resolveConfig({ format: 'docx', paragraph_sentences: 0, colour: 'blue', cache: { size: 1 } });
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.problems).toEqual([
+        "unknown setting 'colour'",
+        "unknown setting 'cache.size'",
+        'format must be one of plain, structured, srt, vtt, json, csv, got "docx"',
+        'paragraph_sentences must be an integer from 1 to 50, got 0'
+      ]);
+    });
+
+    test('should validate the provider order and its directories', () => {
+      expect(resolveConfig({ providers: ['yt-dlp', 'extractor'], yt_dlp_dir: '/data/yt-dlp' }).providers)
+        .toEqual(['yt-dlp', 'extractor']);
+
+      let error;
+      try {
+        resolveConfig({ providers: ['local-dir', 'carrier-pigeon'] });
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error.problems[0]).toMatch(/^providers must be a list of transcript providers to try in order/);
+
+      expect(() => resolveConfig({ providers: ['local-dir'] }))
+        .toThrow("providers includes 'local-dir' but local_dir is not set");
+    });
+
+    test('should validate the retry settings', () => {
+      expect(resolveConfig({ retries: 0, retry_delay_ms: 100, retry_max_delay_ms: 100 }).retries).toBe(0);
+      expect(() => resolveConfig({ retries: 11 })).toThrow('retries must be an integer from 0 to 10, got 11');
+      expect(() => resolveConfig({ retry_delay_ms: 1000, retry_max_delay_ms: 500 }))
+        .toThrow('retry_max_delay_ms must be at least retry_delay_ms');
+    });
+
+    test('should validate normalization switches', () => {
+      expect(resolveConfig({ normalization: { remove_fillers: true } }).normalization).toEqual({ remove_fillers: true });
+      expect(() => resolveConfig({ normalization: { shout: true } })).toThrow('normalization must be an object');
+    });
+  });
+
+  describe('loadConfig', () => {
+    test('should read a YAML config file from the working directory', () => {
+      fs.writeFileSync(path.join(tempDir, 'youtube-summarizer.config.yaml'), [
+        'language: es',
+        'section_seconds: 60',
+        'cache:',
+        '  dir: /tmp/ytsum-cache',
+        'normalization:',
+        '  remove_fillers: true'
+      ].join('\n'));
+
+      const { config, file } = loadConfig({ cwd: tempDir, userConfigDir: emptyDir });
+
+      expect(file).toBe(path.join(tempDir, 'youtube-summarizer.config.yaml'));
+      expect(config.language).toBe('es');
+      expect(config.section_seconds).toBe(60);
+      expect(config.cache.dir).toBe('/tmp/ytsum-cache');
+      expect(config.normalization).toEqual({ remove_fillers: true });
+    });
+
+    test('should read an explicit JSON config file', () => {
+      const file = path.join(tempDir, 'custom.json');
+      fs.writeFileSync(file, JSON.stringify({ format: 'srt' }));
+
+      expect(load({ argv: ['--config', file] }).format).toBe('srt');
+      expect(load({ env: { YTSUM_CONFIG: file } }).format).toBe('srt');
+    });
+
+    test('should fall back to the user config directory', () => {
+      const userConfigDir = path.join(tempDir, 'user');
+      fs.mkdirSync(userConfigDir);
+      fs.writeFileSync(path.join(userConfigDir, 'config.json'), JSON.stringify({ port: 8080 }));
+
+      expect(loadConfig({ cwd: tempDir, userConfigDir }).config.port).toBe(8080);
+    });
+
+    test('should let environment variables override the file and flags override both', () => {
+      fs.writeFileSync(path.join(tempDir, 'youtube-summarizer.config.json'), JSON.stringify({ language: 'es', port: 1000 }));
+
+      const env = { YTSUM_LANGUAGE: 'fr', YTSUM_PORT: '2000', YTSUM_CACHE_TTL_MS: '5000' };
+      const config = load({ env, argv: ['--port=3001', '--http'] });
+
+      expect(config.language).toBe('fr');
+      expect(config.port).toBe(3001);
+      expect(config.cache.ttl_ms).toBe(5000);
+      expect(config.transport).toBe('http');
+    });
+
+    test('should read timeouts and retries from flags', () => {
+      const config = load({ argv: ['--retries', '4', '--retry-delay-ms=250', '--request-timeout-ms', '0'] });
+
+      expect(config.retries).toBe(4);
+      expect(config.retry_delay_ms).toBe(250);
+      expect(config.request_timeout_ms).toBe(0);
+    });
+
+    test('should read the provider order as a comma separated list', () => {
+      const config = load({ env: { YTSUM_PROVIDERS: 'local-dir, extractor', YTSUM_LOCAL_DIR: '/captions' } });
+
+      expect(config.providers).toEqual(['local-dir', 'extractor']);
+      expect(config.local_dir).toBe('/captions');
+    });
+
+    test('should split allowed directories on the path separator', () => {
+      const dirs = ['/srv/zoom', '/srv/vimeo'];
+
+      expect(load({ env: { YTSUM_ALLOWED_DIRS: dirs.join(path.delimiter) } }).allowed_dirs).toEqual(dirs);
+      expect(load().allowed_dirs).toEqual([]);
+    });
+
+    test('should name the source of invalid values', () => {
+      expect(() => load({ env: { YTSUM_PARAGRAPH_SENTENCES: 'lots' } }))
+        .toThrow('paragraph_sentences must be an integer from 1 to 50, got "lots" (from YTSUM_PARAGRAPH_SENTENCES)');
+      expect(() => load({ argv: ['--transport', 'carrier-pigeon'] }))
+        .toThrow("transport must be 'stdio' or 'http', got \"carrier-pigeon\" (from --transport)");
+    });
+
+    test('should reject unreadable and malformed config files', () => {
+      expect(() => load({ argv: ['--config', path.join(tempDir, 'missing.yaml')] })).toThrow('could not read config file');
+
+      const file = path.join(tempDir, 'broken.json');
+      fs.writeFileSync(file, '{ nope');
+      expect(() => load({ argv: ['--config', file] })).toThrow('could not parse config file');
+
+      fs.writeFileSync(file, '[1, 2]');
+      expect(() => load({ argv: ['--config', file] })).toThrow('must contain an object of settings');
+    });
+  });
+});
@@ -0,0 +1,75 @@
+// tests/utils/local-transcripts.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveAllowedPath, readLocalTranscript } = require('../../lib/local-transcripts.js');
+
+describe('Local Transcripts', () => {
+  let root;
+  let allowed;
+  let outside;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-local-')));
+    allowed = path.join(root, 'allowed');
+    outside = path.join(root, 'outside');
+    fs.mkdirSync(path.join(allowed, 'zoom'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(allowed, 'zoom', 'standup.vtt'), 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nGood morning\n');
+    fs.writeFileSync(path.join(outside, 'secret.srt'), '1\n00:00:00,000 --> 00:00:01,000\nSecret\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('resolveAllowedPath', () => {
+    test('should accept absolute paths and paths relative to an allowed directory', async () => {
+      const file = path.join(allowed, 'zoom', 'standup.vtt');
+
+      await expect(resolveAllowedPath(file, [allowed])).resolves.toBe(file);
+      await expect(resolveAllowedPath('zoom/standup.vtt', [outside, allowed])).resolves.toBe(file);
+    });
+
+    test('should reject files outside the allowed directories', async () => {
+      await expect(resolveAllowedPath(path.join(outside, 'secret.srt'), [allowed]))
+        .rejects.toThrow('is outside the allowed directories');
+      await expect(resolveAllowedPath('../outside/secret.srt', [allowed]))
+        .rejects.toThrow('is outside the allowed directories');
+    });
+
+    test('should follow symlinks before checking', async () => {
+      fs.symlinkSync(path.join(outside, 'secret.srt'), path.join(allowed, 'link.srt'));
+
+      await expect(resolveAllowedPath('link.srt', [allowed])).rejects.toThrow('is outside the allowed directories');
+    });
+
+    test('should refuse to read anything without allowed directories', async () => {
+      await expect(resolveAllowedPath(path.join(allowed, 'zoom', 'standup.vtt'), []))
+        .rejects.toThrow('Local transcripts are disabled');
+    });
+
+    test('should report missing files', async () => {
+      await expect(resolveAllowedPath('zoom/missing.vtt', [allowed])).rejects.toThrow('Subtitle file not found: zoom/missing.vtt');
+    });
+  });
+
+  describe('readLocalTranscript', () => {
+    test('should parse the file by its type', async () => {
+      await expect(readLocalTranscript('zoom/standup.vtt', [allowed])).resolves.toEqual({
+        path: path.join(allowed, 'zoom', 'standup.vtt'),
+        captionFormat: 'vtt',
+        transcript: [{ text: 'Good morning', offset: 0, duration: 2000 }]
+      });
+    });
+
+    test('should name the format a file failed to parse as', async () => {
+      fs.writeFileSync(path.join(allowed, 'broken.vtt'), 'not subtitles');
+
+      await expect(readLocalTranscript('broken.vtt', [allowed]))
+        .rejects.toThrow('Could not parse broken.vtt as vtt: Missing WEBVTT header');
+      await expect(readLocalTranscript('zoom', [allowed])).rejects.toThrow('zoom is not a file.');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+// tests/utils/output-formats.test.js
+const { describe, test, expect } = require('@jest/globals');
+const {
+  formatPreciseTimestamp,
+  toSrt,
+  toVtt,
+  toJson,
+  toCsv
+} = require('../../lib/output-formats.js');
+
+describe('Output Formats', () => {
+  const transcript = [
+    { text: 'Hello world', offset: 0, duration: 1500 },
+    { text: '', offset: 1500, duration: 500 },
+    { text: 'Tom & "Jerry", <b>live</b>', offset: 3723450, duration: 2250.4 }
+  ];
+
+  describe('formatPreciseTimestamp', () => {
+    test('should include hours and milliseconds', () => {
+      expect(formatPreciseTimestamp(0)).toBe('00:00:00.000');
+      expect(formatPreciseTimestamp(1500)).toBe('00:00:01.500');
+      expect(formatPreciseTimestamp(3723450)).toBe('01:02:03.450');
+    });
+
+    test('should support the SRT comma separator', () => {
+      expect(formatPreciseTimestamp(61001, ',')).toBe('00:01:01,001');
+    });
+
+    test('should round fractional milliseconds and clamp negatives', () => {
+      expect(formatPreciseTimestamp(999.6)).toBe('00:00:01.000');
+      expect(formatPreciseTimestamp(-5)).toBe('00:00:00.000');
+    });
+  });
+
+  test('should produce numbered SRT cues without empty segments', () => {
+    expect(toSrt(transcript)).toBe(
+      '1\n00:00:00,000 --> 00:00:01,500\nHello world\n\n' +
+      '2\n01:02:03,450 --> 01:02:05,700\nTom & "Jerry", <b>live</b>\n'
+    );
+  });
+
+  test('should produce WebVTT with a header and escaped text', () => {
+    expect(toVtt(transcript)).toBe(
+      'WEBVTT\n\n' +
+      '00:00:00.000 --> 00:00:01.500\nHello world\n\n' +
+      '01:02:03.450 --> 01:02:05.700\nTom &amp; "Jerry", &lt;b&gt;live&lt;/b&gt;\n'
+    );
+  });
+
+  test('should produce JSON segments with start and end in milliseconds', () => {
+    const parsed = JSON.parse(toJson(transcript, { url: 'https://youtu.be/abc', videoId: 'abc' }));
+
+    expect(parsed.videoId).toBe('abc');
+    expect(parsed.url).toBe('https://youtu.be/abc');
+    expect(parsed.segments).toHaveLength(3);
+    expect(parsed.segments[2]).toEqual({
+      index: 2,
+      start: 3723450,
+      end: 3725700,
+      duration: 2250,
+      text: 'Tom & "Jerry", <b>live</b>'
+    });
+  });
+
+  test('should include reconstructed sentences in JSON output', () => {
+    const parsed = JSON.parse(toJson([
+      { text: 'welcome to the show', offset: 0, duration: 2000 },
+      { text: 'today we cook pasta', offset: 4000, duration: 2000 }
+    ]));
+
+    expect(parsed.sentences).toEqual([
+      { index: 0, start: 0, end: 2000, text: 'Welcome to the show.' },
+      { index: 1, start: 4000, end: 6000, text: 'Today we cook pasta.' }
+    ]);
+  });
+
+  test('should produce CSV with quoted fields where needed', () => {
+    const lines = toCsv(transcript).split('\n');
+
+    expect(lines[0]).toBe('index,start_ms,end_ms,start,end,text');
+    expect(lines[1]).toBe('0,0,1500,00:00:00.000,00:00:01.500,Hello world');
+    expect(lines[2]).toBe('1,1500,2000,00:00:01.500,00:00:02.000,');
+    expect(lines[3]).toBe('2,3723450,3725700,01:02:03.450,01:02:05.700,"Tom & ""Jerry"", <b>live</b>"');
+  });
+});
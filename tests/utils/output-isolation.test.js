@@ -0,0 +1,116 @@
+// tests/utils/output-isolation.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const { PassThrough } = require('stream');
+const { runQuietly, isQuiet, isolateOutput } = require('../../lib/output-isolation.js');
+
+function collect(stream) {
+  let text = '';
+  stream.on('data', chunk => { text += chunk.toString(); });
+  return () => text;
+}
+
+describe('Output Isolation', () => {
+  let stdout;
+  let stderr;
+  let stdoutText;
+  let stderrText;
+  let isolation;
+
+  beforeEach(() => {
+    stdout = new PassThrough();
+    stderr = new PassThrough();
+    stdoutText = collect(stdout);
+    stderrText = collect(stderr);
+    isolation = isolateOutput({ stdout, stderr });
+  });
+
+  afterEach(() => {
+    isolation.restore();
+  });
+
+  test('should keep the isolated output stream on the real stdout', async () => {
+    isolation.output.write('{"jsonrpc":"2.0"}\n');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(stdoutText()).toBe('{"jsonrpc":"2.0"}\n');
+    expect(stderrText()).toBe('');
+  });
+
+  test('should move other stdout writes to stderr', async () => {
+    stdout.write('[DEBUG] Calling InnerTube endpoint\n');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(stdoutText()).toBe('');
+    expect(stderrText()).toBe('[DEBUG] Calling InnerTube endpoint\n');
+  });
+
+  test('should drop writes made inside runQuietly and still call their callbacks', async () => {
+    const callback = jest.fn();
+
+    const result = await runQuietly(async () => {
+      stdout.write('noise\n', callback);
+      stderr.write('more noise\n');
+      expect(isQuiet()).toBe(true);
+      return 'done';
+    });
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(result).toBe('done');
+    expect(callback).toHaveBeenCalled();
+    expect(stdoutText()).toBe('');
+    expect(stderrText()).toBe('');
+    expect(isQuiet()).toBe(false);
+  });
+
+  test('should let the isolated output through while a quiet task runs', async () => {
+    let finish;
+    const task = runQuietly(() => new Promise(resolve => { finish = resolve; }));
+
+    isolation.output.write('response\n');
+    stderr.write('log line\n');
+    finish();
+    await task;
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(stdoutText()).toBe('response\n');
+    expect(stderrText()).toBe('log line\n');
+  });
+
+  test('should keep overlapping quiet tasks independent', async () => {
+    let finishFirst;
+    let finishSecond;
+    const first = runQuietly(async () => {
+      await new Promise(resolve => { finishFirst = resolve; });
+      stdout.write('first noise\n');
+    });
+    const second = runQuietly(async () => {
+      await new Promise(resolve => { finishSecond = resolve; });
+      stdout.write('second noise\n');
+    });
+
+    // The first task ending must not unmute the second
+    finishFirst();
+    await first;
+    finishSecond();
+    await second;
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(stderrText()).toBe('');
+  });
+
+  test('should leave the quiet context when the task fails', async () => {
+    await expect(runQuietly(async () => {
+      throw new Error('extractor failed');
+    })).rejects.toThrow('extractor failed');
+
+    expect(isQuiet()).toBe(false);
+  });
+
+  test('should put the original write methods back on restore', () => {
+    const { write } = PassThrough.prototype;
+    isolation.restore();
+
+    expect(stdout.write).toBe(write);
+    expect(stderr.write).toBe(write);
+  });
+});
@@ -0,0 +1,77 @@
+// tests/utils/pagination.test.js
+const { describe, test, expect } = require('@jest/globals');
+const {
+  estimateTokens,
+  paginateSegments,
+  encodeCursor,
+  decodeCursor
+} = require('../../lib/pagination.js');
+
+describe('Pagination', () => {
+  const segment = (text) => ({ text, offset: 0, duration: 1000 });
+
+  test('should estimate roughly four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcd')).toBe(1);
+    expect(estimateTokens('abcde')).toBe(2);
+  });
+
+  test('should split by page size', () => {
+    const transcript = Array.from({ length: 5 }, (_, i) => segment(`s${i}`));
+    expect(paginateSegments(transcript, { pageSize: 2 })).toEqual([
+      { start: 0, end: 2 },
+      { start: 2, end: 4 },
+      { start: 4, end: 5 }
+    ]);
+  });
+
+  test('should split by token budget on segment boundaries', () => {
+    const transcript = [segment('a'.repeat(40)), segment('b'.repeat(40)), segment('c'.repeat(40))];
+    // 10 tokens each
+    expect(paginateSegments(transcript, { maxTokens: 25 })).toEqual([
+      { start: 0, end: 2 },
+      { start: 2, end: 3 }
+    ]);
+  });
+
+  test('should put an oversized segment on its own page', () => {
+    const transcript = [segment('short'), segment('x'.repeat(400)), segment('short')];
+    expect(paginateSegments(transcript, { maxTokens: 10 })).toEqual([
+      { start: 0, end: 1 },
+      { start: 1, end: 2 },
+      { start: 2, end: 3 }
+    ]);
+  });
+
+  test('should apply whichever limit is reached first', () => {
+    const transcript = Array.from({ length: 4 }, () => segment('a'.repeat(8)));
+    expect(paginateSegments(transcript, { maxTokens: 100, pageSize: 3 })).toHaveLength(2);
+    expect(paginateSegments(transcript, { maxTokens: 4, pageSize: 3 })).toHaveLength(2);
+  });
+
+  test('should never emit an empty page', () => {
+    const transcript = Array.from({ length: 5 }, (_, i) => segment(`s${i}`));
+
+    expect(paginateSegments(transcript, { pageSize: -1 })).toEqual([
+      { start: 0, end: 1 },
+      { start: 1, end: 2 },
+      { start: 2, end: 3 },
+      { start: 3, end: 4 },
+      { start: 4, end: 5 }
+    ]);
+  });
+
+  test('should return no pages for an empty transcript', () => {
+    expect(paginateSegments([], { pageSize: 2 })).toEqual([]);
+  });
+
+  test('should round-trip cursors', () => {
+    const state = { videoId: 'abc', language: 'en', page: 2, maxTokens: 500 };
+    expect(decodeCursor(encodeCursor(state))).toEqual(state);
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(() => decodeCursor('not-a-cursor')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor({ videoId: 'abc' }))).toThrow('Invalid cursor');
+  });
+});
@@ -0,0 +1,96 @@
+// tests/utils/playlist-resolver.test.js
+const { describe, test, expect } = require('@jest/globals');
+const fs = require('fs');
+const path = require('path');
+const {
+  resolvePlaylist,
+  parsePlaylistPage,
+  parsePlaylistTitle
+} = require('../../lib/playlist-resolver.js');
+const { mapWithConcurrency } = require('../../lib/concurrency.js');
+
+const fixture = fs.readFileSync(path.join(__dirname, '../fixtures/playlist.html'), 'utf8');
+
+describe('Playlist Resolver', () => {
+  test('should extract ordered, unique video IDs from a playlist page', () => {
+    expect(parsePlaylistPage(fixture)).toEqual(['dQw4w9WgXcQ', '9bZkp7q19f0', 'kJQP7kiw5Fk']);
+  });
+
+  test('should extract the playlist title', () => {
+    expect(parsePlaylistTitle(fixture)).toBe('Intro to Testing Course');
+    expect(parsePlaylistTitle('<html></html>')).toBeNull();
+  });
+
+  test('should decode HTML entities in the playlist title', () => {
+    const encoded = fixture.replace('Intro to Testing Course', 'Tom &amp; Jerry&#39;s Course');
+
+    expect(parsePlaylistTitle(encoded)).toBe("Tom & Jerry's Course");
+  });
+
+  test('should resolve a playlist using the provided fetch implementation', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => fixture
+    });
+
+    const playlist = await resolvePlaylist('PL123', { fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledWith(
+      'https://www.youtube.com/playlist?list=PL123',
+      expect.any(Object)
+    );
+    expect(playlist).toEqual({
+      playlistId: 'PL123',
+      title: 'Intro to Testing Course',
+      videoIds: ['dQw4w9WgXcQ', '9bZkp7q19f0', 'kJQP7kiw5Fk']
+    });
+  });
+
+  test('should throw on HTTP errors', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+    await expect(resolvePlaylist('PL123', { fetchImpl }))
+      .rejects.toThrow('Failed to load playlist: HTTP 404');
+  });
+
+  test('should throw when the page lists no videos', async () => {
+    const fetchImpl = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => '<html></html>'
+    });
+
+    await expect(resolvePlaylist('PL123', { fetchImpl }))
+      .rejects.toThrow('Playlist not found or contains no public videos');
+  });
+});
+
+describe('mapWithConcurrency', () => {
+  test('should preserve input order', async () => {
+    const delays = [30, 10, 20];
+    const results = await mapWithConcurrency(delays, 2, (delay, index) =>
+      new Promise(resolve => setTimeout(() => resolve(index), delay))
+    );
+
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  test('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapWithConcurrency(new Array(10).fill(0), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  test('should handle an empty list', async () => {
+    expect(await mapWithConcurrency([], 3, jest.fn())).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+// tests/utils/retry.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { isRetryableError, backoffDelay, withRetry } = require('../../lib/retry.js');
+
+describe('Retry', () => {
+  describe('isRetryableError', () => {
+    test('should retry network failures, timeouts and overloaded servers', () => {
+      expect(isRetryableError(new Error('fetch failed'))).toBe(true);
+      expect(isRetryableError(new Error('socket hang up'))).toBe(true);
+      expect(isRetryableError(new Error('Player API failed: HTTP 503'))).toBe(true);
+      expect(isRetryableError(new Error('HTTP 429 Too Many Requests'))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('read failed'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(isRetryableError(new Error('fetch failed', { cause: { code: 'EAI_AGAIN' } }))).toBe(true);
+      expect(isRetryableError(new Error('Timed out after 30s fetching the transcript from extractor'))).toBe(true);
+    });
+
+    test('should not retry private, missing or caption-less videos', () => {
+      expect(isRetryableError(new Error('Video unavailable'))).toBe(false);
+      expect(isRetryableError(new Error('This video is private'))).toBe(false);
+      expect(isRetryableError(new Error('Captions are disabled for this video'))).toBe(false);
+      expect(isRetryableError(new Error('could not find captions for video'))).toBe(false);
+      expect(isRetryableError(new Error('Failed to load playlist: HTTP 404'))).toBe(false);
+    });
+
+    test('should not retry unknown failures or cancellations', () => {
+      expect(isRetryableError(new Error('page layout changed'))).toBe(false);
+      expect(isRetryableError(Object.assign(new Error('The request was cancelled'), { name: 'AbortError' }))).toBe(false);
+      expect(isRetryableError(null)).toBe(false);
+    });
+
+    test('should let an error decide for itself', () => {
+      expect(isRetryableError(Object.assign(new Error('Video unavailable'), { retryable: true }))).toBe(true);
+      expect(isRetryableError(Object.assign(new Error('fetch failed'), { retryable: false }))).toBe(false);
+    });
+  });
+
+  describe('backoffDelay', () => {
+    test('should double the delay per retry up to the maximum', () => {
+      const delays = [1, 2, 3, 4, 5].map(retry => backoffDelay(retry, { delayMs: 100, maxDelayMs: 1000, random: () => 1 }));
+
+      expect(delays).toEqual([100, 200, 400, 800, 1000]);
+    });
+
+    test('should randomise the upper half of each delay', () => {
+      expect(backoffDelay(3, { delayMs: 100, maxDelayMs: 1000, random: () => 0 })).toBe(200);
+      expect(backoffDelay(3, { delayMs: 100, maxDelayMs: 1000, random: () => 0.5 })).toBe(300);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry retryable failures until the task succeeds', async () => {
+      const task = jest.fn()
+        .mockRejectedValueOnce(new Error('fetch failed'))
+        .mockResolvedValueOnce('done');
+
+      await expect(withRetry(task, { retries: 2, delayMs: 1 })).resolves.toBe('done');
+      expect(task.mock.calls).toEqual([[0], [1]]);
+    });
+
+    test('should rethrow the last failure once the retries are used up', async () => {
+      const task = jest.fn()
+        .mockRejectedValueOnce(new Error('fetch failed'))
+        .mockRejectedValueOnce(new Error('socket hang up'));
+
+      await expect(withRetry(task, { retries: 1, delayMs: 1 })).rejects.toThrow('socket hang up');
+      expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    test('should rethrow permanent failures straight away', async () => {
+      const task = jest.fn().mockRejectedValue(new Error('Video unavailable'));
+
+      await expect(withRetry(task, { retries: 3, delayMs: 1 })).rejects.toThrow('Video unavailable');
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not start when the signal has already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const task = jest.fn();
+
+      await expect(withRetry(task, { signal: controller.signal })).rejects.toThrow('The request was cancelled');
+      expect(task).not.toHaveBeenCalled();
+    });
+  });
+});
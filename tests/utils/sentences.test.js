@@ -0,0 +1,95 @@
+// tests/utils/sentences.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { reconstructSentences, groupIntoParagraphs } = require('../../lib/sentences.js');
+
+describe('Sentence Reconstruction', () => {
+  describe('reconstructSentences', () => {
+    test('should keep existing punctuation with word-level start and end times', () => {
+      const sentences = reconstructSentences([
+        { text: 'Welcome to the', offset: 0, duration: 3000 },
+        { text: 'show. Today we', offset: 3000, duration: 3000 },
+        { text: 'cook pasta!', offset: 6000, duration: 2000 }
+      ]);
+
+      expect(sentences.map(sentence => sentence.text)).toEqual(['Welcome to the show.', 'Today we cook pasta!']);
+      expect(sentences[0]).toMatchObject({ start: 0, end: 4000, reconstructed: false });
+      expect(sentences[1]).toMatchObject({ start: 4000, end: 8000 });
+    });
+
+    test('should split unpunctuated captions at long pauses', () => {
+      const sentences = reconstructSentences([
+        { text: 'this is the first idea here', offset: 0, duration: 3000 },
+        { text: 'and this is the second one', offset: 5000, duration: 3000 }
+      ]);
+
+      expect(sentences).toEqual([
+        { text: 'This is the first idea here.', start: 0, end: 3000, pauseBefore: 0, reconstructed: true },
+        { text: 'And this is the second one.', start: 5000, end: 8000, pauseBefore: 2000, reconstructed: true }
+      ]);
+    });
+
+    test('should combine a short pause with a discourse marker or capital letter', () => {
+      const transcript = [
+        { text: 'we mixed the flour and water', offset: 0, duration: 3000 },
+        { text: 'so now we knead the dough', offset: 3800, duration: 3000 },
+        { text: 'for about ten minutes', offset: 6800, duration: 2000 },
+        { text: 'Bread needs patience above all', offset: 9600, duration: 3000 }
+      ];
+
+      expect(reconstructSentences(transcript).map(sentence => sentence.text)).toEqual([
+        'We mixed the flour and water.',
+        'So now we knead the dough for about ten minutes.',
+        'Bread needs patience above all.'
+      ]);
+    });
+
+    test('should not split on weak signals alone', () => {
+      const transcript = [
+        { text: 'we went to Paris', offset: 0, duration: 2000 },
+        { text: 'but it rained all week', offset: 2000, duration: 2000 }
+      ];
+
+      expect(reconstructSentences(transcript)).toHaveLength(1);
+    });
+
+    test('should cut overlong runs at the strongest candidate boundary', () => {
+      const words = Array.from({ length: 30 }, (_, i) => `word${i}`).join(' ');
+      const transcript = [
+        { text: words, offset: 0, duration: 10000 },
+        { text: `but ${words}`, offset: 10000, duration: 10000 }
+      ];
+
+      const sentences = reconstructSentences(transcript, { maxWords: 40 });
+
+      expect(sentences).toHaveLength(2);
+      expect(sentences[1].text).toMatch(/^But word0/);
+      expect(sentences[1].start).toBe(10000);
+    });
+
+    test('should work without timing and skip punctuation-only text', () => {
+      const sentences = reconstructSentences([{ text: '...' }, { text: 'no timing here' }]);
+
+      expect(sentences).toEqual([
+        { text: 'No timing here.', start: null, end: null, pauseBefore: 0, reconstructed: true }
+      ]);
+      expect(reconstructSentences([])).toEqual([]);
+    });
+  });
+
+  describe('groupIntoParagraphs', () => {
+    const sentence = (text, pauseBefore = 0) => ({ text, start: 0, end: 1000, pauseBefore });
+
+    test('should group up to four sentences per paragraph', () => {
+      const paragraphs = groupIntoParagraphs(['A.', 'B.', 'C.', 'D.', 'E.'].map(text => sentence(text)));
+
+      expect(paragraphs.map(paragraph => paragraph.text)).toEqual(['A. B. C. D.', 'E.']);
+      expect(paragraphs[0].sentences).toHaveLength(4);
+    });
+
+    test('should start a new paragraph after a long pause', () => {
+      const paragraphs = groupIntoParagraphs([sentence('A.'), sentence('B.', 3000), sentence('C.')]);
+
+      expect(paragraphs.map(paragraph => paragraph.text)).toEqual(['A.', 'B. C.']);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// tests/utils/summarizer.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { summarizeSentences } = require('../../lib/summarizer.js');
+
+describe('Summarizer', () => {
+  describe('summarizeSentences', () => {
+    const sentences = [
+      'Machine learning models learn patterns from training data.',
+      'I had coffee this morning.',
+      'Training data quality decides how well machine learning models perform.',
+      'The weather was nice.',
+      'Good training data and careful evaluation make machine learning models reliable.',
+      'Thanks for watching.'
+    ].map((text, index) => ({ text, start: index * 10000, end: index * 10000 + 9000 }));
+
+    test('should pick central sentences with TextRank in original order', () => {
+      const summary = summarizeSentences(sentences, { count: 3 });
+      const indexes = summary.map(sentence => sentence.index);
+
+      expect(indexes).toEqual([0, 2, 4]);
+      expect(summary[1].start).toBe(20000);
+    });
+
+    test('should support TF-IDF scoring', () => {
+      const summary = summarizeSentences(sentences, { method: 'tfidf', count: 3 });
+
+      expect(summary).toHaveLength(3);
+      expect(summary.map(sentence => sentence.text)).not.toContain('Thanks for watching.');
+    });
+
+    test('should size the summary by ratio', () => {
+      expect(summarizeSentences(sentences, { ratio: 0.5 })).toHaveLength(3);
+    });
+
+    test('should default to five sentences and never exceed the input', () => {
+      expect(summarizeSentences(sentences)).toHaveLength(5);
+      expect(summarizeSentences(sentences.slice(0, 2), { count: 10 })).toHaveLength(2);
+      expect(summarizeSentences([], { count: 3 })).toEqual([]);
+    });
+
+    test('should reject unknown methods', () => {
+      expect(() => summarizeSentences(sentences, { method: 'lsa' })).toThrow("Invalid method 'lsa'");
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// tests/utils/text-normalization.test.js
+const { describe, test, expect } = require('@jest/globals');
+const {
+  NORMALIZATION_STEPS,
+  DEFAULT_NORMALIZATION,
+  decodeEntities,
+  resolveNormalization,
+  normalizeTranscript
+} = require('../../lib/text-normalization.js');
+
+const segment = (text, offset = 0) => ({ text, offset, duration: 1000 });
+const only = step => Object.fromEntries(NORMALIZATION_STEPS.map(name => [name, name === step]));
+
+describe('Text Normalization', () => {
+  describe('decodeEntities', () => {
+    test('should decode named, numeric and double-encoded entities', () => {
+      expect(decodeEntities('Tom &amp; Jerry')).toBe('Tom & Jerry');
+      expect(decodeEntities('it&amp;#39;s &#x41; &quot;test&quot;')).toBe('it\'s A "test"');
+      expect(decodeEntities('&unknown; &#0;')).toBe('&unknown; &#0;');
+    });
+  });
+
+  describe('normalizeTranscript', () => {
+    test('should strip sound tags and drop segments left empty', () => {
+      const result = normalizeTranscript(
+        [segment('[Music]'), segment('hello ♪ (laughs) there [Applause]', 1000)],
+        only('strip_sound_tags')
+      );
+
+      expect(result).toEqual([{ text: 'hello there', offset: 1000, duration: 1000 }]);
+    });
+
+    test('should strip speaker markers', () => {
+      expect(normalizeTranscript([segment('>> hi >> there')], only('strip_speaker_markers'))[0].text).toBe('hi there');
+      expect(normalizeTranscript([segment('&gt;&gt; hi')], only('strip_speaker_markers'))[0].text).toBe('hi');
+    });
+
+    test('should collapse whitespace', () => {
+      expect(normalizeTranscript([segment(' a\n b\t  c ')], only('collapse_whitespace'))[0].text).toBe('a b c');
+    });
+
+    test('should remove repeated rolling-caption words', () => {
+      const result = normalizeTranscript([
+        segment('hello and welcome to', 0),
+        segment('welcome to the channel', 1000),
+        segment('to the channel', 2000),
+        segment('channel surfing is fun', 3000)
+      ], only('dedupe_overlap'));
+
+      expect(result.map(item => item.text)).toEqual(['hello and welcome to', 'the channel', 'channel surfing is fun']);
+    });
+
+    test('should remove fillers only when asked', () => {
+      const transcript = [segment('so um, we start uh now, uh-huh')];
+
+      expect(normalizeTranscript(transcript, DEFAULT_NORMALIZATION)[0].text).toBe('so um, we start uh now, uh-huh');
+      expect(normalizeTranscript(transcript, only('remove_fillers'))[0].text).toBe('so we start now, uh-huh');
+    });
+
+    test('should leave the input untouched', () => {
+      const transcript = [segment('Tom &amp; Jerry')];
+      normalizeTranscript(transcript, DEFAULT_NORMALIZATION);
+
+      expect(transcript[0].text).toBe('Tom &amp; Jerry');
+    });
+  });
+
+  describe('resolveNormalization', () => {
+    test('should merge per-call switches over the defaults', () => {
+      expect(resolveNormalization(undefined, undefined)).toEqual(DEFAULT_NORMALIZATION);
+      expect(resolveNormalization(undefined, { remove_fillers: true }).remove_fillers).toBe(true);
+      expect(resolveNormalization({ dedupe_overlap: false }, true).dedupe_overlap).toBe(false);
+      expect(Object.values(resolveNormalization(undefined, false)).some(Boolean)).toBe(false);
+    });
+
+    test('should reject unknown steps and bad values', () => {
+      expect(() => resolveNormalization(undefined, { lowercase: true })).toThrow("Unknown normalization step 'lowercase'");
+      expect(() => resolveNormalization(undefined, 'yes')).toThrow('normalize must be a boolean or an object');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+// tests/utils/text-search.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { tokenize, stem, editDistance, searchSegments } = require('../../lib/text-search.js');
+
+describe('Text Search', () => {
+  describe('tokenize', () => {
+    test('should lowercase and split on non-word characters', () => {
+      expect(tokenize("Don't STOP, believing!")).toEqual(['dont', 'stop', 'believing']);
+    });
+
+    test('should keep non-latin letters', () => {
+      expect(tokenize('café niño')).toEqual(['café', 'niño']);
+    });
+  });
+
+  describe('stem', () => {
+    test('should reduce common inflections to the same stem', () => {
+      expect(stem('running')).toBe('run');
+      expect(stem('runs')).toBe('run');
+      expect(stem('tested')).toBe('test');
+      expect(stem('tests')).toBe('test');
+      expect(stem('testing')).toBe('test');
+      expect(stem('studies')).toBe(stem('study'));
+    });
+
+    test('should leave short words alone', () => {
+      expect(stem('is')).toBe('is');
+      expect(stem('bus')).toBe('bus');
+    });
+  });
+
+  describe('editDistance', () => {
+    test('should count edits between strings', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('same', 'same')).toBe(0);
+      expect(editDistance('', 'abc')).toBe(3);
+      expect(editDistance('neural', 'nueral')).toBe(1);
+    });
+  });
+
+  describe('searchSegments', () => {
+    const transcript = [
+      { text: 'Neural networks are great', offset: 0, duration: 1000 },
+      { text: 'we train the network', offset: 1000, duration: 1000 },
+      { text: 'training takes time', offset: 2000, duration: 1000 },
+      { text: 'the nueral approach', offset: 3000, duration: 1000 }
+    ];
+
+    test('should find case-insensitive substring matches by default', () => {
+      const hits = searchSegments(transcript, 'NETWORK');
+      expect(hits.map(hit => hit.index)).toEqual([0, 1]);
+    });
+
+    test('should include neighbouring segments as context', () => {
+      const [hit] = searchSegments(transcript, 'train the', { context: 1 });
+      expect(hit.before.map(item => item.text)).toEqual(['Neural networks are great']);
+      expect(hit.after.map(item => item.text)).toEqual(['training takes time']);
+    });
+
+    test('should match stems and small typos in fuzzy mode', () => {
+      const hits = searchSegments(transcript, 'neural trains', { mode: 'fuzzy' });
+      expect(hits).toHaveLength(0);
+
+      expect(searchSegments(transcript, 'trains', { mode: 'fuzzy' }).map(hit => hit.index)).toEqual([1, 2]);
+      expect(searchSegments(transcript, 'neural', { mode: 'fuzzy' }).map(hit => hit.index)).toEqual([0, 3]);
+    });
+
+    test('should find phrases split across segments in every mode', () => {
+      const split = [
+        { text: 'Today we talk about neural', offset: 0, duration: 2000 },
+        { text: 'networks and how they learn.', offset: 2000, duration: 2000 },
+        { text: 'Later, deep', offset: 4000, duration: 1000 },
+        { text: 'neural', offset: 5000, duration: 1000 },
+        { text: 'networks again.', offset: 6000, duration: 1000 }
+      ];
+
+      for (const mode of ['exact', 'case_insensitive', 'fuzzy']) {
+        expect(searchSegments(split, 'neural networks', { mode }).map(hit => hit.index)).toEqual([0, 3]);
+      }
+      expect(searchSegments(split, 'deep neural networks').map(hit => hit.index)).toEqual([2]);
+      expect(searchSegments(split, 'deep neural network', { mode: 'fuzzy' }).map(hit => hit.index)).toEqual([2]);
+      // Words in neighbouring segments only match when they sit together
+      expect(searchSegments(split, 'today learn', { mode: 'fuzzy' })).toHaveLength(0);
+    });
+
+    test('should stop after maxResults hits', () => {
+      expect(searchSegments(transcript, 'e', { maxResults: 2 })).toHaveLength(2);
+    });
+
+    test('should reject unknown modes', () => {
+      expect(() => searchSegments(transcript, 'x', { mode: 'regex' })).toThrow("Invalid match_mode 'regex'");
+    });
+  });
+});
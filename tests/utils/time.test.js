@@ -0,0 +1,33 @@
+// tests/utils/time.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { parseTimeInput } = require('../../lib/time.js');
+
+describe('parseTimeInput', () => {
+  test('should parse plain seconds', () => {
+    expect(parseTimeInput('3723')).toBe(3723);
+    expect(parseTimeInput('12.5')).toBe(12.5);
+    expect(parseTimeInput(90)).toBe(90);
+  });
+
+  test('should parse clock times', () => {
+    expect(parseTimeInput('1:02:03')).toBe(3723);
+    expect(parseTimeInput('45:00')).toBe(2700);
+    expect(parseTimeInput('62:03')).toBe(3723);
+    expect(parseTimeInput('0:05')).toBe(5);
+  });
+
+  test('should parse unit times', () => {
+    expect(parseTimeInput('62m3s')).toBe(3723);
+    expect(parseTimeInput('1h2m3s')).toBe(3723);
+    expect(parseTimeInput('1H')).toBe(3600);
+    expect(parseTimeInput('90s')).toBe(90);
+  });
+
+  test('should reject invalid values', () => {
+    expect(() => parseTimeInput('')).toThrow("Invalid time ''");
+    expect(() => parseTimeInput('abc')).toThrow("Invalid time 'abc'");
+    expect(() => parseTimeInput('1:75')).toThrow("Invalid time '1:75'");
+    expect(() => parseTimeInput('1:60:00')).toThrow("Invalid time '1:60:00'");
+    expect(() => parseTimeInput(-5)).toThrow('Invalid time');
+  });
+});
@@ -0,0 +1,21 @@
+// tests/utils/timeout.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { withTimeout } = require('../../lib/timeout.js');
+
+describe('withTimeout', () => {
+  test('should resolve with the value when the promise settles in time', async () => {
+    await expect(withTimeout(Promise.resolve('done'), 1000, 'too slow')).resolves.toBe('done');
+    await expect(withTimeout(Promise.reject(new Error('boom')), 1000, 'too slow')).rejects.toThrow('boom');
+  });
+
+  test('should reject with the message when the promise takes too long', async () => {
+    const never = new Promise(() => {});
+    await expect(withTimeout(never, 10, 'too slow')).rejects.toThrow('too slow');
+    await expect(withTimeout(never, 10, 'too slow')).rejects.toMatchObject({ code: 'ETIMEDOUT' });
+  });
+
+  test('should wait forever when the timeout is 0', async () => {
+    const promise = Promise.resolve('done');
+    expect(withTimeout(promise, 0, 'too slow')).toBe(promise);
+  });
+});
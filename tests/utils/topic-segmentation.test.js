@@ -0,0 +1,70 @@
+// tests/utils/topic-segmentation.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { segmentTopics, titleFromKeywords } = require('../../lib/topic-segmentation.js');
+
+// Builds a transcript of 4 second segments, `repeat` segments per topic
+function buildTranscript(topics, repeat = 20) {
+  const transcript = [];
+  topics.forEach(lines => {
+    for (let i = 0; i < repeat; i++) {
+      transcript.push({ text: lines[i % lines.length], offset: transcript.length * 4000, duration: 4000 });
+    }
+  });
+  return transcript;
+}
+
+const SOLAR = ['solar panels convert sunlight', 'panels on the roof face south', 'solar cells need sunlight'];
+const BATTERY = ['batteries store energy overnight', 'lithium batteries charge quickly', 'battery capacity matters'];
+const INVERTER = ['inverters change current', 'the inverter converts direct current', 'grid inverters sync current'];
+
+describe('Topic Segmentation', () => {
+  describe('segmentTopics', () => {
+    test('should split at topic shifts with time ranges and keywords', () => {
+      const sections = segmentTopics(buildTranscript([SOLAR, BATTERY, INVERTER]), { minSectionSeconds: 30 });
+
+      expect(sections.map(section => [section.startIndex, section.endIndex])).toEqual([[0, 20], [20, 40], [40, 60]]);
+      expect(sections[1].start).toBe(80000);
+      expect(sections[1].end).toBe(160000);
+      expect(sections[0].keywords).toEqual(expect.arrayContaining(['solar', 'panels', 'sunlight']));
+      expect(sections[1].keywords[0]).toBe('batteries');
+    });
+
+    test('should keep sections at least min_section_seconds long', () => {
+      const sections = segmentTopics(buildTranscript([SOLAR, BATTERY, INVERTER]), { minSectionSeconds: 100 });
+
+      sections.forEach(section => {
+        expect(section.end - section.start).toBeGreaterThanOrEqual(100000);
+      });
+    });
+
+    test('should respect max_sections and nest weaker shifts as subsections', () => {
+      const sections = segmentTopics(buildTranscript([SOLAR, BATTERY, INVERTER, SOLAR]), {
+        minSectionSeconds: 30,
+        maxSections: 2
+      });
+
+      expect(sections).toHaveLength(2);
+      const subsectionCount = sections.reduce((sum, section) => sum + section.subsections.length, 0);
+      expect(subsectionCount).toBeGreaterThan(0);
+      sections.forEach(section => {
+        section.subsections.forEach(subsection => {
+          expect(subsection.startIndex).toBeGreaterThanOrEqual(section.startIndex);
+          expect(subsection.endIndex).toBeLessThanOrEqual(section.endIndex);
+        });
+      });
+    });
+
+    test('should return one section for a single topic and none for an empty transcript', () => {
+      expect(segmentTopics(buildTranscript([SOLAR]))).toHaveLength(1);
+      expect(segmentTopics([])).toEqual([]);
+    });
+  });
+
+  describe('titleFromKeywords', () => {
+    test('should build a title from the top keywords', () => {
+      expect(titleFromKeywords(['solar', 'panels', 'roof', 'south'])).toBe('Solar, Panels & Roof');
+      expect(titleFromKeywords(['solar'])).toBe('Solar');
+      expect(titleFromKeywords([])).toBe('Untitled');
+    });
+  });
+});
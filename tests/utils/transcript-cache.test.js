@@ -0,0 +1,225 @@
+// tests/utils/transcript-cache.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TranscriptCache } = require('../../lib/transcript-cache.js');
+
+describe('TranscriptCache', () => {
+  const transcript = [{ text: 'Hello world', offset: 0, duration: 2000 }];
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-cache-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should return null for a missing entry', async () => {
+    const cache = new TranscriptCache();
+    expect(await cache.get('abc', 'en')).toBeNull();
+  });
+
+  test('should store and return transcripts in memory', async () => {
+    const cache = new TranscriptCache();
+    await cache.set('abc', 'en', transcript);
+
+    expect(await cache.get('abc', 'en')).toEqual(transcript);
+    expect(await cache.get('abc', 'es')).toBeNull();
+  });
+
+  test('should persist entries to disk across instances', async () => {
+    await new TranscriptCache({ dir }).set('abc', 'en', transcript);
+
+    const restarted = new TranscriptCache({ dir });
+    expect(await restarted.get('abc', 'en')).toEqual(transcript);
+  });
+
+  test('should expire entries after the TTL', async () => {
+    jest.useFakeTimers({ now: 1000000 });
+    const cache = new TranscriptCache({ dir, ttlMs: 1000 });
+    await cache.set('abc', 'en', transcript);
+
+    jest.setSystemTime(1000000 + 1001);
+
+    expect(await cache.get('abc', 'en')).toBeNull();
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('should leave expired entries out of listings and statistics', async () => {
+    await new TranscriptCache({ dir }).set('old', 'en', transcript);
+    await new TranscriptCache({ dir }).set('new', 'en', transcript);
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(path.join(dir, 'old%3Aen.json'), twoHoursAgo, twoHoursAgo);
+
+    const cache = new TranscriptCache({ dir, ttlMs: 60 * 60 * 1000 });
+
+    expect((await cache.list()).map(entry => entry.videoId)).toEqual(['new']);
+    expect((await cache.stats()).entries).toBe(1);
+  });
+
+  test('should evict the least recently used entry when full', async () => {
+    const cache = new TranscriptCache({ maxEntries: 2 });
+    await cache.set('a', 'en', transcript);
+    await cache.set('b', 'en', transcript);
+    await cache.get('a', 'en');
+    await cache.set('c', 'en', transcript);
+
+    expect(await cache.get('a', 'en')).toEqual(transcript);
+    expect(await cache.get('b', 'en')).toBeNull();
+    expect(await cache.get('c', 'en')).toEqual(transcript);
+  });
+
+  test('should limit the number of files on disk', async () => {
+    await new TranscriptCache({ dir }).set('a', 'en', transcript);
+    await new TranscriptCache({ dir }).set('b', 'en', transcript);
+    await new TranscriptCache({ dir, maxEntries: 2 }).set('c', 'en', transcript);
+
+    expect(fs.readdirSync(dir)).toHaveLength(2);
+  });
+
+  test('should keep working in memory when the cache directory is not writable', async () => {
+    const blocker = path.join(dir, 'not-a-directory');
+    fs.writeFileSync(blocker, '');
+    const cache = new TranscriptCache({ dir: path.join(blocker, 'cache'), maxEntries: 1 });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(await cache.getOrFetch('abc', 'en', async () => transcript)).toEqual(transcript);
+      expect(await cache.get('abc', 'en')).toEqual(transcript);
+      await cache.set('xyz', 'en', transcript);
+
+      expect(cache.memory.size).toBe(1);
+      expect(await cache.get('xyz', 'en')).toEqual(transcript);
+      expect((await cache.stats()).entries).toBe(1);
+      expect(errorSpy).toHaveBeenCalledWith(expect.stringContaining('Could not update the transcript cache'));
+    } finally {
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('should treat corrupt cache files as a miss', async () => {
+    const cache = new TranscriptCache({ dir });
+    fs.writeFileSync(cache.filePath(cache.key('abc', 'en')), '{not json');
+
+    expect(await cache.get('abc', 'en')).toBeNull();
+  });
+
+  test('should coalesce concurrent fetches for the same key', async () => {
+    const cache = new TranscriptCache();
+    let resolveFetch;
+    const fetcher = jest.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+    const first = cache.getOrFetch('abc', 'en', fetcher);
+    const second = cache.getOrFetch('abc', 'en', fetcher);
+    await new Promise(resolve => setImmediate(resolve));
+    resolveFetch(transcript);
+
+    expect(await first).toEqual(transcript);
+    expect(await second).toEqual(transcript);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect((await cache.stats()).coalesced).toBe(1);
+  });
+
+  test('should keep a shared fetch going for callers that have not cancelled', async () => {
+    const cache = new TranscriptCache();
+    const controller = new AbortController();
+    let resolveFetch;
+    let fetchSignal;
+    const fetcher = jest.fn((signal) => {
+      fetchSignal = signal;
+      return new Promise(resolve => { resolveFetch = resolve; });
+    });
+
+    const cancelled = cache.getOrFetch('abc', 'en', fetcher, { signal: controller.signal });
+    const waiting = cache.getOrFetch('abc', 'en', fetcher);
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await expect(cancelled).rejects.toThrow('The request was cancelled');
+    expect(fetchSignal.aborted).toBe(false);
+    resolveFetch(transcript);
+    expect(await waiting).toEqual(transcript);
+  });
+
+  test('should abort the fetch once every caller has cancelled', async () => {
+    const cache = new TranscriptCache();
+    const first = new AbortController();
+    const second = new AbortController();
+    let fetchSignal;
+    const fetcher = jest.fn((signal) => {
+      fetchSignal = signal;
+      return new Promise(() => {});
+    });
+
+    const requests = [
+      cache.getOrFetch('abc', 'en', fetcher, { signal: first.signal }),
+      cache.getOrFetch('abc', 'en', fetcher, { signal: second.signal })
+    ];
+    await new Promise(resolve => setImmediate(resolve));
+    first.abort();
+    await expect(requests[0]).rejects.toThrow('The request was cancelled');
+    expect(fetchSignal.aborted).toBe(false);
+
+    second.abort();
+    await expect(requests[1]).rejects.toThrow('The request was cancelled');
+    expect(fetchSignal.aborted).toBe(true);
+    expect((await cache.stats()).inFlight).toBe(0);
+  });
+
+  test('should not start a fetch for an already cancelled caller', async () => {
+    const cache = new TranscriptCache();
+    const controller = new AbortController();
+    controller.abort();
+    const fetcher = jest.fn();
+
+    await expect(cache.getOrFetch('abc', 'en', fetcher, { signal: controller.signal }))
+      .rejects.toThrow('The request was cancelled');
+    expect(fetcher).not.toHaveBeenCalled();
+  });
+
+  test('should not cache failed fetches', async () => {
+    const cache = new TranscriptCache();
+    const fetcher = jest.fn()
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce(transcript);
+
+    await expect(cache.getOrFetch('abc', 'en', fetcher)).rejects.toThrow('Network error');
+    expect(await cache.getOrFetch('abc', 'en', fetcher)).toEqual(transcript);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  test('should clear entries for one video or all videos', async () => {
+    const cache = new TranscriptCache({ dir });
+    await cache.set('abc', 'en', transcript);
+    await cache.set('abc', 'es', transcript);
+    await cache.set('xyz', 'en', transcript);
+
+    expect(await cache.clear('abc')).toBe(2);
+    expect(await cache.get('xyz', 'en')).toEqual(transcript);
+    expect(await cache.clear()).toBe(1);
+    expect(fs.readdirSync(dir)).toHaveLength(0);
+  });
+
+  test('should report statistics', async () => {
+    const cache = new TranscriptCache({ dir, ttlMs: 5000, maxEntries: 10 });
+    const fetcher = jest.fn().mockResolvedValue(transcript);
+
+    await cache.getOrFetch('abc', 'en', fetcher);
+    await cache.getOrFetch('abc', 'en', fetcher);
+
+    expect(await cache.stats()).toEqual({
+      entries: 1,
+      maxEntries: 10,
+      ttlMs: 5000,
+      directory: dir,
+      inFlight: 0,
+      hits: 1,
+      misses: 1,
+      coalesced: 0
+    });
+  });
+});
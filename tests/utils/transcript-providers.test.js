@@ -0,0 +1,293 @@
+// tests/utils/transcript-providers.test.js
+const { describe, test, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSubtitles, getVideoDetails } = require('youtube-caption-extractor');
+const {
+  TranscriptProviderChain,
+  registerProvider,
+  providerNames,
+  createProviders
+} = require('../../lib/transcript-providers.js');
+const { createExtractorProvider } = require('../../lib/extractor-provider.js');
+const { createLocalDirProvider, createYtDlpProvider } = require('../../lib/file-providers.js');
+
+jest.mock('youtube-caption-extractor');
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const VTT = 'WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nHello from a file\n';
+
+describe('Transcript Providers', () => {
+  describe('TranscriptProviderChain', () => {
+    const segments = [{ text: 'Hello', offset: 0, duration: 1000 }];
+
+    test('should return the first provider answer in order', async () => {
+      const first = { name: 'first', fetchTranscript: jest.fn().mockResolvedValue(null) };
+      const second = { name: 'second', fetchTranscript: jest.fn().mockResolvedValue(segments) };
+      const third = { name: 'third', fetchTranscript: jest.fn() };
+
+      const chain = new TranscriptProviderChain([first, second, third]);
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).resolves.toBe(segments);
+      expect(first.fetchTranscript).toHaveBeenCalledWith(VIDEO_ID, 'en', { signal: null });
+      expect(third.fetchTranscript).not.toHaveBeenCalled();
+    });
+
+    test('should fall back past failing providers and skip those without the method', async () => {
+      const broken = { name: 'broken', fetchTranscript: jest.fn().mockRejectedValue(new Error('page changed')) };
+      const metadataOnly = { name: 'metadata', fetchMetadata: jest.fn() };
+      const backup = { name: 'backup', fetchTranscript: jest.fn().mockResolvedValue(segments) };
+
+      const chain = new TranscriptProviderChain([broken, metadataOnly, backup]);
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).resolves.toBe(segments);
+    });
+
+    test('should rethrow the first error when no provider answers', async () => {
+      const chain = new TranscriptProviderChain([
+        { name: 'a', fetchTranscript: jest.fn().mockRejectedValue(new Error('first failure')) },
+        { name: 'b', fetchTranscript: jest.fn().mockRejectedValue(new Error('second failure')) },
+        { name: 'c', fetchTranscript: jest.fn().mockResolvedValue([]) }
+      ]);
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).rejects.toThrow('first failure');
+    });
+
+    test('should report a miss when every provider comes back empty', async () => {
+      const empty = { name: 'empty', fetchTranscript: async () => null, listCaptionTracks: async () => [] };
+      const chain = new TranscriptProviderChain([empty]);
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).rejects.toThrow('No captions found for this video');
+      await expect(chain.listCaptionTracks(VIDEO_ID)).resolves.toEqual([]);
+      await expect(chain.fetchMetadata(VIDEO_ID)).rejects.toThrow('No video metadata found');
+    });
+
+    test('should time out a hanging provider and move on', async () => {
+      const hanging = { name: 'hanging', fetchTranscript: () => new Promise(() => {}) };
+      const backup = { name: 'backup', fetchTranscript: async () => segments };
+
+      await expect(new TranscriptProviderChain([hanging, backup], { timeoutMs: 10 }).fetchTranscript(VIDEO_ID, 'en'))
+        .resolves.toBe(segments);
+      await expect(new TranscriptProviderChain([hanging], { timeoutMs: 10 }).fetchTranscript(VIDEO_ID, 'en'))
+        .rejects.toThrow('Timed out after 0.01s fetching the transcript from hanging');
+    });
+
+    test('should retry transient failures with backoff before falling back', async () => {
+      const flaky = {
+        name: 'flaky',
+        fetchTranscript: jest.fn()
+          .mockRejectedValueOnce(new Error('socket hang up'))
+          .mockRejectedValueOnce(Object.assign(new Error('connect failed'), { code: 'ECONNRESET' }))
+          .mockResolvedValueOnce(segments)
+      };
+      const backup = { name: 'backup', fetchTranscript: jest.fn() };
+      const chain = new TranscriptProviderChain([flaky, backup], { retries: 2, retryDelayMs: 1, random: () => 0 });
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).resolves.toBe(segments);
+      expect(flaky.fetchTranscript).toHaveBeenCalledTimes(3);
+      expect(backup.fetchTranscript).not.toHaveBeenCalled();
+    });
+
+    test('should give up on a provider after the configured retries', async () => {
+      const down = { name: 'down', fetchTranscript: jest.fn().mockRejectedValue(new Error('Player API failed: HTTP 503')) };
+      const chain = new TranscriptProviderChain([down], { retries: 2, retryDelayMs: 1 });
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).rejects.toThrow('HTTP 503');
+      expect(down.fetchTranscript).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry private videos or disabled captions', async () => {
+      const privateVideo = { name: 'a', fetchTranscript: jest.fn().mockRejectedValue(new Error('This video is private')) };
+      const noCaptions = { name: 'b', fetchTranscript: jest.fn().mockRejectedValue(new Error('Captions are disabled')) };
+      const chain = new TranscriptProviderChain([privateVideo, noCaptions], { retries: 3, retryDelayMs: 1 });
+
+      await expect(chain.fetchTranscript(VIDEO_ID, 'en')).rejects.toThrow('This video is private');
+      expect(privateVideo.fetchTranscript).toHaveBeenCalledTimes(1);
+      expect(noCaptions.fetchTranscript).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop without falling back when the signal aborts', async () => {
+      const controller = new AbortController();
+      let providerSignal;
+      const slow = {
+        name: 'slow',
+        fetchTranscript: (videoId, language, { signal }) => {
+          providerSignal = signal;
+          return new Promise(() => {});
+        }
+      };
+      const backup = { name: 'backup', fetchTranscript: jest.fn().mockResolvedValue(segments) };
+      const chain = new TranscriptProviderChain([slow, backup], { retries: 2 });
+
+      const pending = chain.fetchTranscript(VIDEO_ID, 'en', { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+
+      await expect(pending).rejects.toThrow('The request was cancelled');
+      expect(providerSignal).toBe(controller.signal);
+      expect(backup.fetchTranscript).not.toHaveBeenCalled();
+    });
+
+    test('should stop waiting to retry when the signal aborts', async () => {
+      const controller = new AbortController();
+      const flaky = { name: 'flaky', fetchTranscript: jest.fn().mockRejectedValue(new Error('fetch failed')) };
+      const chain = new TranscriptProviderChain([flaky], { retries: 5, retryDelayMs: 60000 });
+
+      const pending = chain.fetchTranscript(VIDEO_ID, 'en', { signal: controller.signal });
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+
+      await expect(pending).rejects.toThrow('The request was cancelled');
+      expect(flaky.fetchTranscript).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('registry', () => {
+    test('should build the built-in providers in the requested order', () => {
+      const providers = createProviders(['local-dir', 'extractor'], { 'local-dir': { dir: '/tmp' } });
+
+      expect(providers.map(provider => provider.name)).toEqual(['local-dir', 'extractor']);
+      expect(providerNames()).toEqual(expect.arrayContaining(['extractor', 'local-dir', 'yt-dlp']));
+    });
+
+    test('should accept registered providers and reject unknown names', () => {
+      registerProvider('test-registered', options => ({ name: 'test-registered', options }));
+
+      expect(createProviders(['test-registered'], { 'test-registered': { key: 1 } }))
+        .toEqual([{ name: 'test-registered', options: { key: 1 } }]);
+      expect(() => createProviders(['nope'])).toThrow("Unknown transcript provider 'nope'");
+    });
+
+    test('should require directories for the file providers', () => {
+      expect(() => createProviders(['local-dir'])).toThrow('needs a directory (local_dir)');
+      expect(() => createProviders(['yt-dlp'])).toThrow('needs a directory (yt_dlp_dir)');
+    });
+  });
+
+  describe('file providers', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ytsum-providers-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (name, text) => fs.writeFileSync(path.join(dir, name), text);
+
+    test('local-dir should read "<id>.<lang>.<ext>" files', async () => {
+      write(`${VIDEO_ID}.en-US.vtt`, VTT);
+      write(`${VIDEO_ID}.es.srt`, '1\n00:00:00,000 --> 00:00:01,000\nHola\n');
+      write(`${VIDEO_ID}.es.json`, JSON.stringify({ segments: [] }));
+      write(`otherVideo1.en.vtt`, VTT);
+      const provider = createLocalDirProvider({ dir });
+
+      await expect(provider.fetchTranscript(VIDEO_ID, 'en')).resolves.toEqual([
+        { text: 'Hello from a file', offset: 0, duration: 2000 }
+      ]);
+      await expect(provider.fetchTranscript(VIDEO_ID, 'es')).resolves.toEqual([
+        { text: 'Hola', offset: 0, duration: 1000 }
+      ]);
+      await expect(provider.fetchTranscript(VIDEO_ID, 'fr')).resolves.toBeNull();
+      await expect(provider.listCaptionTracks(VIDEO_ID)).resolves.toEqual([
+        { languageCode: 'en-US', name: 'en-US', isAutoGenerated: false, isTranslatable: false },
+        { languageCode: 'es', name: 'es', isAutoGenerated: false, isTranslatable: false }
+      ]);
+    });
+
+    test('local-dir should name the file it cannot parse', async () => {
+      write(`${VIDEO_ID}.en.vtt`, 'not a caption file');
+
+      await expect(createLocalDirProvider({ dir }).fetchTranscript(VIDEO_ID, 'en'))
+        .rejects.toThrow(`Could not parse caption file ${path.join(dir, `${VIDEO_ID}.en.vtt`)}: Missing WEBVTT header`);
+      await expect(createLocalDirProvider({ dir: path.join(dir, 'missing') }).fetchTranscript(VIDEO_ID, 'en'))
+        .rejects.toThrow('Could not read caption directory');
+    });
+
+    test('yt-dlp should read titled output with its info.json', async () => {
+      const base = `Never Gonna Give You Up [${VIDEO_ID}]`;
+      write(`${base}.info.json`, JSON.stringify({
+        id: VIDEO_ID,
+        title: 'Never Gonna Give You Up',
+        uploader: 'Rick Astley',
+        channel_id: 'UC123',
+        upload_date: '20091025',
+        view_count: 1500000000,
+        duration: 212.4,
+        thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg',
+        description: 'The official video',
+        subtitles: { en: [{ ext: 'vtt', name: 'English' }] },
+        automatic_captions: { en: [{ ext: 'vtt' }], de: [{ ext: 'vtt', name: 'German' }] }
+      }));
+      write(`${base}.en.vtt`, VTT);
+      write(`${base}.de.vtt`, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nHallo\n');
+      write(`${base}.live_chat.json`, '{}');
+      const provider = createYtDlpProvider({ dir });
+
+      await expect(provider.fetchTranscript(VIDEO_ID, 'de')).resolves.toEqual([
+        { text: 'Hallo', offset: 0, duration: 1000 }
+      ]);
+      await expect(provider.listCaptionTracks(VIDEO_ID)).resolves.toEqual([
+        { languageCode: 'de', name: 'German', isAutoGenerated: true, isTranslatable: false },
+        { languageCode: 'en', name: 'English', isAutoGenerated: false, isTranslatable: false }
+      ]);
+      await expect(provider.fetchMetadata(VIDEO_ID)).resolves.toEqual({
+        title: 'Never Gonna Give You Up',
+        channel: 'Rick Astley',
+        channelId: 'UC123',
+        description: 'The official video',
+        publishDate: '2009-10-25',
+        viewCount: 1500000000,
+        lengthSeconds: 212,
+        thumbnailUrl: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/maxresdefault.jpg',
+        isLive: false
+      });
+    });
+
+    test('yt-dlp should have no metadata without an info.json', async () => {
+      write(`${VIDEO_ID}.en.vtt`, VTT);
+      const provider = createYtDlpProvider({ dir });
+
+      await expect(provider.fetchMetadata(VIDEO_ID)).resolves.toBeNull();
+      await expect(provider.fetchTranscript(VIDEO_ID, 'en')).resolves.toHaveLength(1);
+    });
+  });
+
+  describe('extractor provider', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should convert subtitles to milliseconds inside the quiet wrapper', async () => {
+      getSubtitles.mockResolvedValue([{ text: 'Hi', start: '1.5', dur: '2' }]);
+      const quiet = jest.fn(task => task());
+
+      const transcript = await createExtractorProvider({ quiet }).fetchTranscript(VIDEO_ID, 'en');
+
+      expect(transcript).toEqual([{ text: 'Hi', offset: 1500, duration: 2000 }]);
+      expect(getSubtitles).toHaveBeenCalledWith({ videoID: VIDEO_ID, lang: 'en' });
+      expect(quiet).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report a miss for empty subtitles', async () => {
+      getSubtitles.mockResolvedValue([]);
+
+      await expect(createExtractorProvider().fetchTranscript(VIDEO_ID, 'en')).resolves.toBeNull();
+    });
+
+    test('should fall back to video details for metadata', async () => {
+      const fetchSpy = jest.spyOn(global, 'fetch').mockRejectedValue(new Error('fetch failed'));
+      getVideoDetails.mockResolvedValue({ title: 'Fallback', description: '' });
+
+      await expect(createExtractorProvider().fetchMetadata(VIDEO_ID))
+        .resolves.toEqual({ title: 'Fallback', description: null });
+
+      getVideoDetails.mockResolvedValue({});
+      await expect(createExtractorProvider().fetchMetadata(VIDEO_ID)).rejects.toThrow('fetch failed');
+      fetchSpy.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,54 @@
+// tests/utils/video-metadata.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { parseVideoMetadata } = require('../../lib/video-metadata.js');
+
+describe('parseVideoMetadata', () => {
+  test('should read details and microformat fields', () => {
+    const metadata = parseVideoMetadata({
+      videoDetails: {
+        title: 'A Talk',
+        author: 'Conf Channel',
+        channelId: 'UC123',
+        shortDescription: 'About things',
+        viewCount: '4200',
+        lengthSeconds: '3723',
+        isLiveContent: false,
+        thumbnail: {
+          thumbnails: [
+            { url: 'https://i.ytimg.com/small.jpg', width: 120 },
+            { url: 'https://i.ytimg.com/large.jpg', width: 1280 },
+            { url: 'https://i.ytimg.com/medium.jpg', width: 480 }
+          ]
+        }
+      },
+      microformat: { playerMicroformatRenderer: { publishDate: '2024-05-01' } }
+    });
+
+    expect(metadata).toEqual({
+      title: 'A Talk',
+      channel: 'Conf Channel',
+      channelId: 'UC123',
+      description: 'About things',
+      publishDate: '2024-05-01',
+      viewCount: 4200,
+      lengthSeconds: 3723,
+      thumbnailUrl: 'https://i.ytimg.com/large.jpg',
+      isLive: false
+    });
+  });
+
+  test('should tolerate missing optional fields', () => {
+    const metadata = parseVideoMetadata({ videoDetails: { title: 'Bare' } });
+
+    expect(metadata.title).toBe('Bare');
+    expect(metadata.channel).toBeNull();
+    expect(metadata.viewCount).toBeNull();
+    expect(metadata.thumbnailUrl).toBeNull();
+  });
+
+  test('should throw for unavailable videos', () => {
+    expect(() => parseVideoMetadata({ playabilityStatus: { status: 'ERROR', reason: 'Video unavailable' } }))
+      .toThrow('Video unavailable: Video unavailable');
+    expect(() => parseVideoMetadata(null)).toThrow('Video unavailable');
+  });
+});
@@ -0,0 +1,79 @@
+// tests/utils/youtube-url.test.js
+const { describe, test, expect } = require('@jest/globals');
+const { isVideoId, parseYouTubeUrl } = require('../../lib/youtube-url.js');
+
+const ID = 'dQw4w9WgXcQ';
+
+describe('YouTube URL Parsing', () => {
+  describe('parseYouTubeUrl', () => {
+    test.each([
+      [`https://www.youtube.com/watch?v=${ID}`],
+      [`https://youtube.com/watch?feature=share&v=${ID}`],
+      [`https://m.youtube.com/watch?v=${ID}`],
+      [`https://music.youtube.com/watch?v=${ID}&si=abc`],
+      [`https://www.youtube.com/shorts/${ID}`],
+      [`https://www.youtube.com/live/${ID}?feature=shared`],
+      [`https://www.youtube.com/embed/${ID}`],
+      [`https://www.youtube-nocookie.com/embed/${ID}?rel=0`],
+      [`https://www.youtube.com/v/${ID}`],
+      [`https://youtu.be/${ID}`],
+      [`youtu.be/${ID}`],
+      [`www.youtube.com/watch?v=${ID}`],
+      [`http://youtube.com/watch?v=${ID}#comments`],
+      [ID]
+    ])('should extract the video ID from %s', (url) => {
+      expect(parseYouTubeUrl(url).videoId).toBe(ID);
+    });
+
+    test('should return the linked start time in seconds', () => {
+      expect(parseYouTubeUrl(`https://youtu.be/${ID}?t=90`).startTime).toBe(90);
+      expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}&t=1m30s`).startTime).toBe(90);
+      expect(parseYouTubeUrl(`https://www.youtube.com/embed/${ID}?start=42`).startTime).toBe(42);
+      expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}#t=1h2m3s`).startTime).toBe(3723);
+      expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}&t=soon`).startTime).toBeNull();
+      expect(parseYouTubeUrl(ID).startTime).toBeNull();
+    });
+
+    test('should return the playlist ID alongside the video', () => {
+      expect(parseYouTubeUrl(`https://www.youtube.com/watch?v=${ID}&list=PLabc123_-`)).toEqual({
+        videoId: ID,
+        playlistId: 'PLabc123_-',
+        startTime: null
+      });
+      expect(parseYouTubeUrl('https://www.youtube.com/playlist?list=PLabc123')).toEqual({
+        videoId: null,
+        playlistId: 'PLabc123',
+        startTime: null
+      });
+    });
+
+    test.each([
+      ['https://youtube.com/watch?v=test'],
+      [`https://youtube.com/watch?v=${ID}x`],
+      ['https://www.youtube.com/shorts/short'],
+      [`https://example.com/watch?v=${ID}`],
+      [`https://notyoutube.com/watch?v=${ID}`],
+      ['https://www.youtube.com/'],
+      ['https://www.youtube.com/playlist'],
+      ['dQw4w9WgXc'],
+      ['not a url at all'],
+      ['']
+    ])('should reject %s', (url) => {
+      expect(parseYouTubeUrl(url)).toBeNull();
+    });
+
+    test('should reject non-string input', () => {
+      expect(parseYouTubeUrl(undefined)).toBeNull();
+      expect(parseYouTubeUrl(42)).toBeNull();
+    });
+  });
+
+  describe('isVideoId', () => {
+    test('should only accept 11 URL-safe characters', () => {
+      expect(isVideoId(ID)).toBe(true);
+      expect(isVideoId('abc_DEF-123')).toBe(true);
+      expect(isVideoId('abc+DEF/123')).toBe(false);
+      expect(isVideoId('short')).toBe(false);
+    });
+  });
+});
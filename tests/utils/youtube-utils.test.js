@@ -40,11 +40,40 @@ describe('YouTube Utils', () => {
       expect(server.extractVideoId(url)).toBe('dQw4w9WgXcQ');
     });
 
+    test('should extract video ID from shorts, live and mobile URLs', () => {
+      expect(server.extractVideoId('https://www.youtube.com/shorts/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(server.extractVideoId('https://www.youtube.com/live/dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(server.extractVideoId('https://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+      expect(server.extractVideoId('dQw4w9WgXcQ')).toBe('dQw4w9WgXcQ');
+    });
+
     test('should return null for invalid URLs', () => {
       expect(server.extractVideoId('https://example.com')).toBeNull();
       expect(server.extractVideoId('not-a-url')).toBeNull();
       expect(server.extractVideoId('')).toBeNull();
     });
+
+    test('should reject malformed video IDs', () => {
+      expect(server.extractVideoId('https://youtube.com/watch?v=test')).toBeNull();
+      expect(server.extractVideoId('https://youtu.be/dQw4w9WgXcQQ')).toBeNull();
+    });
+  });
+
+  describe('extractPlaylistId', () => {
+    test('should extract playlist ID from playlist URL', () => {
+      const url = 'https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+      expect(server.extractPlaylistId(url)).toBe('PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+    });
+
+    test('should extract playlist ID from watch URL with list parameter', () => {
+      const url = 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=1s&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf';
+      expect(server.extractPlaylistId(url)).toBe('PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf');
+    });
+
+    test('should return null when there is no list parameter', () => {
+      expect(server.extractPlaylistId('https://www.youtube.com/watch?v=dQw4w9WgXcQ')).toBeNull();
+      expect(server.extractPlaylistId('https://example.com/playlist?list=PL123')).toBeNull();
+    });
   });
 
   describe('formatTimestamp', () => {
@@ -67,6 +96,43 @@ describe('YouTube Utils', () => {
     });
   });
 
+  describe('groupTranscriptIntoChapters', () => {
+    const transcript = [
+      { text: 'Welcome', offset: 0, duration: 5000 },
+      { text: 'Setup steps', offset: 60000, duration: 5000 },
+      { text: 'More setup', offset: 90000, duration: 5000 },
+      { text: 'Goodbye', offset: 200000, duration: 10000 }
+    ];
+    const chapters = [
+      { start: 0, title: 'Intro' },
+      { start: 60, title: 'Setup' },
+      { start: 120, title: 'Unused' },
+      { start: 180, title: 'Outro' }
+    ];
+
+    test('should group segments under the chapter they start in', () => {
+      const sections = server.groupTranscriptIntoChapters(transcript, chapters);
+
+      expect(sections).toEqual([
+        { title: 'Intro', startTime: 0, endTime: 60000, text: 'Welcome' },
+        { title: 'Setup', startTime: 60000, endTime: 120000, text: 'Setup steps More setup' },
+        { title: 'Outro', startTime: 180000, endTime: 210000, text: 'Goodbye' }
+      ]);
+    });
+
+    test('should clamp chapter bounds to a sliced range', () => {
+      const sections = server.groupTranscriptIntoChapters(transcript.slice(1, 3), chapters, { start: 70000, end: 100000 });
+
+      expect(sections).toEqual([
+        { title: 'Setup', startTime: 70000, endTime: 100000, text: 'Setup steps More setup' }
+      ]);
+    });
+
+    test('should handle empty transcript', () => {
+      expect(server.groupTranscriptIntoChapters([], chapters)).toEqual([]);
+    });
+  });
+
   describe('groupTranscriptIntoSections', () => {
     test('should group transcript into sections based on time', () => {
       const transcript = [
@@ -104,6 +170,19 @@ describe('YouTube Utils', () => {
       const sections = server.groupTranscriptIntoSections([], 120);
       expect(sections).toHaveLength(0);
     });
+
+    test('should clamp section bounds to a sliced range', () => {
+      const transcript = [
+        { text: 'First', offset: 0, duration: 60000 },
+        { text: 'Second', offset: 60000, duration: 60000 }
+      ];
+
+      const sections = server.groupTranscriptIntoSections(transcript, 120, { start: 30000, end: 90000 });
+
+      expect(sections).toHaveLength(1);
+      expect(sections[0].startTime).toBe(30000);
+      expect(sections[0].endTime).toBe(90000);
+    });
   });
 
   describe('splitIntoReadableParagraphs', () => {
@@ -134,7 +213,7 @@ describe('YouTube Utils', () => {
       const paragraphs = server.splitIntoReadableParagraphs(transcript);
 
       expect(paragraphs).toHaveLength(1);
-      expect(paragraphs[0]).toBe('Question. Exclamation. Statement. Another one.');
+      expect(paragraphs[0]).toBe('Question? Exclamation! Statement. Another one.');
     });
 
     test('should filter out empty sentences', () => {
@@ -154,5 +233,23 @@ describe('YouTube Utils', () => {
       const paragraphs = server.splitIntoReadableParagraphs([]);
       expect(paragraphs).toHaveLength(0);
     });
+
+    test('should rebuild sentences in unpunctuated auto captions from pauses', () => {
+      const transcript = [
+        { text: 'welcome back to the channel', offset: 0, duration: 2000 },
+        { text: 'today we are building a desk', offset: 4000, duration: 2500 },
+        { text: 'first cut the legs', offset: 8000, duration: 1500 },
+        { text: 'to the same length', offset: 9500, duration: 1500 },
+        { text: 'then sand every edge', offset: 12500, duration: 1500 },
+        { text: 'finally add the top', offset: 17000, duration: 1500 }
+      ];
+
+      const paragraphs = server.splitIntoReadableParagraphs(transcript);
+
+      expect(paragraphs).toEqual([
+        'Welcome back to the channel. Today we are building a desk. First cut the legs to the same length. Then sand every edge.',
+        'Finally add the top.'
+      ]);
+    });
   });
 });
\ No newline at end of file